@@ -0,0 +1,84 @@
+/**
+ * Account Profiles for Gmail MCP Server
+ * Each named profile has its own token, draft registry and undo journal; the OAuth client
+ * keys are shared. The "default" profile keeps the original single-account file layout.
+ */
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_ACCOUNT = 'default';
+
+// Profile names become directory names, so keep them to a safe character set
+const ACCOUNT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+/**
+ * Checks that a profile name is safe to use as a directory name
+ * @param name - Profile name
+ * @throws {Error} If the name is invalid
+ */
+export function validateAccountName(name) {
+    if (!ACCOUNT_NAME_PATTERN.test(name || '')) {
+        throw new Error(`Invalid account name "${name}". Use up to 32 letters, digits, "-" or "_".`);
+    }
+}
+
+/**
+ * Resolves the files belonging to a profile
+ * @param configDir - Config directory
+ * @param name - Profile name
+ * @param env - Environment; GMAIL_CREDENTIALS_PATH still overrides the default profile's token
+ * @returns { name, dir, credentialsPath, draftRegistryPath, undoJournalPath }
+ */
+export function getAccountPaths(configDir, name = DEFAULT_ACCOUNT, env = process.env) {
+    validateAccountName(name);
+    if (name === DEFAULT_ACCOUNT) {
+        return {
+            name,
+            dir: configDir,
+            credentialsPath: env.GMAIL_CREDENTIALS_PATH || path.join(configDir, 'credentials.json'),
+            draftRegistryPath: path.join(configDir, 'drafts.json'),
+            undoJournalPath: path.join(configDir, 'undo-journal.json'),
+        };
+    }
+    const dir = path.join(configDir, 'accounts', name);
+    return {
+        name,
+        dir,
+        credentialsPath: path.join(dir, 'credentials.json'),
+        draftRegistryPath: path.join(dir, 'drafts.json'),
+        undoJournalPath: path.join(dir, 'undo-journal.json'),
+    };
+}
+
+/**
+ * Lists the profiles that have a stored token
+ * @param configDir - Config directory
+ * @param env - Environment
+ * @returns Profile paths, default first
+ */
+export function listAccounts(configDir, env = process.env) {
+    const accountsDir = path.join(configDir, 'accounts');
+    const names = fs.existsSync(accountsDir) ?
+        fs.readdirSync(accountsDir).filter(name => ACCOUNT_NAME_PATTERN.test(name) && name !== DEFAULT_ACCOUNT).sort() :
+        [];
+    return [DEFAULT_ACCOUNT, ...names]
+        .map(name => getAccountPaths(configDir, name, env))
+        .filter(account => fs.existsSync(account.credentialsPath));
+}
+
+/**
+ * Reads `--account <name>` (or `--account=<name>`) from command-line arguments
+ * @param argv - Arguments, e.g. process.argv.slice(2)
+ * @returns Profile name, or null if the flag is absent
+ */
+export function parseAccountFlag(argv) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--account') {
+            return argv[i + 1] || null;
+        }
+        if (argv[i].startsWith('--account=')) {
+            return argv[i].slice('--account='.length);
+        }
+    }
+    return null;
+}
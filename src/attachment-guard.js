@@ -0,0 +1,181 @@
+/**
+ * Attachment Guard for Gmail MCP Server
+ * Confines draft attachments to an allowlisted directory so the model cannot
+ * attach arbitrary local files (SSH keys, OAuth tokens, ...)
+ */
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const MB = 1024 * 1024;
+
+export const DEFAULT_ATTACHMENT_POLICY = {
+    root: path.join(os.homedir(), 'SafeGmail', 'attachments'),
+    maxCount: 10,
+    // Gmail rejects messages over 25 MB
+    maxFileBytes: 25 * MB,
+    maxTotalBytes: 25 * MB,
+};
+
+/**
+ * Error raised when an attachment breaks a rule of the attachment policy
+ */
+export class AttachmentRejectedError extends Error {
+    /**
+     * @param {string} rule - Rule that fired (e.g. 'outside-root', 'denied-directory')
+     * @param {string} message - Human-readable explanation
+     * @param {object} details - Extra context (path, limits)
+     */
+    constructor(rule, message, details = {}) {
+        super(`Attachment rejected (${rule}): ${message}`);
+        this.name = 'AttachmentRejectedError';
+        this.code = 'ATTACHMENT_REJECTED';
+        this.details = { rule, ...details };
+    }
+}
+
+/**
+ * Parses a positive integer from an environment value
+ */
+function parsePositiveInt(value, fallback) {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Expands a leading ~ to the home directory
+ */
+function expandHome(filePath) {
+    return filePath.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+/**
+ * Loads the attachment policy
+ * Settings from the policy file win over GMAIL_ATTACHMENT_ROOT, GMAIL_ATTACHMENT_MAX_COUNT,
+ * GMAIL_ATTACHMENT_MAX_FILE_BYTES and GMAIL_ATTACHMENT_MAX_TOTAL_BYTES, which override the defaults
+ * @param deniedDirs - Directories that may never be attached from (the config directory is always included)
+ * @param env - Environment to read overrides from
+ * @param overrides - Optional { root, maxCount, maxFileBytes, maxTotalBytes } from the policy file
+ * @returns Attachment policy
+ */
+export function loadAttachmentPolicy(deniedDirs = [], env = process.env, overrides = {}) {
+    return {
+        root: path.resolve(expandHome(overrides.root || env.GMAIL_ATTACHMENT_ROOT || DEFAULT_ATTACHMENT_POLICY.root)),
+        maxCount: overrides.maxCount || parsePositiveInt(env.GMAIL_ATTACHMENT_MAX_COUNT, DEFAULT_ATTACHMENT_POLICY.maxCount),
+        maxFileBytes: overrides.maxFileBytes || parsePositiveInt(env.GMAIL_ATTACHMENT_MAX_FILE_BYTES, DEFAULT_ATTACHMENT_POLICY.maxFileBytes),
+        maxTotalBytes: overrides.maxTotalBytes || parsePositiveInt(env.GMAIL_ATTACHMENT_MAX_TOTAL_BYTES, DEFAULT_ATTACHMENT_POLICY.maxTotalBytes),
+        deniedDirs: [...new Set([path.join(os.homedir(), '.safe-gmail-mcp'), ...deniedDirs])],
+    };
+}
+
+/**
+ * Resolves a path through symlinks, falling back to the lexical path if it does not exist
+ */
+function realpathOrResolve(filePath) {
+    try {
+        return fs.realpathSync(filePath);
+    }
+    catch {
+        return path.resolve(filePath);
+    }
+}
+
+/**
+ * Checks whether `child` is `parent` or lies beneath it
+ */
+function isInside(parent, child) {
+    const relative = path.relative(parent, child);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Validates attachment paths and in-memory attachments against the policy
+ * Relative paths resolve against the attachment root
+ * @param filePaths - Paths requested by the caller
+ * @param inMemory - Attachments already loaded (e.g. from a forwarded message), as { filename, content }
+ * @param policy - Policy returned by loadAttachmentPolicy
+ * @returns Resolved real paths, in the same order as `filePaths`
+ * @throws {AttachmentRejectedError} Naming the rule that fired
+ */
+export function validateAttachments(filePaths = [], inMemory = [], policy) {
+    const count = filePaths.length + inMemory.length;
+    if (count > policy.maxCount) {
+        throw new AttachmentRejectedError('max-count', `${count} attachments exceed the limit of ${policy.maxCount}.`, { count, maxCount: policy.maxCount });
+    }
+
+    const root = realpathOrResolve(policy.root);
+    if (filePaths.length > 0 && !fs.existsSync(root)) {
+        throw new AttachmentRejectedError('root-missing', `Attachment directory ${root} does not exist. Create it and place files to attach there.`, { root });
+    }
+    const deniedDirs = policy.deniedDirs.map(realpathOrResolve);
+
+    let totalBytes = inMemory.reduce((sum, attachment) => sum + attachment.content.length, 0);
+    const resolved = filePaths.map((requested) => {
+        const candidate = path.resolve(root, expandHome(requested));
+        if (!fs.existsSync(candidate)) {
+            throw new AttachmentRejectedError('not-found', `File does not exist: ${requested}`, { path: requested });
+        }
+        // Resolve symlinks before any containment check so links cannot escape the root
+        const real = fs.realpathSync(candidate);
+        if (deniedDirs.some(dir => isInside(dir, real))) {
+            throw new AttachmentRejectedError('denied-directory', `${requested} is inside a protected directory.`, { path: requested });
+        }
+        if (!isInside(root, real)) {
+            throw new AttachmentRejectedError('outside-root', `${requested} resolves outside the attachment directory ${root}.`, { path: requested, root });
+        }
+        const stats = fs.statSync(real);
+        if (!stats.isFile()) {
+            throw new AttachmentRejectedError('not-a-file', `${requested} is not a regular file.`, { path: requested });
+        }
+        if (stats.size > policy.maxFileBytes) {
+            throw new AttachmentRejectedError('max-file-size', `${requested} is ${stats.size} bytes, over the limit of ${policy.maxFileBytes}.`, { path: requested, size: stats.size, maxFileBytes: policy.maxFileBytes });
+        }
+        totalBytes += stats.size;
+        return real;
+    });
+
+    if (totalBytes > policy.maxTotalBytes) {
+        throw new AttachmentRejectedError('max-total-size', `Attachments total ${totalBytes} bytes, over the limit of ${policy.maxTotalBytes}.`, { totalBytes, maxTotalBytes: policy.maxTotalBytes });
+    }
+    return resolved;
+}
+
+/**
+ * Reads a file returned by validateAttachments
+ * The file is opened once and checked to still be the validated one, so a path swapped for a
+ * symlink after validation cannot make a different file get attached
+ * @param realPath - Resolved path from validateAttachments
+ * @param policy - Policy returned by loadAttachmentPolicy
+ * @returns File content
+ * @throws {AttachmentRejectedError} If the file changed since it was validated
+ */
+export function readAttachmentFile(realPath, policy) {
+    const changed = () => new AttachmentRejectedError('changed', `${realPath} changed while it was being attached.`, { path: realPath });
+    let fd;
+    try {
+        fd = fs.openSync(realPath, fs.constants.O_RDONLY | fs.constants.O_NOFOLLOW);
+    }
+    catch {
+        throw changed();
+    }
+    try {
+        const opened = fs.fstatSync(fd);
+        let current;
+        try {
+            current = fs.realpathSync(realPath) === realPath ? fs.statSync(realPath) : null;
+        }
+        catch {
+            current = null;
+        }
+        if (!current || current.dev !== opened.dev || current.ino !== opened.ino || !opened.isFile()) {
+            throw changed();
+        }
+        if (opened.size > policy.maxFileBytes) {
+            throw new AttachmentRejectedError('max-file-size', `${realPath} is ${opened.size} bytes, over the limit of ${policy.maxFileBytes}.`, { path: realPath, size: opened.size, maxFileBytes: policy.maxFileBytes });
+        }
+        return fs.readFileSync(fd);
+    }
+    finally {
+        fs.closeSync(fd);
+    }
+}
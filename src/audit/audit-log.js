@@ -0,0 +1,314 @@
+/**
+ * Audit Log Module
+ *
+ * Append-only JSONL record of every tool call. Each line carries the SHA-256 hash
+ * of the previous line, so editing or deleting an entry breaks the chain.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Hash used as prevHash for the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Arguments whose content is never written to the log
+const REDACTED_FIELDS = ['body', 'htmlBody'];
+
+// How long an append waits for another server process to release the log
+const LOCK_TIMEOUT_MS = 3000;
+const LOCK_RETRY_MS = 10;
+// A lock file without a readable owner PID is treated as abandoned after this long
+const STALE_LOCK_MS = 10000;
+
+// Bytes read at a time when looking for the last entry from the end of the log
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Hashes an entry (without its own hash) together with the previous hash.
+ *
+ * @param {string} prevHash - Hash of the previous entry
+ * @param {object} entry - Entry without the `hash` field
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashEntry(prevHash, entry) {
+    return crypto.createHash('sha256').update(prevHash).update(JSON.stringify(entry)).digest('hex');
+}
+
+/**
+ * Replaces message content in tool arguments with a length marker.
+ *
+ * @param {object} args - Raw tool arguments
+ * @returns {object} Arguments safe to write to the log
+ */
+export function redactArguments(args) {
+    if (!args || typeof args !== 'object') {
+        return {};
+    }
+    const redacted = { ...args };
+    for (const field of REDACTED_FIELDS) {
+        if (typeof redacted[field] === 'string') {
+            redacted[field] = `[redacted: ${redacted[field].length} chars]`;
+        }
+    }
+    return redacted;
+}
+
+/**
+ * Pulls the message, thread, draft and label IDs a call touched out of its arguments and result.
+ * The result adds what the arguments cannot name: messages reached through a thread, restored
+ * by an undo, or created by a draft or send.
+ *
+ * @param {object} args - Raw tool arguments
+ * @param {object} [data] - Structured result data of a successful call
+ * @returns {object} Affected IDs grouped by kind (empty groups omitted)
+ */
+export function extractAffectedIds(args = {}, data = {}) {
+    const toList = (...values) => [...new Set(values.flat().filter(v => typeof v === 'string' && v))];
+    data = data || {};
+    const affected = {
+        messageIds: toList(args.messageId, args.messageIds || [], data.messageId, data.messageIds || []),
+        threadIds: toList(args.threadId, data.threadId),
+        draftIds: toList(args.draftId, data.draftId),
+        labelIds: toList(args.labelIds || [], args.addLabelIds || [], args.removeLabelIds || [], args.id, data.label?.id),
+    };
+    return Object.fromEntries(Object.entries(affected).filter(([, ids]) => ids.length > 0));
+}
+
+/**
+ * Parses one log line, or returns null if it is not a complete entry.
+ *
+ * @param {string} line - Line of the log
+ * @returns {object|null} Parsed entry
+ */
+function parseEntry(line) {
+    try {
+        const entry = JSON.parse(line);
+        return Number.isInteger(entry?.seq) && typeof entry.hash === 'string' ? entry : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads the last complete entry of the log so new entries can continue the chain.
+ * A truncated last line (from a crash mid-write) is left in place for verification to
+ * report; the chain continues from the entry before it.
+ *
+ * @param {string} logPath - Path to the audit log
+ * @returns {{ seq: number, hash: string, needsNewline: boolean }} Sequence number and hash of the
+ *   last entry, and whether the file ends mid-line
+ */
+function readChainTip(logPath) {
+    if (!fs.existsSync(logPath)) {
+        return { seq: 0, hash: GENESIS_HASH, needsNewline: false };
+    }
+    const fd = fs.openSync(logPath, 'r');
+    try {
+        const size = fs.fstatSync(fd).size;
+        let position = size;
+        let tail = Buffer.alloc(0);
+        while (position > 0) {
+            const length = Math.min(TAIL_CHUNK_BYTES, position);
+            position -= length;
+            const chunk = Buffer.alloc(length);
+            fs.readSync(fd, chunk, 0, length, position);
+            tail = Buffer.concat([chunk, tail]);
+            // Until the start of the file is reached, the first line of the tail may be cut off
+            const lines = tail.toString('utf8').split('\n');
+            for (let i = lines.length - 1; i >= (position > 0 ? 1 : 0); i--) {
+                const entry = parseEntry(lines[i]);
+                if (entry) {
+                    return { seq: entry.seq, hash: entry.hash, needsNewline: tail[tail.length - 1] !== 0x0a };
+                }
+            }
+        }
+        return { seq: 0, hash: GENESIS_HASH, needsNewline: size > 0 && tail[tail.length - 1] !== 0x0a };
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Checks whether the process that created a lock file is gone.
+ *
+ * @param {string} lockPath - Path to the lock file
+ * @returns {boolean} True if the lock can be taken over
+ */
+function isLockAbandoned(lockPath) {
+    try {
+        const pid = Number(fs.readFileSync(lockPath, 'utf8'));
+        if (Number.isInteger(pid) && pid > 0) {
+            try {
+                process.kill(pid, 0);
+                return false;
+            } catch (error) {
+                return error.code === 'ESRCH';
+            }
+        }
+        return Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS;
+    } catch {
+        // Released while we looked
+        return false;
+    }
+}
+
+/**
+ * Takes the log's lock file, so server processes sharing the log append one at a time.
+ *
+ * @param {string} lockPath - Path to the lock file
+ * @returns {() => void} Releases the lock
+ * @throws {Error} If the lock is still held after LOCK_TIMEOUT_MS
+ */
+function acquireLock(lockPath) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    const sleeper = new Int32Array(new SharedArrayBuffer(4));
+    for (;;) {
+        try {
+            const fd = fs.openSync(lockPath, 'wx', 0o600);
+            fs.writeSync(fd, String(process.pid));
+            fs.closeSync(fd);
+            return () => fs.rmSync(lockPath, { force: true });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+        if (isLockAbandoned(lockPath)) {
+            fs.rmSync(lockPath, { force: true });
+            continue;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Audit log is locked by another process (${lockPath})`);
+        }
+        Atomics.wait(sleeper, 0, 0, LOCK_RETRY_MS);
+    }
+}
+
+/**
+ * Creates an audit logger that appends hash-chained entries to a JSONL file.
+ * The chain tip is re-read under a lock file on every append, so several server processes
+ * can share one log without forking the chain.
+ *
+ * @param {string} logPath - Path to the audit log (created with mode 600)
+ * @param {object} [options]
+ * @param {(value: any) => any} [options.redact] - Applied to arguments and error text before they are written
+ * @returns {{ assertWritable: () => void, record: (call: object) => object }} Logger; `assertWritable`
+ *   throws if entries cannot be appended, `record` returns the written entry
+ */
+export function createAuditLogger(logPath, { redact = value => value } = {}) {
+    const dir = path.dirname(logPath);
+    const ensureDir = () => {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+        }
+    };
+
+    return {
+        assertWritable() {
+            ensureDir();
+            fs.accessSync(fs.existsSync(logPath) ? logPath : dir, fs.constants.W_OK);
+        },
+
+        record({ tool, args, data, outcome, error, startedAt, durationMs }) {
+            ensureDir();
+            const release = acquireLock(`${logPath}.lock`);
+            try {
+                const tip = readChainTip(logPath);
+                const entry = {
+                    seq: tip.seq + 1,
+                    timestamp: new Date(startedAt).toISOString(),
+                    tool,
+                    args: redact(redactArguments(args)),
+                    affected: extractAffectedIds(args, data),
+                    outcome,
+                    ...(error && { error: redact(error) }),
+                    durationMs,
+                    prevHash: tip.hash,
+                };
+                const hash = hashEntry(tip.hash, entry);
+                // Start a fresh line after a truncated one instead of gluing onto it
+                const line = (tip.needsNewline ? '\n' : '') + JSON.stringify({ ...entry, hash }) + '\n';
+                fs.appendFileSync(logPath, line, { mode: 0o600 });
+                return { ...entry, hash };
+            } finally {
+                release();
+            }
+        }
+    };
+}
+
+/**
+ * Verifies the hash chain of an audit log.
+ *
+ * @param {string} logPath - Path to the audit log
+ * @returns {{ valid: boolean, entries: number, brokenAt?: number, reason?: string }}
+ *   `brokenAt` is the 1-based line number of the first entry that fails verification
+ */
+export function verifyAuditLog(logPath) {
+    if (!fs.existsSync(logPath)) {
+        return { valid: true, entries: 0 };
+    }
+    const lines = fs.readFileSync(logPath, 'utf8').split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    let prevHash = GENESIS_HASH;
+    let prevSeq = 0;
+    for (let i = 0; i < lines.length; i++) {
+        let parsed;
+        try {
+            parsed = JSON.parse(lines[i]);
+        } catch {
+            return { valid: false, entries: i, brokenAt: i + 1, reason: 'Line is not valid JSON' };
+        }
+        const { hash, ...entry } = parsed;
+        if (entry.prevHash !== prevHash) {
+            return { valid: false, entries: i, brokenAt: i + 1, reason: 'prevHash does not match the previous entry (entry removed or reordered)' };
+        }
+        if (entry.seq !== prevSeq + 1) {
+            return { valid: false, entries: i, brokenAt: i + 1, reason: `Expected sequence ${prevSeq + 1}, found ${entry.seq}` };
+        }
+        if (hashEntry(prevHash, entry) !== hash) {
+            return { valid: false, entries: i, brokenAt: i + 1, reason: 'Hash mismatch (entry modified)' };
+        }
+        prevHash = hash;
+        prevSeq = entry.seq;
+    }
+    return { valid: true, entries: lines.length };
+}
+
+/**
+ * Reads audit entries, optionally filtered by date range and tool.
+ *
+ * @param {string} logPath - Path to the audit log
+ * @param {{ from?: Date, to?: Date, tool?: string }} [filters] - Inclusive date bounds and tool name
+ * @returns {object[]} Matching entries in log order (unparseable lines are skipped)
+ */
+export function readAuditEntries(logPath, filters = {}) {
+    if (!fs.existsSync(logPath)) {
+        return [];
+    }
+    return fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        })
+        .filter(entry => {
+            if (!entry) return false;
+            const time = Date.parse(entry.timestamp);
+            if (filters.from && time < filters.from.getTime()) return false;
+            if (filters.to && time > filters.to.getTime()) return false;
+            if (filters.tool && entry.tool !== filters.tool) return false;
+            return true;
+        });
+}
+
+export default {
+    createAuditLogger,
+    verifyAuditLog,
+    readAuditEntries
+};
@@ -16,6 +16,21 @@ const OAUTH_PORTS = [3000, 3001, 3002];
 // Timeout for OAuth callback (5 minutes)
 const OAUTH_TIMEOUT_MS = 5 * 60 * 1000;
 
+const GMAIL_MODIFY_SCOPE = 'https://www.googleapis.com/auth/gmail.modify';
+const GMAIL_READONLY_SCOPE = 'https://www.googleapis.com/auth/gmail.readonly';
+
+// Scopes requested for each install mode
+export const MODE_SCOPES = {
+    modify: [GMAIL_MODIFY_SCOPE],
+    readonly: [GMAIL_READONLY_SCOPE],
+};
+
+// Scopes a token may carry in each mode; anything else is broader than the mode allows
+const ALLOWED_SCOPES = {
+    modify: [GMAIL_MODIFY_SCOPE, GMAIL_READONLY_SCOPE],
+    readonly: [GMAIL_READONLY_SCOPE],
+};
+
 /**
  * Loads OAuth client from credential files.
  *
@@ -69,10 +84,11 @@ export async function loadOAuthClient(oauthPath, credentialsPath) {
  * @param {OAuth2Client} oauth2Client - The OAuth2 client to authenticate
  * @param {string} credentialsPath - Path to save the credentials/tokens
  * @param {number} [port=3000] - Port for the OAuth callback server
+ * @param {string} [mode='modify'] - Install mode ('modify' or 'readonly') deciding the requested scope
  * @returns {Promise<void>}
  * @throws {Error} If authentication fails, times out, or is cancelled
  */
-export async function authenticate(oauth2Client, credentialsPath, port = 3000) {
+export async function authenticate(oauth2Client, credentialsPath, port = 3000, mode = 'modify') {
     const server = http.createServer();
 
     // Try to start server on the specified port
@@ -114,7 +130,7 @@ export async function authenticate(oauth2Client, credentialsPath, port = 3000) {
         // Generate and open auth URL
         const authUrl = oauth2Client.generateAuthUrl({
             access_type: 'offline',
-            scope: ['https://www.googleapis.com/auth/gmail.modify'],
+            scope: MODE_SCOPES[mode],
             prompt: 'consent' // Force consent screen to always get refresh token
         });
 
@@ -234,6 +250,35 @@ export async function refreshIfNeeded(oauth2Client, credentialsPath) {
     return false;
 }
 
+/**
+ * Asks Google which scopes the current access token actually carries.
+ * The stored credentials file is not trusted for this - it can be edited by hand.
+ *
+ * @param {OAuth2Client} oauth2Client - Client with a valid access token
+ * @returns {Promise<string[]>} Granted scope URLs
+ * @throws {Error} If the token cannot be inspected
+ */
+export async function getGrantedScopes(oauth2Client) {
+    try {
+        const info = await oauth2Client.getTokenInfo(oauth2Client.credentials.access_token);
+        return info.scopes || [];
+    } catch (err) {
+        throw new Error('Could not verify granted OAuth scopes: ' + err.message);
+    }
+}
+
+/**
+ * Finds granted scopes that are broader than the install mode allows.
+ *
+ * @param {string[]} grantedScopes - Scopes from getGrantedScopes
+ * @param {string} mode - Install mode ('modify' or 'readonly')
+ * @returns {string[]} Scopes the mode does not allow (empty if the token is acceptable)
+ */
+export function findDisallowedScopes(grantedScopes, mode) {
+    const allowed = ALLOWED_SCOPES[mode] || [];
+    return grantedScopes.filter(scope => !allowed.includes(scope));
+}
+
 /**
  * Finds an available port from the predefined list.
  *
@@ -270,5 +315,7 @@ function isPortAvailable(port) {
 export default {
     loadOAuthClient,
     authenticate,
-    refreshIfNeeded
+    refreshIfNeeded,
+    getGrantedScopes,
+    findDisallowedScopes
 };
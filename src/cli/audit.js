@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Audit CLI for safe-gmail-mcp
+ *
+ * Verifies the audit log hash chain and lists entries.
+ *
+ * Usage:
+ *   npm run audit
+ *   npm run audit -- --from 2024-01-01 --to 2024-01-31 --tool batch_modify_emails
+ *   npm run audit -- --verify-only
+ */
+
+import path from 'path';
+import os from 'os';
+import { verifyAuditLog, readAuditEntries } from '../audit/audit-log.js';
+
+// Configuration paths
+const CONFIG_DIR = path.join(os.homedir(), '.safe-gmail-mcp');
+const AUDIT_LOG_PATH = path.join(CONFIG_DIR, 'audit.jsonl');
+
+/**
+ * Parse command-line flags into filters
+ */
+function parseArgs(argv) {
+  const options = { verifyOnly: false, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--from':
+      case '--to': {
+        const value = argv[++i];
+        const date = new Date(value);
+        if (!value || Number.isNaN(date.getTime())) {
+          throw new Error(`${arg} expects a date (e.g. 2024-01-31), got "${value ?? ''}"`);
+        }
+        // A bare date in --to means "through the end of that day"
+        if (arg === '--to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+          date.setUTCHours(23, 59, 59, 999);
+        }
+        options[arg.slice(2)] = date;
+        break;
+      }
+      case '--tool':
+        options.tool = argv[++i];
+        if (!options.tool) {
+          throw new Error('--tool expects a tool name');
+        }
+        break;
+      case '--verify-only':
+        options.verifyOnly = true;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Format one entry as a single line
+ */
+function formatEntry(entry) {
+  const affected = Object.entries(entry.affected || {})
+    .map(([kind, ids]) => `${kind}=${ids.length > 3 ? `${ids.slice(0, 3).join(',')},+${ids.length - 3}` : ids.join(',')}`)
+    .join(' ');
+  const error = entry.error ? `- ${entry.error}` : '';
+  return [`#${entry.seq}`, entry.timestamp, entry.tool, entry.outcome.toUpperCase(), `${entry.durationMs}ms`, affected, error]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Main audit command
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log('\n=== safe-gmail-mcp Audit Log ===\n');
+  console.log(`Path: ${AUDIT_LOG_PATH}`);
+
+  const verification = verifyAuditLog(AUDIT_LOG_PATH);
+  if (verification.valid) {
+    console.log(`Chain: Valid (${verification.entries} entries)`);
+  } else {
+    console.log(`Chain: BROKEN at line ${verification.brokenAt}`);
+    console.log(`  Reason: ${verification.reason}`);
+    console.log(`  Entries before the break verified: ${verification.entries}`);
+  }
+
+  if (!options.verifyOnly) {
+    const entries = readAuditEntries(AUDIT_LOG_PATH, options);
+    console.log(`\nEntries: ${entries.length} matching\n`);
+    for (const entry of entries) {
+      console.log(options.json ? JSON.stringify(entry) : formatEntry(entry));
+    }
+  }
+
+  console.log();
+  process.exit(verification.valid ? 0 : 1);
+}
+
+main();
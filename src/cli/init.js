@@ -6,8 +6,11 @@
  * Guides users through:
  * 1. GCP OAuth setup instructions
  * 2. OAuth JSON file validation and copying
- * 3. Authentication flow
- * 4. MCP configuration generation
+ * 3. Choice of install mode (modify or read-only)
+ * 4. Authentication flow
+ * 5. MCP configuration generation
+ *
+ * Run with `--account <name>` to add another account profile; it reuses the OAuth keys.
  */
 
 import prompts from 'prompts';
@@ -16,11 +19,29 @@ import path from 'path';
 import os from 'os';
 import { validateOAuthFile } from '../utils/oauth-validator.js';
 import { loadOAuthClient, authenticate } from '../auth/oauth.js';
+import { findPolicyFile, loadPolicy, savePolicyMode } from '../policy.js';
+import { DEFAULT_ACCOUNT, getAccountPaths, parseAccountFlag } from '../accounts.js';
 
 // Configuration paths
 const CONFIG_DIR = path.join(os.homedir(), '.safe-gmail-mcp');
 const OAUTH_KEYS_PATH = path.join(CONFIG_DIR, 'gcp-oauth.keys.json');
-const CREDENTIALS_PATH = path.join(CONFIG_DIR, 'credentials.json');
+const DEFAULT_CREDENTIALS_PATH = path.join(CONFIG_DIR, 'credentials.json');
+
+// Account profile being set up
+const ACCOUNT = resolveAccountProfile();
+const CREDENTIALS_PATH = ACCOUNT.credentialsPath;
+
+/**
+ * Resolves the profile named by --account (the default profile if absent)
+ */
+function resolveAccountProfile() {
+  try {
+    return getAccountPaths(CONFIG_DIR, parseAccountFlag(process.argv.slice(2)) || DEFAULT_ACCOUNT, {});
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
 
 /**
  * Prints a nicely formatted box with content
@@ -71,7 +92,7 @@ async function handleExistingSetup() {
     const response = await prompts({
       type: 'confirm',
       name: 'rerun',
-      message: 'Already set up. Re-run setup?',
+      message: ACCOUNT.name === DEFAULT_ACCOUNT ? 'Already set up. Re-run setup?' : `Account "${ACCOUNT.name}" already set up. Re-authenticate?`,
       initial: false
     });
 
@@ -79,15 +100,16 @@ async function handleExistingSetup() {
       console.log('Setup cancelled.');
       process.exit(0);
     }
-    return 'rerun';
+    // Extra profiles share the OAuth keys, so re-running one only repeats authentication
+    return ACCOUNT.name !== DEFAULT_ACCOUNT && hasOAuthKeys ? 'continue-auth' : 'rerun';
   }
 
   if (hasOAuthKeys) {
-    // OAuth configured but not authenticated
+    // OAuth configured but not authenticated (always the case for a new account profile)
     const response = await prompts({
       type: 'confirm',
       name: 'continueAuth',
-      message: 'OAuth configured but not authenticated. Continue auth?',
+      message: ACCOUNT.name === DEFAULT_ACCOUNT ? 'OAuth configured but not authenticated. Continue auth?' : `Authenticate new account "${ACCOUNT.name}"?`,
       initial: true
     });
 
@@ -204,16 +226,62 @@ function setupConfigDirectory(oauthSourcePath) {
   console.log(`  Copied OAuth keys to ${OAUTH_KEYS_PATH}`);
 }
 
+/**
+ * Ask for the install mode and record it in the policy file
+ * The mode applies to every account, so adding a profile uses it as it is
+ */
+async function promptForMode() {
+  printStep(4, 'Choose Access Mode');
+
+  const policyPath = findPolicyFile(CONFIG_DIR);
+  let current = 'modify';
+  try {
+    current = loadPolicy(policyPath).mode;
+  } catch {
+    // An invalid policy file is reported when the server starts; offer the default here
+  }
+
+  if (ACCOUNT.name !== DEFAULT_ACCOUNT) {
+    console.log(`  Using mode "${current}", shared by all accounts. Change it with "npm run init" (without --account).`);
+    return current;
+  }
+
+  const response = await prompts({
+    type: 'select',
+    name: 'mode',
+    message: 'What may safe-gmail-mcp do?',
+    choices: [
+      { title: 'Read, label, archive and draft (gmail.modify)', value: 'modify' },
+      { title: 'Read only (gmail.readonly)', value: 'readonly' }
+    ],
+    initial: current === 'readonly' ? 1 : 0
+  });
+
+  if (!response.mode) {
+    console.log('Setup cancelled.');
+    process.exit(1);
+  }
+
+  const written = savePolicyMode(policyPath, CONFIG_DIR, response.mode);
+  console.log(`  Saved mode "${response.mode}" to ${written}`);
+  return response.mode;
+}
+
 /**
  * Run the OAuth authentication flow
  */
-async function runAuthFlow() {
-  printStep(4, 'Authenticate with Google');
+async function runAuthFlow(mode) {
+  printStep(5, 'Authenticate with Google');
 
   console.log('  Opening browser for authentication...\n');
 
+  // Profile directories hold tokens, so keep them owner-only like the config directory
+  if (!fs.existsSync(ACCOUNT.dir)) {
+    fs.mkdirSync(ACCOUNT.dir, { recursive: true, mode: 0o700 });
+  }
+
   const { client, port } = await loadOAuthClient(OAUTH_KEYS_PATH, CREDENTIALS_PATH);
-  await authenticate(client, CREDENTIALS_PATH, port);
+  await authenticate(client, CREDENTIALS_PATH, port, mode);
 
   // Set permissions on credentials file
   if (fs.existsSync(CREDENTIALS_PATH)) {
@@ -227,7 +295,7 @@ async function runAuthFlow() {
  * Display MCP configuration
  */
 function displayMCPConfig() {
-  printStep(5, 'Add to Claude Code');
+  printStep(6, 'Add to Claude Code');
 
   const projectPath = process.cwd();
 
@@ -238,7 +306,7 @@ function displayMCPConfig() {
         args: [path.join(projectPath, 'src/index.js')],
         env: {
           GMAIL_OAUTH_PATH: OAUTH_KEYS_PATH,
-          GMAIL_CREDENTIALS_PATH: CREDENTIALS_PATH
+          GMAIL_CREDENTIALS_PATH: DEFAULT_CREDENTIALS_PATH
         }
       }
     }
@@ -247,6 +315,10 @@ function displayMCPConfig() {
   console.log('Copy this to your .mcp.json:\n');
   console.log(JSON.stringify(config, null, 2));
   console.log();
+
+  if (ACCOUNT.name !== DEFAULT_ACCOUNT) {
+    console.log(`The server picks up account "${ACCOUNT.name}" on its next start; pass account: "${ACCOUNT.name}" to any tool to use it.\n`);
+  }
 }
 
 /**
@@ -288,8 +360,9 @@ async function main() {
       setupConfigDirectory(oauthPath);
     }
 
-    // Run auth flow (for fresh, rerun, and continue-auth states)
-    await runAuthFlow();
+    // Pick the mode, then run auth flow with its scope (for fresh, rerun, and continue-auth states)
+    const mode = await promptForMode();
+    await runAuthFlow(mode);
 
     // Show MCP config
     displayMCPConfig();
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Schemas CLI for safe-gmail-mcp
+ *
+ * Prints the JSON Schema of each tool's `data` in JSON output, together with the schemas
+ * of confirmation requests and typed errors.
+ *
+ * Usage:
+ *   npm run schemas
+ *   npm run schemas -- --tool read_email
+ */
+
+import { TOOL_DATA_SCHEMAS, toolSchemasAsJsonSchema } from '../tool-schemas.js';
+
+/**
+ * Parse command-line flags
+ */
+function parseArgs(argv) {
+  const options = { tools: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--tool': {
+        const tool = argv[++i];
+        if (!tool || !TOOL_DATA_SCHEMAS[tool]) {
+          throw new Error(`--tool expects one of: ${Object.keys(TOOL_DATA_SCHEMAS).join(', ')}`);
+        }
+        options.tools.push(tool);
+        break;
+      }
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main schemas command
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const schemas = toolSchemasAsJsonSchema(options.tools.length > 0 ? options.tools : undefined);
+  console.log(JSON.stringify(schemas, null, 2));
+}
+
+main();
@@ -3,19 +3,27 @@
 /**
  * Status CLI for safe-gmail-mcp
  *
- * Displays current authentication status and configuration.
+ * Displays current authentication status and configuration of every account profile.
  */
 
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { google } from 'googleapis';
-import { loadOAuthClient, refreshIfNeeded } from '../auth/oauth.js';
+import { loadOAuthClient, refreshIfNeeded, getGrantedScopes, findDisallowedScopes } from '../auth/oauth.js';
+import { findPolicyFile, loadPolicy } from '../policy.js';
+import { DEFAULT_ACCOUNT, getAccountPaths, listAccounts, parseAccountFlag } from '../accounts.js';
 
 // Configuration paths
 const CONFIG_DIR = path.join(os.homedir(), '.safe-gmail-mcp');
 const OAUTH_KEYS_PATH = path.join(CONFIG_DIR, 'gcp-oauth.keys.json');
-const CREDENTIALS_PATH = path.join(CONFIG_DIR, 'credentials.json');
+
+/**
+ * Command that re-authenticates an account
+ */
+function authCommand(account) {
+  return account.name === DEFAULT_ACCOUNT ? 'npm run auth' : `npm run auth -- --account ${account.name}`;
+}
 
 /**
  * Format a timestamp as a human-readable date
@@ -26,48 +34,31 @@ function formatDate(timestamp) {
 }
 
 /**
- * Main status check
+ * Checks one account profile and prints its status
+ * @returns {Promise<boolean>} True if the account is ready
  */
-async function main() {
-  console.log('\n=== safe-gmail-mcp Status ===\n');
-
-  // Check config directory
-  if (!fs.existsSync(CONFIG_DIR)) {
-    console.log('Status: Not configured');
-    console.log('\nRun "npm run init" to set up safe-gmail-mcp.\n');
-    process.exit(1);
-  }
-
-  // Check OAuth keys
-  if (!fs.existsSync(OAUTH_KEYS_PATH)) {
-    console.log('Status: OAuth keys missing');
-    console.log(`Expected at: ${OAUTH_KEYS_PATH}`);
-    console.log('\nRun "npm run init" to set up safe-gmail-mcp.\n');
-    process.exit(1);
-  }
-
-  console.log('OAuth Keys: Found');
-  console.log(`  Path: ${OAUTH_KEYS_PATH}`);
+async function checkAccount(account, mode) {
+  console.log(`\n--- Account: ${account.name} ---`);
 
   // Check credentials
-  if (!fs.existsSync(CREDENTIALS_PATH)) {
+  if (!fs.existsSync(account.credentialsPath)) {
     console.log('\nCredentials: Not authenticated');
-    console.log('\nRun "npm run auth" to authenticate.\n');
-    process.exit(1);
+    console.log(`\nRun "${authCommand(account)}" to authenticate.`);
+    return false;
   }
 
   // Parse credentials
   let credentials;
   try {
-    credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'));
+    credentials = JSON.parse(fs.readFileSync(account.credentialsPath, 'utf8'));
   } catch (error) {
     console.log('\nCredentials: Invalid (corrupted file)');
-    console.log('\nRun "npm run auth" to re-authenticate.\n');
-    process.exit(1);
+    console.log(`\nRun "${authCommand(account)}" to re-authenticate.`);
+    return false;
   }
 
   console.log('\nCredentials: Found');
-  console.log(`  Path: ${CREDENTIALS_PATH}`);
+  console.log(`  Path: ${account.credentialsPath}`);
   console.log(`  Token expiry: ${formatDate(credentials.expiry_date)}`);
 
   // Check if token is expired
@@ -78,8 +69,8 @@ async function main() {
       console.log('  Refresh token: Available (will auto-refresh)');
     } else {
       console.log('  Refresh token: Missing (re-auth required)');
-      console.log('\nRun "npm run auth" to re-authenticate.\n');
-      process.exit(1);
+      console.log(`\nRun "${authCommand(account)}" to re-authenticate.`);
+      return false;
     }
   } else {
     console.log('  Status: Valid');
@@ -87,10 +78,10 @@ async function main() {
 
   // Try to get the authenticated email
   try {
-    const { client } = await loadOAuthClient(OAUTH_KEYS_PATH, CREDENTIALS_PATH);
+    const { client } = await loadOAuthClient(OAUTH_KEYS_PATH, account.credentialsPath);
 
     // Refresh token if needed
-    await refreshIfNeeded(client, CREDENTIALS_PATH);
+    await refreshIfNeeded(client, account.credentialsPath);
 
     // Get user profile
     const gmail = google.gmail({ version: 'v1', auth: client });
@@ -101,7 +92,20 @@ async function main() {
     console.log(`  Messages: ${profile.data.messagesTotal}`);
     console.log(`  Threads: ${profile.data.threadsTotal}`);
 
-    console.log('\nStatus: Ready\n');
+    // Compare the granted scopes with the configured mode, as the server does at startup
+    const grantedScopes = await getGrantedScopes(client);
+    const disallowedScopes = findDisallowedScopes(grantedScopes, mode);
+    console.log('\nAccess Mode:');
+    console.log(`  Mode: ${mode}`);
+    console.log(`  Granted scopes: ${grantedScopes.join(', ') || 'none'}`);
+    if (disallowedScopes.length > 0) {
+      console.log(`  Too broad for ${mode} mode: ${disallowedScopes.join(', ')}`);
+      console.log(`\nStatus: Server will refuse to start. Run "${authCommand(account)}" to re-authenticate.`);
+      return false;
+    }
+
+    console.log('\nStatus: Ready');
+    return true;
 
   } catch (error) {
     console.log('\nAPI Test: Failed');
@@ -109,17 +113,59 @@ async function main() {
 
     // Check for common errors
     if (error.message.includes('invalid_grant')) {
-      console.log('\n  Your token has been revoked. Run "npm run auth" to re-authenticate.\n');
+      console.log(`\n  Your token has been revoked. Run "${authCommand(account)}" to re-authenticate.`);
     } else if (error.message.includes('Gmail API has not been used')) {
-      console.log('\n  Enable Gmail API: APIs & Services > Library > Gmail API > Enable\n');
+      console.log('\n  Enable Gmail API: APIs & Services > Library > Gmail API > Enable');
     } else if (error.message.includes('access_denied')) {
-      console.log('\n  Add your email as a test user in the OAuth consent screen.\n');
+      console.log('\n  Add your email as a test user in the OAuth consent screen.');
     } else {
-      console.log('\n  Run "npm run auth" to re-authenticate.\n');
+      console.log(`\n  Run "${authCommand(account)}" to re-authenticate.`);
     }
 
+    return false;
+  }
+}
+
+/**
+ * Main status check
+ * Shows every account profile, or only the one named by --account
+ */
+async function main() {
+  console.log('\n=== safe-gmail-mcp Status ===\n');
+
+  // Check config directory
+  if (!fs.existsSync(CONFIG_DIR)) {
+    console.log('Status: Not configured');
+    console.log('\nRun "npm run init" to set up safe-gmail-mcp.\n');
+    process.exit(1);
+  }
+
+  // Check OAuth keys
+  if (!fs.existsSync(OAUTH_KEYS_PATH)) {
+    console.log('Status: OAuth keys missing');
+    console.log(`Expected at: ${OAUTH_KEYS_PATH}`);
+    console.log('\nRun "npm run init" to set up safe-gmail-mcp.\n');
     process.exit(1);
   }
+
+  console.log('OAuth Keys: Found');
+  console.log(`  Path: ${OAUTH_KEYS_PATH}`);
+
+  const accountName = parseAccountFlag(process.argv.slice(2));
+  const accounts = accountName ? [getAccountPaths(CONFIG_DIR, accountName, {})] : listAccounts(CONFIG_DIR, {});
+  if (accounts.length === 0) {
+    console.log('\nCredentials: Not authenticated');
+    console.log('\nRun "npm run auth" to authenticate.\n');
+    process.exit(1);
+  }
+
+  const mode = loadPolicy(findPolicyFile(CONFIG_DIR)).mode;
+  let allReady = true;
+  for (const account of accounts) {
+    allReady = await checkAccount(account, mode) && allReady;
+  }
+  console.log();
+  process.exit(allReady ? 0 : 1);
 }
 
 main().catch((error) => {
@@ -0,0 +1,152 @@
+/**
+ * Two-phase confirmation for Gmail MCP Server
+ * High-impact calls first return a summary and a short-lived, single-use token bound to
+ * the exact arguments; the operation only runs when the call is repeated with that token
+ */
+import crypto from 'crypto';
+import { isDryRun } from './dry-run.js';
+
+export const DEFAULT_CONFIRMATION_CONFIG = {
+    tools: ['batch_modify_emails', 'delete_label', 'send_email'],
+    // batch_modify_emails calls touching at least this many messages need confirmation
+    batchThreshold: 50,
+    ttlMs: 5 * 60 * 1000,
+};
+
+/**
+ * Error raised when a confirmation token is missing, expired, reused or for other arguments
+ */
+export class ConfirmationError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'ConfirmationError';
+        this.code = 'CONFIRMATION_INVALID';
+        this.details = { reason };
+    }
+}
+
+/**
+ * Loads the confirmation config
+ * GMAIL_CONFIRM_TOOLS (comma-separated, empty to disable), GMAIL_CONFIRM_BATCH_THRESHOLD and
+ * GMAIL_CONFIRM_TTL_SECONDS override the defaults
+ * @param env - Environment to read overrides from
+ */
+export function loadConfirmationConfig(env = process.env) {
+    const threshold = Number.parseInt(env.GMAIL_CONFIRM_BATCH_THRESHOLD, 10);
+    const ttlSeconds = Number.parseInt(env.GMAIL_CONFIRM_TTL_SECONDS, 10);
+    return {
+        tools: env.GMAIL_CONFIRM_TOOLS !== undefined ?
+            env.GMAIL_CONFIRM_TOOLS.split(',').map(t => t.trim()).filter(Boolean) :
+            DEFAULT_CONFIRMATION_CONFIG.tools,
+        batchThreshold: Number.isInteger(threshold) && threshold > 0 ? threshold : DEFAULT_CONFIRMATION_CONFIG.batchThreshold,
+        ttlMs: Number.isInteger(ttlSeconds) && ttlSeconds > 0 ? ttlSeconds * 1000 : DEFAULT_CONFIRMATION_CONFIG.ttlMs,
+    };
+}
+
+/**
+ * Decides whether a call needs confirmation and describes what it would do
+ * @param name - Tool name
+ * @param args - Raw tool arguments
+ * @param config - Config from loadConfirmationConfig
+ * @returns A one-line summary of the operation, or null if no confirmation is needed
+ */
+export function describeHighImpactCall(name, args = {}, config) {
+    if (!config.tools.includes(name) || isDryRun(name, args)) {
+        return null;
+    }
+    switch (name) {
+        case 'batch_modify_emails': {
+            const count = args.messageIds?.length || 0;
+            if (count < config.batchThreshold) {
+                return null;
+            }
+            const changes = [
+                args.addLabelIds?.length ? `add ${args.addLabelIds.join(', ')}` : '',
+                args.removeLabelIds?.length ? `remove ${args.removeLabelIds.join(', ')}` : '',
+            ].filter(Boolean).join(' and ');
+            return `Modify labels on ${count} messages: ${changes || 'no label changes'}`;
+        }
+        case 'delete_label':
+            return `Delete label ${args.id}`;
+        case 'send_email': {
+            const attachments = args.attachments || [];
+            if (attachments.length === 0) {
+                return null;
+            }
+            return `Send "${args.subject}" to ${(args.to || []).join(', ')} with ${attachments.length} attachment(s): ${attachments.join(', ')}`;
+        }
+        default:
+            return `Run ${name}`;
+    }
+}
+
+/**
+ * Serializes arguments with sorted keys so equal arguments always hash the same
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Hashes a call's tool name and arguments, ignoring the token itself
+ */
+function hashCall(name, args) {
+    const { confirmationToken, ...rest } = args || {};
+    return crypto.createHash('sha256').update(name).update(canonicalize(rest)).digest('hex');
+}
+
+/**
+ * Creates an in-memory store of pending confirmation tokens
+ * Tokens do not survive a restart, which only makes them stricter
+ * @param config - Config from loadConfirmationConfig
+ */
+export function createConfirmationStore(config) {
+    const pending = new Map();
+
+    const prune = () => {
+        const now = Date.now();
+        for (const [token, entry] of pending) {
+            if (entry.expiresAt <= now) {
+                pending.delete(token);
+            }
+        }
+    };
+
+    return {
+        /**
+         * Issues a token for this exact call
+         * @returns {{ token: string, expiresAt: Date }}
+         */
+        issue(name, args) {
+            prune();
+            const token = crypto.randomBytes(6).toString('hex');
+            const expiresAt = Date.now() + config.ttlMs;
+            pending.set(token, { name, hash: hashCall(name, args), expiresAt });
+            return { token, expiresAt: new Date(expiresAt) };
+        },
+        /**
+         * Consumes a token, which must match the tool and arguments it was issued for
+         * @throws {ConfirmationError} If the token is unknown, expired or for a different call
+         */
+        consume(token, name, args) {
+            const entry = pending.get(token);
+            // Single use: even a mismatched attempt burns the token
+            pending.delete(token);
+            if (!entry) {
+                throw new ConfirmationError('unknown-token', 'Confirmation token is unknown or was already used. Call again without a token to get a new one.');
+            }
+            if (entry.expiresAt <= Date.now()) {
+                throw new ConfirmationError('expired', 'Confirmation token has expired. Call again without a token to get a new one.');
+            }
+            if (entry.name !== name || entry.hash !== hashCall(name, args)) {
+                throw new ConfirmationError('arguments-changed', 'Confirmation token was issued for different arguments. Call again without a token to get a new one.');
+            }
+        },
+    };
+}
@@ -0,0 +1,205 @@
+/**
+ * Download Guard for Gmail MCP Server
+ * Confines downloaded attachments to a download root, sanitizes sender-controlled
+ * filenames, never overwrites existing files and rejects content that lies about its type
+ */
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import mime from 'mime-types';
+
+export const DEFAULT_DOWNLOAD_ROOT = path.join(os.homedir(), 'SafeGmail', 'downloads');
+
+// Names Windows treats as devices regardless of extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+// Control characters, bidi overrides and zero-width characters
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g;
+// Characters that are path separators or invalid on common filesystems
+const RESERVED_CHARACTERS = /[<>:"/\\|?*]/g;
+const MAX_FILENAME_LENGTH = 200;
+
+// Extensions that run code when opened
+const EXECUTABLE_EXTENSIONS = ['exe', 'com', 'scr', 'bat', 'cmd', 'msi', 'dll', 'ps1', 'vbs', 'vbe', 'js', 'jse', 'wsf', 'hta', 'jar', 'sh', 'app', 'lnk', 'pif', 'cpl'];
+const EXECUTABLE_MIME_TYPES = ['application/x-msdownload', 'application/x-msdos-program', 'application/x-executable', 'application/x-sh', 'application/java-archive', 'application/x-elf', 'application/x-mach-binary'];
+
+// Magic numbers for executables and for types whose declared mimeType we can verify
+const SIGNATURES = [
+    { kind: 'executable', name: 'Windows executable', bytes: [0x4d, 0x5a] },
+    { kind: 'executable', name: 'ELF executable', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+    { kind: 'executable', name: 'Mach-O executable', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+    { kind: 'executable', name: 'Mach-O executable', bytes: [0xce, 0xfa, 0xed, 0xfe] },
+    { kind: 'executable', name: 'Mach-O universal binary', bytes: [0xca, 0xfe, 0xba, 0xbe] },
+    { kind: 'executable', name: 'shell script', bytes: [0x23, 0x21] },
+    { kind: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+    { kind: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { kind: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { kind: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { kind: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+];
+
+// Declared types that must start with a known signature
+const VERIFIABLE_TYPES = {
+    'application/pdf': 'application/pdf',
+    'image/png': 'image/png',
+    'image/jpeg': 'image/jpeg',
+    'image/gif': 'image/gif',
+    'application/zip': 'zip',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'zip',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'zip',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'zip',
+};
+
+/**
+ * Error raised when a download breaks a rule of the download policy
+ */
+export class DownloadRejectedError extends Error {
+    /**
+     * @param {string} rule - Rule that fired (e.g. 'outside-root', 'content-mismatch')
+     * @param {string} message - Human-readable explanation
+     * @param {object} details - Extra context
+     */
+    constructor(rule, message, details = {}) {
+        super(`Download rejected (${rule}): ${message}`);
+        this.name = 'DownloadRejectedError';
+        this.code = 'DOWNLOAD_REJECTED';
+        this.details = { rule, ...details };
+    }
+}
+
+/**
+ * Loads the download root; GMAIL_DOWNLOAD_ROOT overrides the default
+ * @param env - Environment to read overrides from
+ * @returns Absolute download root
+ */
+export function loadDownloadRoot(env = process.env) {
+    const root = env.GMAIL_DOWNLOAD_ROOT || DEFAULT_DOWNLOAD_ROOT;
+    return path.resolve(root.replace(/^~(?=$|[\\/])/, os.homedir()));
+}
+
+/**
+ * Turns a sender-controlled filename into a safe single path component
+ * @param filename - Raw filename from the message or the caller
+ * @returns Sanitized filename, never empty
+ */
+export function sanitizeFilename(filename) {
+    // Keep only the last path component, whichever separator the sender used
+    let name = String(filename || '').split(/[\\/]/).pop();
+    name = name.replace(UNSAFE_CHARACTERS, '').replace(RESERVED_CHARACTERS, '_');
+    // Leading dots create hidden files; trailing dots and spaces are stripped by Windows
+    name = name.replace(/^[.\s]+/, '').replace(/[.\s]+$/, '');
+    if (RESERVED_NAMES.test(name)) {
+        name = `_${name}`;
+    }
+    if (name.length > MAX_FILENAME_LENGTH) {
+        const ext = path.extname(name).slice(0, 20);
+        name = name.slice(0, MAX_FILENAME_LENGTH - ext.length) + ext;
+    }
+    return name || 'attachment';
+}
+
+/**
+ * Checks whether `child` is `parent` or lies beneath it
+ */
+function isInside(parent, child) {
+    const relative = path.relative(parent, child);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Resolves the directory to save into, which must lie inside the download root
+ * Relative paths resolve against the root. Missing directories are created one level at a
+ * time, each only after the real path of its parent was checked, so a symlink inside the root
+ * can never get a directory created outside it
+ * @param root - Download root from loadDownloadRoot
+ * @param savePath - Optional caller-supplied directory
+ * @returns Real path of the target directory
+ */
+export function resolveDownloadDirectory(root, savePath) {
+    fs.mkdirSync(root, { recursive: true, mode: 0o700 });
+    const realRoot = fs.realpathSync(root);
+    const requested = path.resolve(realRoot, (savePath || '.').replace(/^~(?=$|[\\/])/, os.homedir()));
+    if (!isInside(realRoot, requested)) {
+        throw new DownloadRejectedError('outside-root', `${savePath} is outside the download directory ${realRoot}.`, { savePath, root: realRoot });
+    }
+    let current = realRoot;
+    for (const component of path.relative(realRoot, requested).split(path.sep).filter(Boolean)) {
+        const next = path.join(current, component);
+        if (!fs.existsSync(next)) {
+            fs.mkdirSync(next, { mode: 0o700 });
+        }
+        // Resolve symlinks before going any deeper
+        current = fs.realpathSync(next);
+        if (!isInside(realRoot, current)) {
+            throw new DownloadRejectedError('outside-root', `${savePath} resolves outside the download directory ${realRoot}.`, { savePath, root: realRoot });
+        }
+        if (!fs.statSync(current).isDirectory()) {
+            throw new DownloadRejectedError('not-a-directory', `${savePath} is not a directory.`, { savePath });
+        }
+    }
+    return current;
+}
+
+/**
+ * Identifies content by its leading bytes
+ * @param buffer - File content
+ * @returns Matching signature entry, or null
+ */
+function sniffContent(buffer) {
+    return SIGNATURES.find(signature => signature.bytes.every((byte, i) => buffer[i] === byte)) || null;
+}
+
+/**
+ * Rejects content whose bytes or extension contradict its declared mimeType
+ * @param buffer - Attachment content
+ * @param filename - Sanitized filename
+ * @param declaredMimeType - mimeType from the message part
+ * @throws {DownloadRejectedError} With rule 'executable-content', 'content-mismatch' or 'extension-mismatch'
+ */
+export function verifyContentType(buffer, filename, declaredMimeType) {
+    const declared = (declaredMimeType || 'application/octet-stream').toLowerCase();
+    const declaresExecutable = EXECUTABLE_MIME_TYPES.includes(declared);
+    const sniffed = sniffContent(buffer);
+
+    if (sniffed?.kind === 'executable' && !declaresExecutable) {
+        throw new DownloadRejectedError('executable-content', `${filename} is a ${sniffed.name} but is declared as ${declared}.`, { filename, declaredMimeType: declared });
+    }
+    const expected = VERIFIABLE_TYPES[declared];
+    if (expected && sniffed?.kind !== expected) {
+        throw new DownloadRejectedError('content-mismatch', `${filename} is declared as ${declared} but its content does not match.`, { filename, declaredMimeType: declared });
+    }
+
+    const extension = path.extname(filename).slice(1).toLowerCase();
+    if (EXECUTABLE_EXTENSIONS.includes(extension) && !declaresExecutable) {
+        throw new DownloadRejectedError('extension-mismatch', `${filename} has an executable extension but is declared as ${declared}.`, { filename, declaredMimeType: declared });
+    }
+    const extensionType = mime.lookup(filename);
+    if (expected && extensionType && extensionType !== declared) {
+        throw new DownloadRejectedError('extension-mismatch', `${filename} does not have an extension matching ${declared}.`, { filename, declaredMimeType: declared });
+    }
+}
+
+/**
+ * Writes a file without ever overwriting: "name.pdf" becomes "name (1).pdf" and so on
+ * @param directory - Target directory
+ * @param filename - Sanitized filename
+ * @param buffer - Content to write
+ * @returns Full path of the written file
+ */
+export function writeWithoutOverwrite(directory, filename, buffer) {
+    const ext = path.extname(filename);
+    const stem = filename.slice(0, filename.length - ext.length);
+    for (let i = 0; i < 1000; i++) {
+        const candidate = path.join(directory, i === 0 ? filename : `${stem} (${i})${ext}`);
+        try {
+            // 'wx' fails if the file exists, so there is no check-then-write race
+            fs.writeFileSync(candidate, buffer, { flag: 'wx', mode: 0o600 });
+            return candidate;
+        }
+        catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+    }
+    throw new DownloadRejectedError('name-exhausted', `Too many files named ${filename} in ${directory}.`, { filename });
+}
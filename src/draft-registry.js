@@ -0,0 +1,76 @@
+/**
+ * Draft Registry for Gmail MCP Server
+ * Tracks the drafts this server created so it may only discard its own work
+ */
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Loads the registry from disk
+ * @param registryPath - Path to the registry JSON file
+ * @returns Registry object keyed by draft ID
+ */
+export function loadDraftRegistry(registryPath) {
+    if (!fs.existsSync(registryPath)) {
+        return { drafts: {} };
+    }
+    try {
+        const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+        return { drafts: registry.drafts || {} };
+    }
+    catch (error) {
+        throw new Error(`Draft registry at ${registryPath} is corrupted: ${error.message}`);
+    }
+}
+
+/**
+ * Writes the registry to disk (owner read/write only)
+ * @param registryPath - Path to the registry JSON file
+ * @param registry - Registry object to save
+ */
+function saveDraftRegistry(registryPath, registry) {
+    const dir = path.dirname(registryPath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+    fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Records a draft created or updated by this server
+ * @param registryPath - Path to the registry JSON file
+ * @param draftId - Gmail draft ID
+ * @param info - Extra details to store (e.g. subject)
+ */
+export function recordDraft(registryPath, draftId, info = {}) {
+    const registry = loadDraftRegistry(registryPath);
+    const now = new Date().toISOString();
+    registry.drafts[draftId] = {
+        ...registry.drafts[draftId],
+        ...info,
+        createdAt: registry.drafts[draftId]?.createdAt || now,
+        updatedAt: now,
+    };
+    saveDraftRegistry(registryPath, registry);
+}
+
+/**
+ * Checks whether a draft was created by this server
+ * @param registryPath - Path to the registry JSON file
+ * @param draftId - Gmail draft ID
+ * @returns True if the draft is in the registry
+ */
+export function isOwnDraft(registryPath, draftId) {
+    return Object.prototype.hasOwnProperty.call(loadDraftRegistry(registryPath).drafts, draftId);
+}
+
+/**
+ * Removes a draft from the registry
+ * @param registryPath - Path to the registry JSON file
+ * @param draftId - Gmail draft ID
+ */
+export function forgetDraft(registryPath, draftId) {
+    const registry = loadDraftRegistry(registryPath);
+    delete registry.drafts[draftId];
+    saveDraftRegistry(registryPath, registry);
+}
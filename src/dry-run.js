@@ -0,0 +1,91 @@
+/**
+ * Dry-run previews for Gmail MCP Server
+ * Computes what a label mutation would do to each message without applying it
+ */
+
+// Tools whose schema takes dryRun; any other tool ignores the flag and runs for real
+export const DRY_RUN_TOOLS = [
+    'draft_email', 'modify_email', 'batch_modify_emails', 'create_label', 'update_label', 'delete_label',
+];
+
+/**
+ * Checks whether a call is a preview that changes nothing
+ * @param name - Tool name
+ * @param args - Raw tool arguments
+ */
+export function isDryRun(name, args = {}) {
+    return DRY_RUN_TOOLS.includes(name) && args.dryRun === true;
+}
+
+/**
+ * Finds label IDs in a change that do not exist in the mailbox
+ * @param requestBody - Object with optional addLabelIds and removeLabelIds
+ * @param knownLabels - Labels from listLabels().all
+ * @returns Unknown label IDs
+ */
+export function findUnknownLabels(requestBody, knownLabels) {
+    const known = new Set(knownLabels.map(label => label.id));
+    return [...new Set([...(requestBody.addLabelIds || []), ...(requestBody.removeLabelIds || [])])]
+        .filter(labelId => !known.has(labelId));
+}
+
+/**
+ * Computes the label transition of every target message
+ * @param messageIds - Target message IDs
+ * @param snapshots - Object mapping message ID to current labels (from snapshotLabels)
+ * @param requestBody - Object with optional addLabelIds and removeLabelIds
+ * @returns { changes: [{ messageId, added, removed }], unchanged: [messageId], missing: [messageId] }
+ */
+export function previewLabelChange(messageIds, snapshots, requestBody) {
+    const changes = [];
+    const unchanged = [];
+    const missing = [];
+    for (const messageId of messageIds) {
+        const current = snapshots[messageId];
+        if (!current) {
+            missing.push(messageId);
+            continue;
+        }
+        const added = (requestBody.addLabelIds || []).filter(labelId => !current.includes(labelId));
+        const removed = (requestBody.removeLabelIds || []).filter(labelId => current.includes(labelId));
+        if (added.length === 0 && removed.length === 0) {
+            unchanged.push(messageId);
+        }
+        else {
+            changes.push({ messageId, added, removed });
+        }
+    }
+    return { changes, unchanged, missing };
+}
+
+/**
+ * Formats a label preview as text
+ * @param preview - Result of previewLabelChange
+ * @param unknownLabels - Result of findUnknownLabels
+ * @param knownLabels - Labels from listLabels().all, used to show names next to IDs
+ * @returns Human-readable report
+ */
+export function formatLabelPreview(preview, unknownLabels, knownLabels) {
+    const names = new Map(knownLabels.map(label => [label.id, label.name]));
+    const describe = (labelId) => names.has(labelId) && names.get(labelId) !== labelId ? `${labelId} (${names.get(labelId)})` : labelId;
+    let text = `DRY RUN - no changes were made.\n\n`;
+    text += `Would change: ${preview.changes.length} messages\n`;
+    text += `Already in target state: ${preview.unchanged.length} messages\n`;
+    if (preview.missing.length > 0) {
+        text += `Not found: ${preview.missing.length} messages (${preview.missing.join(', ')})\n`;
+    }
+    if (unknownLabels.length > 0) {
+        text += `Unknown label IDs (the real call would fail): ${unknownLabels.join(', ')}\n`;
+    }
+    if (preview.changes.length > 0) {
+        text += `\nLabel transitions:\n`;
+        text += preview.changes.map(change => {
+            const parts = [
+                ...change.added.map(labelId => `+${describe(labelId)}`),
+                ...change.removed.map(labelId => `-${describe(labelId)}`),
+            ];
+            return `- ${change.messageId}: ${parts.join(' ')}`;
+        }).join('\n');
+    }
+    return text;
+}
@@ -0,0 +1,236 @@
+/**
+ * Resilient Gmail API client for Gmail MCP Server
+ * Routes every Gmail call through one wrapper that retries rate limits and transient
+ * failures with exponential backoff, and enforces a per-session request budget
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+
+// HTTP statuses worth retrying: rate limiting and transient server errors
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+// 403s are retryable only when Gmail says they are quota related (or a backend hiccup)
+const RATE_LIMIT_403_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+const RETRYABLE_403_REASONS = [...RATE_LIMIT_403_REASONS, 'backendError'];
+// Low-level network failures
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE', 'ESOCKETTIMEDOUT'];
+// Methods that create something (messages.send, drafts.create, labels.create, ...). A 5xx or a
+// dropped connection may come after Gmail already acted, so these only retry on rate limits
+const NON_IDEMPOTENT_METHODS = ['create', 'send', 'insert', 'import'];
+
+export const DEFAULT_RETRY_OPTIONS = {
+    maxRetries: 5,
+    baseDelayMs: 500,
+    maxDelayMs: 32000,
+    // A Retry-After longer than this is treated as a permanent failure
+    maxRetryAfterMs: 60000,
+};
+
+// Per tool call request/retry counters
+const callStats = new AsyncLocalStorage();
+
+/**
+ * Error raised when the session has used up its Gmail request budget
+ */
+export class RequestBudgetExceededError extends Error {
+    constructor(budget) {
+        super(`Gmail request budget of ${budget} requests for this session is exhausted. Restart the server to reset it.`);
+        this.name = 'RequestBudgetExceededError';
+        this.code = 'REQUEST_BUDGET_EXCEEDED';
+        this.details = { budget };
+    }
+}
+
+/**
+ * Extracts the HTTP status from a googleapis/gaxios error
+ * @param error - Error thrown by a Gmail API call
+ * @returns The HTTP status, or undefined for non-HTTP errors
+ */
+export function getErrorStatus(error) {
+    if (error.response?.status) {
+        return error.response.status;
+    }
+    const code = Number(error.code);
+    return Number.isInteger(code) && code >= 100 ? code : undefined;
+}
+
+/**
+ * Decides whether a failed Gmail call is worth retrying
+ * @param error - Error thrown by a Gmail API call
+ * @returns True for rate limits, transient server errors and network failures
+ */
+export function isRetryableError(error) {
+    const status = getErrorStatus(error);
+    if (status !== undefined) {
+        if (RETRYABLE_STATUSES.includes(status)) {
+            return true;
+        }
+        if (status === 403) {
+            const reasons = (error.errors || error.response?.data?.error?.errors || []).map(e => e.reason);
+            return reasons.some(reason => RETRYABLE_403_REASONS.includes(reason));
+        }
+        return false;
+    }
+    return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Decides whether a failed Gmail call was rejected before Gmail acted on it
+ * @param error - Error thrown by a Gmail API call
+ * @returns True for 429s and quota-related 403s
+ */
+export function isRateLimitError(error) {
+    const status = getErrorStatus(error);
+    if (status === 429) {
+        return true;
+    }
+    if (status === 403) {
+        const reasons = (error.errors || error.response?.data?.error?.errors || []).map(e => e.reason);
+        return reasons.some(reason => RATE_LIMIT_403_REASONS.includes(reason));
+    }
+    return false;
+}
+
+/**
+ * Reads a Retry-After header (seconds or HTTP date) from a failed response
+ * @param error - Error thrown by a Gmail API call
+ * @returns Delay in milliseconds, or null if the header is absent or unparseable
+ */
+export function getRetryAfterMs(error) {
+    const headers = error.response?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Computes the backoff before the next attempt: full jitter, or Retry-After when provided
+ * @param attempt - Zero-based retry number
+ * @param error - The error that triggered the retry
+ * @param options - Retry options
+ * @returns Delay in milliseconds
+ */
+function computeDelay(attempt, error, options) {
+    const retryAfter = getRetryAfterMs(error);
+    if (retryAfter !== null) {
+        return retryAfter;
+    }
+    const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Loads retry options and the session budget from the environment
+ * GMAIL_MAX_RETRIES and GMAIL_REQUEST_BUDGET override the defaults
+ * @param env - Environment to read overrides from
+ */
+export function loadRetryOptions(env = process.env) {
+    const maxRetries = Number.parseInt(env.GMAIL_MAX_RETRIES, 10);
+    const budget = Number.parseInt(env.GMAIL_REQUEST_BUDGET, 10);
+    return {
+        ...DEFAULT_RETRY_OPTIONS,
+        maxRetries: Number.isInteger(maxRetries) && maxRetries >= 0 ? maxRetries : DEFAULT_RETRY_OPTIONS.maxRetries,
+        requestBudget: Number.isInteger(budget) && budget > 0 ? budget : 10000,
+    };
+}
+
+/**
+ * Creates a session that tracks request usage across tool calls
+ * @param options - Options returned by loadRetryOptions
+ */
+export function createGmailSession(options = loadRetryOptions()) {
+    return { options, requests: 0, retries: 0 };
+}
+
+/**
+ * Runs a single Gmail request with retries, counting every attempt against the budget
+ * @param session - Session from createGmailSession
+ * @param request - Function performing one Gmail API call
+ * @param options - `idempotent: false` retries only rate limits, so a request Gmail may already
+ *                  have processed is never repeated
+ * @returns The API response
+ */
+export async function withRetry(session, request, { idempotent = true } = {}) {
+    const { options } = session;
+    const stats = callStats.getStore();
+    for (let attempt = 0; ; attempt++) {
+        if (session.requests >= options.requestBudget) {
+            throw new RequestBudgetExceededError(options.requestBudget);
+        }
+        session.requests++;
+        if (stats) {
+            stats.requests++;
+        }
+        try {
+            return await request();
+        }
+        catch (error) {
+            const retryable = idempotent ? isRetryableError(error) : isRateLimitError(error);
+            if (attempt >= options.maxRetries || !retryable) {
+                throw error;
+            }
+            const delay = computeDelay(attempt, error, options);
+            if (delay > options.maxRetryAfterMs) {
+                throw error;
+            }
+            session.retries++;
+            if (stats) {
+                stats.retries++;
+            }
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Wraps a googleapis Gmail client so every API method goes through withRetry
+ * @param gmail - Client from google.gmail()
+ * @param session - Session from createGmailSession
+ * @returns A drop-in replacement for the Gmail client
+ */
+export function createRetryingGmail(gmail, session) {
+    const proxies = new WeakMap();
+    const wrap = (target) => {
+        if (proxies.has(target)) {
+            return proxies.get(target);
+        }
+        // Proxy an empty object: googleapis defines resources as read-only properties,
+        // which a proxy over the real object would have to return unwrapped
+        const proxy = new Proxy({}, {
+            get(_, prop) {
+                const value = Reflect.get(target, prop);
+                // `context` holds client options, not API resources
+                if (prop === 'context') {
+                    return value;
+                }
+                if (typeof value === 'function') {
+                    const idempotent = !NON_IDEMPOTENT_METHODS.includes(prop);
+                    return (...args) => withRetry(session, () => value.apply(target, args), { idempotent });
+                }
+                if (value && typeof value === 'object') {
+                    return wrap(value);
+                }
+                return value;
+            },
+        });
+        proxies.set(target, proxy);
+        return proxy;
+    };
+    return wrap(gmail);
+}
+
+/**
+ * Runs a tool call while counting the Gmail requests and retries it makes
+ * @param fn - Async function to run
+ * @returns The function's result together with its request stats
+ */
+export async function trackGmailRequests(fn) {
+    const stats = { requests: 0, retries: 0 };
+    const result = await callStats.run(stats, fn);
+    return { result, stats };
+}
@@ -0,0 +1,466 @@
+/**
+ * Header Analysis for Gmail MCP Server
+ * Phishing triage for a single message: SPF/DKIM/DMARC verdicts, the Received hop chain,
+ * sender inconsistencies, lookalike and punycode domains, deceptive links, and a risk score
+ */
+import { domainToUnicode } from 'url';
+import { parseDocument, DomUtils } from 'htmlparser2';
+import { parseAddressList } from './utils/address-list.js';
+import { decodeEncodedWords } from './utils/charset.js';
+
+// Points each finding adds to the risk score (capped at 100)
+const RISK_POINTS = {
+    'spf-fail': 25,
+    'spf-softfail': 10,
+    'spf-none': 5,
+    'dkim-fail': 20,
+    'dkim-none': 10,
+    'dmarc-fail': 30,
+    'dmarc-none': 5,
+    'auth-missing': 10,
+    'auth-unverified': 10,
+    'reply-to-mismatch': 15,
+    'display-name-address': 20,
+    'mixed-script': 20,
+    'lookalike-domain': 30,
+    'punycode-domain': 15,
+    'link-mismatch': 25,
+    'ip-address-link': 10,
+    'received-time-anomaly': 5,
+};
+
+// Authentication results are only trusted when added by Gmail's own receiving servers;
+// anyone else's, including a sender's forged header, could say anything
+const TRUSTED_AUTHSERV_IDS = ['mx.google.com'];
+
+// Scores at or above these thresholds get the matching level
+const RISK_LEVELS = [[50, 'high'], [20, 'medium'], [0, 'low']];
+
+// Characters from other scripts that render like Latin letters, and Latin sequences that
+// read like a single letter; mapped to the letter they imitate
+const CONFUSABLE_CODE_POINTS = [
+    [0x430, 'a'], [0x435, 'e'], [0x43e, 'o'], [0x440, 'p'], [0x441, 'c'], [0x445, 'x'], [0x443, 'y'],
+    [0x456, 'i'], [0x458, 'j'], [0x455, 's'], [0x4bb, 'h'], [0x501, 'd'], [0x3bf, 'o'], [0x3b1, 'a'],
+    [0x3bd, 'v'], [0x3b9, 'i'], [0x3ba, 'k'], [0x3c1, 'p'],
+];
+const CONFUSABLES = new Map(CONFUSABLE_CODE_POINTS.map(([code, letter]) => [String.fromCharCode(code), letter]));
+const CONFUSABLE_SEQUENCES = [[/rn/g, 'm'], [/vv/g, 'w'], [/0/g, 'o'], [/1/g, 'l'], [/3/g, 'e'], [/5/g, 's']];
+
+const LATIN_PATTERN = /[a-z]/i;
+const NON_LATIN_LETTER_PATTERN = new RegExp(`[${String.fromCharCode(0x370)}-${String.fromCharCode(0x3ff)}${String.fromCharCode(0x400)}-${String.fromCharCode(0x4ff)}]`);
+
+// Two-letter second-level labels used under country TLDs (example.co.uk, example.com.au)
+const SECOND_LEVEL_LABELS = ['co', 'com', 'net', 'org', 'ac', 'gov', 'edu', 'ne', 'or'];
+
+/**
+ * Case-insensitive lookup of every value of a header, in message order (newest first)
+ */
+function headerValues(headers, name) {
+    return headers.filter(h => h.name?.toLowerCase() === name).map(h => h.value || '');
+}
+
+/**
+ * Removes RFC 5322 comments (parenthesized, possibly nested) from a header value
+ */
+function stripComments(value) {
+    let result = '';
+    let depth = 0;
+    for (const char of value) {
+        if (char === '(') {
+            depth++;
+        }
+        else if (char === ')' && depth > 0) {
+            depth--;
+        }
+        else if (depth === 0) {
+            result += char;
+        }
+    }
+    return result;
+}
+
+/**
+ * Splits a raw RFC 5322 message into its header list
+ * @param raw - Message source (format 'raw', decoded)
+ * @returns Headers as [{ name, value }] with folded lines joined
+ */
+export function parseRawHeaders(raw) {
+    const headerBlock = raw.split(/\r?\n\r?\n/)[0];
+    const headers = [];
+    for (const line of headerBlock.split(/\r?\n/)) {
+        if (/^[ \t]/.test(line) && headers.length > 0) {
+            headers[headers.length - 1].value += ` ${line.trim()}`;
+            continue;
+        }
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            headers.push({ name: line.slice(0, colon).trim(), value: line.slice(colon + 1).trim() });
+        }
+    }
+    return headers;
+}
+
+/**
+ * Parses an Authentication-Results (or ARC-Authentication-Results) header value
+ * @param value - e.g. `mx.google.com; spf=pass smtp.mailfrom=example.com; dkim=pass header.d=example.com`
+ * @returns { authservId, results: [{ method, result, properties }] }
+ */
+export function parseAuthenticationResults(value) {
+    const parts = stripComments(value.replace(/\r?\n/g, ' ')).split(';').map(s => s.trim());
+    // ARC-Authentication-Results start with the instance tag ("i=1;", sometimes without the ";")
+    if (/^i=\d+$/.test(parts[0])) {
+        parts.shift();
+    }
+    const [authserv, ...clauses] = parts;
+    const results = [];
+    for (const clause of clauses) {
+        const [verdict, ...props] = clause.split(/\s+/).filter(Boolean);
+        const match = verdict?.match(/^([\w-]+)=([\w-]+)$/);
+        if (!match) {
+            continue;
+        }
+        const properties = {};
+        for (const prop of props) {
+            const eq = prop.indexOf('=');
+            if (eq > 0) {
+                properties[prop.slice(0, eq).toLowerCase()] = prop.slice(eq + 1).replace(/^"|"$/g, '');
+            }
+        }
+        results.push({ method: match[1].toLowerCase(), result: match[2].toLowerCase(), properties });
+    }
+    const authservId = (authserv || '').replace(/^i=\d+\s*/, '').split(/\s+/)[0] || '';
+    return { authservId, results };
+}
+
+/**
+ * Picks the authentication results to trust
+ * The topmost Authentication-Results header was added by the receiving server; lower ones may
+ * come from the sender. Without one, the highest ARC instance is used. Either is only verified
+ * when its authserv-id is one of TRUSTED_AUTHSERV_IDS.
+ * @returns { source, authservId, verified, results } or null when the message carries neither header
+ */
+function selectAuthenticationResults(headers) {
+    const verify = (parsed) => ({ ...parsed, verified: TRUSTED_AUTHSERV_IDS.includes(parsed.authservId.toLowerCase()) });
+    const [latest] = headerValues(headers, 'authentication-results');
+    if (latest) {
+        return { source: 'Authentication-Results', ...verify(parseAuthenticationResults(latest)) };
+    }
+    const arc = headerValues(headers, 'arc-authentication-results')
+        .map(value => ({ instance: Number(value.match(/^\s*i=(\d+)/)?.[1] || 0), value }))
+        .sort((a, b) => b.instance - a.instance)[0];
+    if (arc) {
+        return { source: `ARC-Authentication-Results (i=${arc.instance})`, ...verify(parseAuthenticationResults(arc.value)) };
+    }
+    return null;
+}
+
+/**
+ * Parses one Received header
+ * @param value - e.g. `from mail.example.com (mail.example.com [192.0.2.1]) by mx.google.com with ESMTPS id abc; Tue, 2 Jan 2024 10:00:00 -0800`
+ * @returns { from, by, with, ip, timestamp } (timestamp as ISO 8601, or null if unparseable)
+ */
+export function parseReceived(value) {
+    const flat = value.replace(/\s+/g, ' ').trim();
+    const semicolon = flat.lastIndexOf(';');
+    const route = semicolon === -1 ? flat : flat.slice(0, semicolon);
+    const date = semicolon === -1 ? '' : flat.slice(semicolon + 1).trim();
+    const clause = (keyword) => stripComments(route).match(new RegExp(`(?:^|\\s)${keyword}\\s+(\\S+)`, 'i'))?.[1] || '';
+    const ip = route.match(/\[(?:IPv6:)?([0-9a-f.:]+)\]/i)?.[1] || '';
+    const time = Date.parse(date.replace(/\s*\([^)]*\)\s*$/, ''));
+    return {
+        from: clause('from'),
+        by: clause('by'),
+        with: clause('with'),
+        ip,
+        timestamp: Number.isNaN(time) ? null : new Date(time).toISOString(),
+    };
+}
+
+/**
+ * Rebuilds the path a message took from its Received headers
+ * @param headers - Message headers
+ * @returns Hops oldest first, each with the seconds elapsed since the previous hop
+ */
+export function buildReceivedChain(headers) {
+    const hops = headerValues(headers, 'received').map(parseReceived).reverse();
+    return hops.map((hop, i) => {
+        const previous = hops[i - 1];
+        const delaySeconds = previous?.timestamp && hop.timestamp ?
+            Math.round((Date.parse(hop.timestamp) - Date.parse(previous.timestamp)) / 1000) : null;
+        return { hop: i + 1, ...hop, delaySeconds };
+    });
+}
+
+/**
+ * Reads the first mailbox of an address header
+ * @returns { name, address, domain } or null
+ */
+function firstMailbox(value) {
+    if (!value) {
+        return null;
+    }
+    let mailbox;
+    try {
+        mailbox = parseAddressList(value.replace(/\r?\n[ \t]*/g, ' '), 'header')[0];
+    }
+    catch {
+        // Malformed headers are common in phishing; fall back to the angle address
+        const address = value.match(/<([^<>@\s]+@[^<>\s]+)>/)?.[1] || value.match(/[^\s<>"]+@[^\s<>"]+/)?.[0];
+        mailbox = address ? { name: value.split('<')[0].replace(/"/g, '').trim(), address } : null;
+    }
+    if (!mailbox) {
+        return null;
+    }
+    return {
+        // Flattened so a crafted name cannot add lines to the report
+        name: decodeEncodedWords(mailbox.name || '').replace(/\s+/g, ' ').trim(),
+        address: mailbox.address,
+        domain: mailbox.address.split('@').pop().toLowerCase(),
+    };
+}
+
+/**
+ * Reduces a host name to its registrable domain (mail.example.co.uk -> example.co.uk)
+ * Approximates the public suffix list with the common country second-level labels
+ */
+function registrableDomain(domain) {
+    const labels = domain.toLowerCase().replace(/\.$/, '').split('.');
+    const keep = labels.length > 2 && labels[labels.length - 1].length === 2 && SECOND_LEVEL_LABELS.includes(labels[labels.length - 2]) ? 3 : 2;
+    return labels.slice(-keep).join('.');
+}
+
+/**
+ * Maps a domain to a form in which lookalikes collide (paypa1.com and pаypal.com -> paypal.com)
+ */
+function skeleton(domain) {
+    let result = [...domainToUnicode(domain) || domain].map(char => CONFUSABLES.get(char) || char).join('').toLowerCase();
+    for (const [pattern, letter] of CONFUSABLE_SEQUENCES) {
+        result = result.replace(pattern, letter);
+    }
+    return result;
+}
+
+/**
+ * Checks whether text mixes Latin letters with Greek or Cyrillic ones
+ */
+function isMixedScript(text) {
+    return LATIN_PATTERN.test(text) && NON_LATIN_LETTER_PATTERN.test(text);
+}
+
+/**
+ * Extracts the host of a URL, or null for anything that is not http(s)
+ */
+function urlHost(href) {
+    try {
+        const url = new URL(href);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.hostname.toLowerCase() : null;
+    }
+    catch {
+        return null;
+    }
+}
+
+/**
+ * Finds links whose visible text shows a different destination than their href
+ * @param html - HTML body
+ * @returns { mismatches: [{ text, href, textDomain, hrefDomain }], hosts: string[] } with every linked host
+ */
+export function findDeceptiveLinks(html) {
+    const mismatches = [];
+    const hosts = new Set();
+    if (!html) {
+        return { mismatches, hosts: [] };
+    }
+    const document = parseDocument(html, { decodeEntities: true });
+    for (const anchor of DomUtils.getElementsByTagName('a', document)) {
+        const href = (anchor.attribs.href || '').trim();
+        const hrefHost = urlHost(href);
+        if (!hrefHost) {
+            continue;
+        }
+        hosts.add(hrefHost);
+        const text = DomUtils.textContent(anchor).replace(/\s+/g, ' ').trim();
+        // Only text that itself reads as a URL or domain makes a promise about the destination
+        const shown = text.match(/^(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})(?:[/:?#]\S*)?$/i);
+        if (shown && registrableDomain(shown[1]) !== registrableDomain(hrefHost)) {
+            mismatches.push({ text, href, textDomain: shown[1].toLowerCase(), hrefDomain: hrefHost });
+        }
+    }
+    return { mismatches, hosts: [...hosts] };
+}
+
+/**
+ * Analyzes a message's headers and HTML body for signs of phishing
+ * @param headers - Headers as [{ name, value }], newest first (Gmail order)
+ * @param options - { html, userEmail } HTML body for link checks and the mailbox address for lookalike checks
+ * @returns { sender, authentication, received, links, findings, risk }
+ */
+export function analyzeMessageHeaders(headers, { html = '', userEmail = '' } = {}) {
+    const findings = [];
+    const flag = (check, message, details = {}) => findings.push({ check, message, points: RISK_POINTS[check], ...details });
+
+    const from = firstMailbox(headerValues(headers, 'from')[0]);
+    const replyTo = firstMailbox(headerValues(headers, 'reply-to')[0]);
+    const returnPath = firstMailbox(headerValues(headers, 'return-path')[0]);
+
+    // SPF, DKIM and DMARC verdicts, read only from results Gmail added itself
+    const auth = selectAuthenticationResults(headers);
+    const verdict = (method) => (auth?.verified ? auth.results.filter(r => r.method === method) : []);
+    const spf = verdict('spf')[0];
+    const dkim = verdict('dkim');
+    const dmarc = verdict('dmarc')[0];
+    if (!auth) {
+        flag('auth-missing', 'No Authentication-Results or ARC-Authentication-Results header');
+    }
+    else if (!auth.verified) {
+        flag('auth-unverified', `${auth.source} was added by ${auth.authservId || 'an unnamed server'}, not Gmail, so its verdicts are unverified`);
+    }
+    else {
+        if (spf?.result === 'fail') {
+            flag('spf-fail', `SPF failed for ${spf.properties['smtp.mailfrom'] || 'the envelope sender'}`);
+        }
+        else if (spf?.result === 'softfail') {
+            flag('spf-softfail', `SPF soft-failed for ${spf.properties['smtp.mailfrom'] || 'the envelope sender'}`);
+        }
+        else if (!spf || ['none', 'neutral', 'temperror', 'permerror'].includes(spf.result)) {
+            flag('spf-none', `SPF ${spf ? `result is ${spf.result}` : 'was not checked'}`);
+        }
+        if (dkim.some(r => r.result === 'fail')) {
+            flag('dkim-fail', `DKIM signature failed for ${dkim.filter(r => r.result === 'fail').map(r => r.properties['header.d'] || r.properties['header.i'] || 'unknown domain').join(', ')}`);
+        }
+        else if (!dkim.some(r => r.result === 'pass')) {
+            flag('dkim-none', 'No valid DKIM signature');
+        }
+        if (dmarc?.result === 'fail') {
+            flag('dmarc-fail', `DMARC failed for ${dmarc.properties['header.from'] || from?.domain || 'the From domain'}`);
+        }
+        else if (!dmarc || dmarc.result === 'none') {
+            flag('dmarc-none', 'The From domain publishes no DMARC policy or DMARC was not checked');
+        }
+    }
+
+    // Sender consistency
+    if (from && replyTo && registrableDomain(replyTo.domain) !== registrableDomain(from.domain)) {
+        flag('reply-to-mismatch', `Replies go to ${replyTo.address}, not the From domain ${from.domain}`);
+    }
+    if (from?.name) {
+        const shownDomain = from.name.match(/[\w.+-]*@?((?:[a-z0-9-]+\.)+[a-z]{2,})\b/i)?.[1];
+        if (shownDomain && registrableDomain(shownDomain) !== registrableDomain(from.domain)) {
+            flag('display-name-address', `Display name "${from.name}" shows ${shownDomain} but the mail is from ${from.domain}`);
+        }
+        if (isMixedScript(from.name)) {
+            flag('mixed-script', `Display name "${from.name}" mixes Latin with Greek or Cyrillic letters`);
+        }
+    }
+    if (from && isMixedScript(domainToUnicode(from.domain) || from.domain)) {
+        flag('mixed-script', `From domain ${domainToUnicode(from.domain)} mixes Latin with Greek or Cyrillic letters`);
+    }
+
+    // Lookalikes of the other domains involved, including the mailbox owner's own
+    if (from) {
+        const fromDomain = registrableDomain(from.domain);
+        const candidates = new Set([
+            replyTo?.domain, returnPath?.domain, userEmail.split('@')[1],
+            ...dkim.map(r => r.properties['header.d']),
+        ].filter(Boolean).map(registrableDomain));
+        for (const candidate of candidates) {
+            if (candidate !== fromDomain && skeleton(candidate) === skeleton(fromDomain)) {
+                flag('lookalike-domain', `From domain ${from.domain} imitates ${candidate}`);
+            }
+        }
+    }
+
+    const links = findDeceptiveLinks(html);
+    for (const mismatch of links.mismatches) {
+        flag('link-mismatch', `Link text shows ${mismatch.textDomain} but points to ${mismatch.hrefDomain}`, { href: mismatch.href });
+    }
+    for (const host of links.hosts.filter(h => /^[\d.]+$|^\[/.test(h))) {
+        flag('ip-address-link', `Link points to a bare IP address (${host})`);
+    }
+
+    const punycode = new Set([from?.domain, replyTo?.domain, returnPath?.domain, ...links.hosts]
+        .filter(domain => domain && /(^|\.)xn--/i.test(domain)));
+    for (const domain of punycode) {
+        flag('punycode-domain', `Punycode domain ${domain} displays as ${domainToUnicode(domain)}`);
+    }
+
+    const received = buildReceivedChain(headers);
+    if (received.some(hop => hop.delaySeconds !== null && hop.delaySeconds < -60)) {
+        flag('received-time-anomaly', 'Received timestamps go backwards, so some hops may be forged');
+    }
+
+    // Repeated checks (several mismatched links) count once towards the score
+    const scored = [...new Map(findings.map(f => [f.check, f])).values()];
+    const score = Math.min(100, scored.reduce((sum, f) => sum + f.points, 0));
+    return {
+        sender: { from, replyTo, returnPath },
+        authentication: auth && {
+            source: auth.source,
+            authservId: auth.authservId,
+            verified: auth.verified,
+            spf: auth.verified ? spf?.result || 'none' : 'unverified',
+            dkim: !auth.verified ? ['unverified'] : dkim.length > 0 ? dkim.map(r => r.result) : ['none'],
+            dmarc: auth.verified ? dmarc?.result || 'none' : 'unverified',
+            results: auth.results,
+        },
+        received,
+        links: links.mismatches,
+        findings,
+        risk: {
+            score,
+            level: RISK_LEVELS.find(([threshold]) => score >= threshold)[1],
+            reasons: scored.map(f => `+${f.points} ${f.message}`),
+        },
+    };
+}
+
+/**
+ * Formats the sender, authentication, Received chain and findings of an analysis
+ * @param analysis - Result of analyzeMessageHeaders
+ * @returns Sectioned text
+ */
+export function formatHeaderAnalysis(analysis) {
+    const mailbox = (m) => (m ? (m.name ? `${m.name} <${m.address}>` : m.address) : '(none)');
+    const { sender, authentication, received, findings } = analysis;
+    const lines = [
+        'Sender:',
+        `  From: ${mailbox(sender.from)}`,
+        `  Reply-To: ${mailbox(sender.replyTo)}`,
+        `  Return-Path: ${mailbox(sender.returnPath)}`,
+        '',
+        'Authentication:',
+    ];
+    if (authentication) {
+        const detail = (method) => authentication.results
+            .filter(r => r.method === method)
+            .map(r => Object.entries(r.properties).filter(([key]) => key !== 'header.b').map(([key, value]) => `${key}=${value}`).join(' '))
+            .filter(Boolean)
+            .join('; ');
+        lines.push(`  Source: ${authentication.source} by ${authentication.authservId || 'unknown server'}` +
+            (authentication.verified ? '' : ' (not added by Gmail, verdicts unverified)'));
+        lines.push(`  SPF: ${authentication.spf}${detail('spf') ? ` (${detail('spf')})` : ''}`);
+        lines.push(`  DKIM: ${authentication.dkim.join(', ')}${detail('dkim') ? ` (${detail('dkim')})` : ''}`);
+        lines.push(`  DMARC: ${authentication.dmarc}${detail('dmarc') ? ` (${detail('dmarc')})` : ''}`);
+    }
+    else {
+        lines.push('  (no authentication results)');
+    }
+    lines.push('', `Received chain (${received.length} hop${received.length === 1 ? '' : 's'}, oldest first):`);
+    for (const hop of received) {
+        const delay = hop.delaySeconds === null ? '' : ` (+${hop.delaySeconds}s)`.replace('+-', '-');
+        lines.push(`  ${hop.hop}. ${hop.timestamp || 'unknown time'}${delay} from ${hop.from || '?'}${hop.ip && !hop.from.includes(hop.ip) ? ` [${hop.ip}]` : ''} by ${hop.by || '?'}${hop.with ? ` with ${hop.with}` : ''}`);
+    }
+    lines.push('', `Findings (${findings.length}):`);
+    lines.push(...(findings.length > 0 ? findings.map(f => `  - [${f.check}] ${f.message}${f.href ? ` (${f.href})` : ''}`) : ['  (none)']));
+    return lines.join('\n');
+}
+
+/**
+ * Formats the overall risk score
+ * @param risk - The `risk` of an analysis
+ * @returns Score line followed by the reasons
+ */
+export function formatRiskScore(risk) {
+    const reasons = risk.reasons.length > 0 ? risk.reasons.map(r => `  ${r}`) : ['  No risk indicators found'];
+    return [`Risk score: ${risk.score}/100 (${risk.level})`, 'Reasons:', ...reasons].join('\n');
+}
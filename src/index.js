@@ -5,61 +5,262 @@ import { CallToolRequestSchema, ListToolsRequestSchema, } from "@modelcontextpro
 import { google } from 'googleapis';
 import { z } from "zod";
 import { zodToJsonSchema } from "zod-to-json-schema";
-import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { createEmailMessage, createEmailWithNodemailer } from "./utl.js";
 import { createLabel, updateLabel, deleteLabel, listLabels, getOrCreateLabel } from "./label-manager.js";
-import { loadOAuthClient, authenticate, refreshIfNeeded } from "./auth/oauth.js";
+import { loadOAuthClient, authenticate, refreshIfNeeded, getGrantedScopes, findDisallowedScopes } from "./auth/oauth.js";
+import { loadProtectedLabelPolicy, assertLabelChangeAllowed } from "./label-guard.js";
+import { loadAttachmentPolicy } from "./attachment-guard.js";
+import { loadContentPolicy, createContentGuard } from "./content-guard.js";
+import { createRedactor } from "./redaction.js";
+import { loadDownloadRoot, sanitizeFilename, resolveDownloadDirectory, verifyContentType, writeWithoutOverwrite } from "./download-guard.js";
+import { collapseQuotedHistory, stripSignature } from "./utils/quoted-text.js";
+import { htmlToText } from "./utils/html-to-text.js";
+import { estimateTokens } from "./utils/token-estimate.js";
+import { decodeBytes, decodeEncodedWords } from "./utils/charset.js";
+import { encodeCursor, decodeCursor, pageText, InvalidCursorError } from "./utils/cursor.js";
+import { mapWithConcurrency } from "./utils/concurrency.js";
+import { recordDraft, isOwnDraft, forgetDraft } from "./draft-registry.js";
+import { buildReplyDraft, buildForwardDraft } from "./reply-builder.js";
+import { analyzeMessageHeaders, parseRawHeaders, formatHeaderAnalysis, formatRiskScore } from "./header-analysis.js";
+import { buildPartTree, collectParts, extractEmailContent, loadCalendarParts, formatPartTree, formatAttachmentList, formatCalendar, formatForwardedMessage, outlinePartTree } from "./message-parts.js";
+import { createGmailSession, createRetryingGmail, getErrorStatus, trackGmailRequests } from "./gmail-client.js";
+import { createAuditLogger } from "./audit/audit-log.js";
+import { OUTPUT_FORMATS, ToolError, errorResult, loadOutputFormat, renderResult, toToolError } from "./tool-output.js";
+import { loadConfirmationConfig, describeHighImpactCall, createConfirmationStore } from "./confirmation.js";
+import { previewLabelChange, findUnknownLabels, formatLabelPreview } from "./dry-run.js";
+import { snapshotLabels, recordOperation, listOperations, findOperation, planUndo, markUndone } from "./undo-journal.js";
+import { findPolicyFile, loadPolicy, isToolEnabled, createPolicyEnforcer } from "./policy.js";
+import { DEFAULT_ACCOUNT, getAccountPaths, listAccounts, parseAccountFlag } from "./accounts.js";
 
 // Configuration paths
 const CONFIG_DIR = path.join(os.homedir(), '.safe-gmail-mcp');
 const OAUTH_PATH = process.env.GMAIL_OAUTH_PATH || path.join(CONFIG_DIR, 'gcp-oauth.keys.json');
-const CREDENTIALS_PATH = process.env.GMAIL_CREDENTIALS_PATH || path.join(CONFIG_DIR, 'credentials.json');
+// Token, draft registry and undo journal of the default profile; other profiles live in accounts/<name>/
+const DEFAULT_ACCOUNT_PATHS = getAccountPaths(CONFIG_DIR);
+// Hash-chained record of every tool call, across all accounts
+const AUDIT_LOG_PATH = path.join(CONFIG_DIR, 'audit.jsonl');
 
-// OAuth2 client (set during initialization)
-let oauth2Client;
+// Gmail's users.messages.batchModify accepts at most 1000 IDs per call
+const MAX_BATCH_MODIFY_IDS = 1000;
+// Statuses batchModify returns when one of the IDs is bad, worth bisecting the batch to find it
+const ITEM_ERROR_STATUSES = [400, 404];
+// Concurrent messages.get calls when fetching search result metadata
+const METADATA_FETCH_CONCURRENCY = 10;
+// Tools that return mailbox content; their output passes through the redaction engine
+const REDACTED_TOOLS = ['read_email', 'search_emails', 'read_thread', 'inspect_email_headers', 'list_drafts', 'get_draft'];
+
+// Declarative policy file (policy.json / policy.yaml in the config directory)
+const POLICY_PATH = findPolicyFile(CONFIG_DIR);
+const policy = loadPolicyOrExit(POLICY_PATH);
+
+// Labels that label-modifying tools may not add or remove
+const protectedLabelPolicy = loadProtectedLabelPolicy(process.env, {
+    add: policy.labels.protectedAdd,
+    remove: policy.labels.protectedRemove,
+});
+// Where draft attachments may come from; credential directories are always off limits
+const attachmentPolicy = loadAttachmentPolicy([CONFIG_DIR, path.dirname(OAUTH_PATH), path.dirname(DEFAULT_ACCOUNT_PATHS.credentialsPath)], process.env, policy.attachments);
+// How instruction-like mailbox content is flagged and handled
+const contentPolicy = loadContentPolicy(process.env, policy.promptInjection);
+// Secrets and personal data replaced in mailbox output and audit entries
+const redactor = createRedactor(policy.redaction);
+// Downloaded attachments are only ever written below this directory
+const downloadRoot = loadDownloadRoot();
+// High-impact tools that need a second call with a confirmation token
+const confirmationConfig = loadConfirmationConfig();
+// Response format for calls that do not pass outputFormat
+const outputFormat = loadOutputFormat(process.env);
+
+/**
+ * Case-insensitive lookup of a header value from a Gmail payload header list
+ */
+function getHeader(headers, name) {
+    return headers.find(h => h.name?.toLowerCase() === name.toLowerCase())?.value || '';
+}
+
+/**
+ * Best-effort attachment detection for a payload fetched with format 'metadata'
+ * Metadata responses may omit the part tree, so a multipart/mixed root also counts
+ */
+function hasAttachmentParts(payload) {
+    if (!payload) {
+        return false;
+    }
+    if (payload.filename || payload.body?.attachmentId) {
+        return true;
+    }
+    if (payload.parts && payload.parts.length > 0) {
+        return payload.parts.some(hasAttachmentParts);
+    }
+    return payload.mimeType === 'multipart/mixed';
+}
 
 /**
- * Recursively extract email body content from MIME message parts
- * Handles complex email structures with nested parts
+ * Collects attachment metadata from a message payload's part tree
  */
-function extractEmailContent(messagePart) {
-    // Initialize containers for different content types
-    let textContent = '';
-    let htmlContent = '';
-    // If the part has a body with data, process it based on MIME type
-    if (messagePart.body && messagePart.body.data) {
-        const content = Buffer.from(messagePart.body.data, 'base64').toString('utf8');
-        // Store content based on its MIME type
-        if (messagePart.mimeType === 'text/plain') {
-            textContent = content;
+function collectAttachments(payload) {
+    const attachments = [];
+    const processAttachmentParts = (part) => {
+        if (part.body && part.body.attachmentId) {
+            const filename = part.filename || `attachment-${part.body.attachmentId}`;
+            attachments.push({
+                id: part.body.attachmentId,
+                filename: filename,
+                mimeType: part.mimeType || 'application/octet-stream',
+                size: part.body.size || 0
+            });
         }
-        else if (messagePart.mimeType === 'text/html') {
-            htmlContent = content;
+        if (part.parts) {
+            part.parts.forEach((subpart) => processAttachmentParts(subpart));
         }
+    };
+    if (payload) {
+        processAttachmentParts(payload);
     }
-    // If the part has nested parts, recursively process them
-    if (messagePart.parts && messagePart.parts.length > 0) {
-        for (const part of messagePart.parts) {
-            const { text, html } = extractEmailContent(part);
-            if (text)
-                textContent += text;
-            if (html)
-                htmlContent += html;
+    return attachments;
+}
+
+/**
+ * Advertises the confirmationToken argument on tools that may require confirmation
+ */
+function withConfirmationTokens(tools) {
+    return tools.map(tool => {
+        if (!confirmationConfig.tools.includes(tool.name)) {
+            return tool;
         }
+        return {
+            ...tool,
+            inputSchema: {
+                ...tool.inputSchema,
+                properties: {
+                    ...tool.inputSchema.properties,
+                    confirmationToken: {
+                        type: "string",
+                        description: "Token returned by a previous call to confirm a high-impact operation; repeat the exact same arguments",
+                    },
+                },
+            },
+        };
+    });
+}
+
+/**
+ * Advertises the skipRedaction argument on mailbox-reading tools when the policy allows it
+ */
+function withRedactionOverride(tools) {
+    if (!policy.redaction.enabled || !policy.redaction.allowOverride) {
+        return tools;
     }
-    // Return both plain text and HTML content
-    return { text: textContent, html: htmlContent };
+    return tools.map(tool => {
+        if (!REDACTED_TOOLS.includes(tool.name)) {
+            return tool;
+        }
+        return {
+            ...tool,
+            inputSchema: {
+                ...tool.inputSchema,
+                properties: {
+                    ...tool.inputSchema.properties,
+                    skipRedaction: {
+                        type: "boolean",
+                        description: "Return secrets and personal data (codes, card numbers, keys) unredacted for this call",
+                    },
+                },
+            },
+        };
+    });
+}
+
+/**
+ * Advertises the outputFormat argument on every tool
+ */
+function withOutputFormat(tools) {
+    return tools.map(tool => ({
+        ...tool,
+        inputSchema: {
+            ...tool.inputSchema,
+            properties: {
+                ...tool.inputSchema.properties,
+                outputFormat: {
+                    type: "string",
+                    enum: OUTPUT_FORMATS,
+                    description: `Response format: readable text, or a JSON document with a versioned schema per tool (defaults to "${outputFormat}")`,
+                },
+            },
+        },
+    }));
+}
+
+/**
+ * Advertises the account argument on every tool when more than one profile is configured
+ */
+function withAccountArgument(tools, accountNames, defaultAccount) {
+    if (accountNames.length < 2) {
+        return tools;
+    }
+    return tools.map(tool => ({
+        ...tool,
+        inputSchema: {
+            ...tool.inputSchema,
+            properties: {
+                ...tool.inputSchema.properties,
+                account: {
+                    type: "string",
+                    enum: accountNames,
+                    description: `Account profile to use (defaults to "${defaultAccount}")`,
+                },
+            },
+        },
+    }));
 }
 
-async function loadCredentials() {
+/**
+ * Loads the policy file, refusing to start on a broken one rather than running unrestricted
+ */
+function loadPolicyOrExit(policyPath) {
     try {
-        const { client, port } = await loadOAuthClient(OAUTH_PATH, CREDENTIALS_PATH);
-        oauth2Client = client;
+        return loadPolicy(policyPath);
+    }
+    catch (error) {
+        console.error('Error loading policy:', error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Connects one account profile: loads and refreshes its token, checks its scopes and
+ * wraps its Gmail client with retries that count against the shared session budget
+ * @param paths - Profile paths from getAccountPaths
+ * @param gmailSession - Shared session from createGmailSession
+ * @returns { name, paths, gmail }
+ */
+async function connectAccount(paths, gmailSession) {
+    const { client } = await loadOAuthClient(OAUTH_PATH, paths.credentialsPath);
+    await refreshIfNeeded(client, paths.credentialsPath);
+    // A token must not grant more than the configured mode allows (e.g. gmail.modify in read-only mode)
+    const disallowedScopes = findDisallowedScopes(await getGrantedScopes(client), policy.mode);
+    if (disallowedScopes.length > 0) {
+        throw new Error(`The stored token grants ${disallowedScopes.join(', ')}, which ${policy.mode} mode does not allow. ` +
+            'Revoke access at https://myaccount.google.com/permissions and authenticate again.');
+    }
+    return {
+        name: paths.name,
+        paths,
+        gmail: createRetryingGmail(google.gmail({ version: 'v1', auth: client }), gmailSession),
+    };
+}
 
-        // Store port for potential auth use
-        oauth2Client._authPort = port;
+/**
+ * Runs the browser OAuth flow for one profile (`auth [--account <name>]`)
+ */
+async function runAuth(argv) {
+    try {
+        const paths = getAccountPaths(CONFIG_DIR, parseAccountFlag(argv) || DEFAULT_ACCOUNT);
+        const { client, port } = await loadOAuthClient(OAUTH_PATH, paths.credentialsPath);
+        await authenticate(client, paths.credentialsPath, port, policy.mode);
+        console.log(`Authentication completed successfully for account "${paths.name}"`);
     }
     catch (error) {
         console.error('Error loading credentials:', error.message);
@@ -79,14 +280,57 @@ const SendEmailSchema = z.object({
     bcc: z.array(z.string()).optional().describe("List of BCC recipients"),
     threadId: z.string().optional().describe("Thread ID to reply to"),
     inReplyTo: z.string().optional().describe("Message ID being replied to"),
-    attachments: z.array(z.string()).optional().describe("List of file paths to attach to the email"),
+    attachments: z.array(z.string()).optional().describe("List of file paths to attach to the email (must be inside the configured attachment directory)"),
+});
+const DraftEmailSchema = SendEmailSchema.extend({
+    dryRun: z.boolean().optional().default(false).describe("Return the exact MIME message without creating the draft"),
+});
+// Draft lifecycle schemas
+const ListDraftsSchema = z.object({
+    query: z.string().optional().describe("Gmail search query to filter drafts"),
+    maxResults: z.number().optional().default(20).describe("Maximum number of drafts to return per page (default: 20)"),
+    cursor: z.string().optional().describe("Cursor from a previous list_drafts response to fetch the next page"),
+});
+const GetDraftSchema = z.object({
+    draftId: z.string().describe("ID of the draft to retrieve"),
+});
+const UpdateDraftSchema = SendEmailSchema.extend({
+    draftId: z.string().describe("ID of a draft created by this server"),
+});
+const DiscardDraftSchema = z.object({
+    draftId: z.string().describe("ID of a draft created by this server"),
+});
+// Reply and forward schemas
+const DraftReplySchema = z.object({
+    messageId: z.string().describe("ID of the email message to reply to"),
+    body: z.string().describe("Reply text (the original message is quoted below it)"),
+    htmlBody: z.string().optional().describe("HTML version of the reply"),
+    replyAll: z.boolean().optional().default(false).describe("Reply to all original recipients except yourself (default: false)"),
+    cc: z.array(z.string()).optional().describe("Additional CC recipients"),
+    attachments: z.array(z.string()).optional().describe("List of file paths to attach to the reply"),
+});
+const DraftForwardSchema = z.object({
+    messageId: z.string().describe("ID of the email message to forward"),
+    to: z.array(z.string()).describe("List of recipient email addresses"),
+    cc: z.array(z.string()).optional().describe("List of CC recipients"),
+    bcc: z.array(z.string()).optional().describe("List of BCC recipients"),
+    body: z.string().optional().describe("Text to add above the forwarded message"),
+    includeAttachments: z.boolean().optional().default(true).describe("Re-attach the original message's attachments (default: true)"),
 });
 const ReadEmailSchema = z.object({
     messageId: z.string().describe("ID of the email message to retrieve"),
+    format: z.enum(['text', 'html', 'both']).default('text').describe("Body format: 'text' (plain text, HTML rendered to text when there is no plain part), 'html' (raw markup) or 'both'"),
+    mode: z.enum(['full', 'summary']).default('full').describe("'full' returns the body; 'summary' returns only the headers, the first lines of the body and the attachment list"),
+    summaryLines: z.number().int().positive().default(20).describe("Body lines to include in summary mode (default: 20)"),
+    stripQuotes: z.boolean().default(false).describe("Collapse quoted reply history (\"On <date>, <address> wrote:\" blocks) and remove the signature (text format only)"),
+    maxChars: z.number().int().positive().optional().describe("Maximum number of body characters to return; longer bodies return a cursor for the rest"),
+    offset: z.number().int().nonnegative().default(0).describe("Character offset into the body to start from"),
+    cursor: z.string().optional().describe("Continuation cursor from a previous read_email response; replaces offset, maxChars, format and stripQuotes"),
 });
 const SearchEmailsSchema = z.object({
     query: z.string().describe("Gmail search query (e.g., 'from:example@gmail.com')"),
-    maxResults: z.number().optional().describe("Maximum number of results to return"),
+    maxResults: z.number().optional().describe("Maximum number of results to return per page"),
+    cursor: z.string().optional().describe("Cursor from a previous search_emails response to fetch the next page"),
 });
 // Updated schema to include removeLabelIds
 const ModifyEmailSchema = z.object({
@@ -94,6 +338,7 @@ const ModifyEmailSchema = z.object({
     labelIds: z.array(z.string()).optional().describe("List of label IDs to apply"),
     addLabelIds: z.array(z.string()).optional().describe("List of label IDs to add to the message"),
     removeLabelIds: z.array(z.string()).optional().describe("List of label IDs to remove from the message"),
+    dryRun: z.boolean().optional().default(false).describe("Preview the change without applying it"),
 });
 // New schema for listing email labels
 const ListEmailLabelsSchema = z.object({}).describe("Retrieves all available Gmail labels");
@@ -102,15 +347,18 @@ const CreateLabelSchema = z.object({
     name: z.string().describe("Name for the new label"),
     messageListVisibility: z.enum(['show', 'hide']).optional().describe("Whether to show or hide the label in the message list"),
     labelListVisibility: z.enum(['labelShow', 'labelShowIfUnread', 'labelHide']).optional().describe("Visibility of the label in the label list"),
+    dryRun: z.boolean().optional().default(false).describe("Preview the change without applying it"),
 }).describe("Creates a new Gmail label");
 const UpdateLabelSchema = z.object({
     id: z.string().describe("ID of the label to update"),
     name: z.string().optional().describe("New name for the label"),
     messageListVisibility: z.enum(['show', 'hide']).optional().describe("Whether to show or hide the label in the message list"),
     labelListVisibility: z.enum(['labelShow', 'labelShowIfUnread', 'labelHide']).optional().describe("Visibility of the label in the label list"),
+    dryRun: z.boolean().optional().default(false).describe("Preview the change without applying it"),
 }).describe("Updates an existing Gmail label");
 const DeleteLabelSchema = z.object({
     id: z.string().describe("ID of the label to delete"),
+    dryRun: z.boolean().optional().default(false).describe("Preview the change without applying it"),
 }).describe("Deletes a Gmail label");
 const GetOrCreateLabelSchema = z.object({
     name: z.string().describe("Name of the label to get or create"),
@@ -122,36 +370,87 @@ const BatchModifyEmailsSchema = z.object({
     messageIds: z.array(z.string()).describe("List of message IDs to modify"),
     addLabelIds: z.array(z.string()).optional().describe("List of label IDs to add to all messages"),
     removeLabelIds: z.array(z.string()).optional().describe("List of label IDs to remove from all messages"),
-    batchSize: z.number().optional().default(100).describe("Number of messages to process in each batch (default: 100)"),
+    dryRun: z.boolean().optional().default(false).describe("Preview the change without applying it"),
+    batchSize: z.number().int().min(1).max(MAX_BATCH_MODIFY_IDS).optional().default(MAX_BATCH_MODIFY_IDS).describe("Number of messages to send in each batchModify call (default and max: 1000)"),
+});
+// Thread schemas
+const InspectEmailHeadersSchema = z.object({
+    messageId: z.string().describe("ID of the email message to inspect"),
+    format: z.enum(['full', 'raw']).default('full').describe("Header source: 'full' (headers as parsed by Gmail) or 'raw' (the original message source; also returns the raw header block)"),
+});
+const ReadThreadSchema = z.object({
+    threadId: z.string().describe("ID of the thread to retrieve"),
+    collapseQuotes: z.boolean().optional().default(true).describe("Collapse quoted reply history in each message (default: true)"),
+});
+const ModifyThreadSchema = z.object({
+    threadId: z.string().describe("ID of the thread to modify"),
+    addLabelIds: z.array(z.string()).optional().describe("List of label IDs to add to every message in the thread"),
+    removeLabelIds: z.array(z.string()).optional().describe("List of label IDs to remove from every message in the thread"),
+});
+const ArchiveThreadSchema = z.object({
+    threadId: z.string().describe("ID of the thread to archive"),
+});
+// Undo journal schemas
+const ListLabelOperationsSchema = z.object({
+    limit: z.number().optional().default(10).describe("Maximum number of operations to list, newest first (default: 10)"),
+});
+const UndoLastOperationSchema = z.object({
+    operationId: z.string().optional().describe("ID of the operation to undo (default: the most recent one not yet undone)"),
+    force: z.boolean().optional().default(false).describe("Also revert messages whose labels changed since the operation (default: false)"),
 });
 const DownloadAttachmentSchema = z.object({
     messageId: z.string().describe("ID of the email message containing the attachment"),
     attachmentId: z.string().describe("ID of the attachment to download"),
     filename: z.string().optional().describe("Filename to save the attachment as (if not provided, uses original filename)"),
-    savePath: z.string().optional().describe("Directory path to save the attachment (defaults to current directory)"),
+    savePath: z.string().optional().describe("Directory inside the download directory to save the attachment (defaults to the download directory itself)"),
 });
 
 // Main function
 async function main() {
-    await loadCredentials();
-
     if (process.argv[2] === 'auth') {
-        await authenticate(oauth2Client, CREDENTIALS_PATH, oauth2Client._authPort);
-        console.log('Authentication completed successfully');
+        await runAuth(process.argv.slice(3));
         process.exit(0);
     }
 
-    // Refresh token if needed before starting server
-    try {
-        await refreshIfNeeded(oauth2Client, CREDENTIALS_PATH);
-    } catch (error) {
-        console.error('Token refresh failed:', error.message);
-        console.error('Run "npm run auth" to re-authenticate.');
+    const profiles = listAccounts(CONFIG_DIR);
+    if (profiles.length === 0) {
+        console.error('Error loading credentials: no authenticated account found.');
+        console.error('Run "npm run init" to set up safe-gmail-mcp.');
         process.exit(1);
     }
 
-    // Initialize Gmail API
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    // Connect every profile up front, so a stale or over-scoped token stops the server before it serves anything.
+    // Every Gmail call retries transient failures and counts against one session budget shared by all accounts.
+    const gmailSession = createGmailSession();
+    const accounts = new Map();
+    for (const paths of profiles) {
+        try {
+            accounts.set(paths.name, await connectAccount(paths, gmailSession));
+        }
+        catch (error) {
+            console.error(`Refusing to start: account "${paths.name}": ${error.message}`);
+            console.error(`Run "npm run auth -- --account ${paths.name}" to re-authenticate.`);
+            process.exit(1);
+        }
+    }
+    const defaultAccount = process.env.GMAIL_DEFAULT_ACCOUNT ||
+        (accounts.has(DEFAULT_ACCOUNT) ? DEFAULT_ACCOUNT : profiles[0].name);
+    if (!accounts.has(defaultAccount)) {
+        console.error(`GMAIL_DEFAULT_ACCOUNT "${defaultAccount}" is not an authenticated account (found: ${[...accounts.keys()].join(', ')}).`);
+        process.exit(1);
+    }
+
+    /**
+     * Picks the account a tool call runs against
+     * @throws {Error} If the account is not configured
+     */
+    function resolveAccount(name) {
+        const account = accounts.get(name || defaultAccount);
+        if (!account) {
+            throw new ToolError('UNKNOWN_ACCOUNT', `Unknown account "${name}". Configured accounts: ${[...accounts.keys()].join(', ')}.`, { account: name, accounts: [...accounts.keys()] });
+        }
+        return account;
+    }
     // Server implementation
     const server = new Server({
         name: "safe-gmail",
@@ -160,13 +459,47 @@ async function main() {
             tools: {},
         },
     });
+    // Pending confirmation tokens for high-impact calls
+    const confirmations = createConfirmationStore(confirmationConfig);
+    // Policy rules and per-session message counts
+    const policyEnforcer = createPolicyEnforcer(policy);
     // Tool handlers
     server.setRequestHandler(ListToolsRequestSchema, async () => ({
-        tools: [
+        tools: withAccountArgument(withOutputFormat(withRedactionOverride(withConfirmationTokens(([
             {
                 name: "draft_email",
                 description: "Draft a new email",
-                inputSchema: zodToJsonSchema(SendEmailSchema),
+                inputSchema: zodToJsonSchema(DraftEmailSchema),
+            },
+            {
+                name: "draft_reply",
+                description: "Drafts a reply to an email with threading headers, Re: subject, recipients and quoted text filled in",
+                inputSchema: zodToJsonSchema(DraftReplySchema),
+            },
+            {
+                name: "draft_forward",
+                description: "Drafts a forward of an email, optionally re-attaching its attachments",
+                inputSchema: zodToJsonSchema(DraftForwardSchema),
+            },
+            {
+                name: "list_drafts",
+                description: "Lists drafts, marking the ones created by this server",
+                inputSchema: zodToJsonSchema(ListDraftsSchema),
+            },
+            {
+                name: "get_draft",
+                description: "Retrieves the content of a draft",
+                inputSchema: zodToJsonSchema(GetDraftSchema),
+            },
+            {
+                name: "update_draft",
+                description: "Replaces the content of a draft this server created, in place",
+                inputSchema: zodToJsonSchema(UpdateDraftSchema),
+            },
+            {
+                name: "discard_draft",
+                description: "Discards a draft (RESTRICTED: only drafts created by this server)",
+                inputSchema: zodToJsonSchema(DiscardDraftSchema),
             },
             {
                 name: "send_email",
@@ -175,7 +508,7 @@ async function main() {
             },
             {
                 name: "read_email",
-                description: "Retrieves the content of a specific email",
+                description: "Retrieves the content of a specific email, including forwarded messages, calendar invites and an outline of its parts (bodies, inline images, attachments)",
                 inputSchema: zodToJsonSchema(ReadEmailSchema),
             },
             {
@@ -188,6 +521,26 @@ async function main() {
                 description: "Modifies email labels (move to different folders, archive by removing INBOX)",
                 inputSchema: zodToJsonSchema(ModifyEmailSchema),
             },
+            {
+                name: "inspect_email_headers",
+                description: "Phishing triage for an email: SPF/DKIM/DMARC verdicts, the Received hop chain, Reply-To/From mismatches, lookalike and punycode domains, deceptive links, and a risk score with reasons",
+                inputSchema: zodToJsonSchema(InspectEmailHeadersSchema),
+            },
+            {
+                name: "read_thread",
+                description: "Retrieves every message in a conversation thread, oldest first, with quoted history collapsed",
+                inputSchema: zodToJsonSchema(ReadThreadSchema),
+            },
+            {
+                name: "modify_thread",
+                description: "Modifies labels on every message in a conversation thread",
+                inputSchema: zodToJsonSchema(ModifyThreadSchema),
+            },
+            {
+                name: "archive_thread",
+                description: "Archives a whole conversation thread (removes INBOX from every message)",
+                inputSchema: zodToJsonSchema(ArchiveThreadSchema),
+            },
             {
                 name: "list_email_labels",
                 description: "Retrieves all available Gmail labels",
@@ -198,6 +551,16 @@ async function main() {
                 description: "Modifies labels for multiple emails in batches (for bulk archiving)",
                 inputSchema: zodToJsonSchema(BatchModifyEmailsSchema),
             },
+            {
+                name: "list_label_operations",
+                description: "Lists recent label changes recorded in the undo journal",
+                inputSchema: zodToJsonSchema(ListLabelOperationsSchema),
+            },
+            {
+                name: "undo_last_operation",
+                description: "Reverses a recorded label change, restoring each message's previous labels",
+                inputSchema: zodToJsonSchema(UndoLastOperationSchema),
+            },
             {
                 name: "create_label",
                 description: "Creates a new Gmail label",
@@ -223,75 +586,86 @@ async function main() {
                 description: "Downloads an email attachment to a specified location",
                 inputSchema: zodToJsonSchema(DownloadAttachmentSchema),
             },
-        ],
+        ]).filter(tool => isToolEnabled(policy, tool.name))))), [...accounts.keys()], defaultAccount),
     }));
-    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    async function handleToolCall(request) {
         const { name, arguments: args } = request.params;
-        // Helper function for creating email drafts
-        async function handleEmailAction(action, validatedArgs) {
-            let message;
+        if (args?.outputFormat !== undefined && !OUTPUT_FORMATS.includes(args.outputFormat)) {
+            return errorResult(new ToolError('INVALID_ARGUMENTS', `outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}.`, { outputFormat: args.outputFormat }));
+        }
+        // Every Gmail call and per-mailbox file below belongs to the selected account
+        let account;
+        try {
+            account = resolveAccount(args?.account);
+        }
+        catch (error) {
+            return errorResult(error);
+        }
+        const { gmail, paths: { draftRegistryPath, undoJournalPath } } = account;
+        // Helper function to build the Gmail message resource for drafts and sends
+        async function buildMessageRequest(validatedArgs) {
+            // Use Nodemailer for attachments, the simple builder otherwise
+            const hasAttachments = (validatedArgs.attachments && validatedArgs.attachments.length > 0) ||
+                (validatedArgs.attachmentData && validatedArgs.attachmentData.length > 0);
+            const message = hasAttachments ?
+                await createEmailWithNodemailer(validatedArgs, attachmentPolicy) :
+                createEmailMessage(validatedArgs);
+            const encodedMessage = Buffer.from(message).toString('base64')
+                .replace(/\+/g, '-')
+                .replace(/\//g, '_')
+                .replace(/=+$/, '');
+            return {
+                raw: encodedMessage,
+                ...(validatedArgs.threadId && { threadId: validatedArgs.threadId })
+            };
+        }
+        // Helper function for creating and updating email drafts
+        async function handleEmailAction(action, validatedArgs, draftId) {
             try {
-                // Check if we have attachments
-                if (validatedArgs.attachments && validatedArgs.attachments.length > 0) {
-                    // Use Nodemailer to create properly formatted RFC822 message
-                    message = await createEmailWithNodemailer(validatedArgs);
-                    const encodedMessage = Buffer.from(message).toString('base64')
-                        .replace(/\+/g, '-')
-                        .replace(/\//g, '_')
-                        .replace(/=+$/, '');
-                    const messageRequest = {
-                        raw: encodedMessage,
-                        ...(validatedArgs.threadId && { threadId: validatedArgs.threadId })
-                    };
-                    const response = await gmail.users.drafts.create({
+                policyEnforcer.assertDraftRecipientsAllowed(validatedArgs);
+                const messageRequest = await buildMessageRequest(validatedArgs);
+                if (action === "update") {
+                    const response = await gmail.users.drafts.update({
                         userId: 'me',
+                        id: draftId,
                         requestBody: {
+                            id: draftId,
                             message: messageRequest,
                         },
                     });
+                    recordDraft(draftRegistryPath, response.data.id, { subject: validatedArgs.subject });
                     return {
                         content: [
                             {
                                 type: "text",
-                                text: `Email draft created successfully with ID: ${response.data.id}`,
+                                text: `Email draft ${response.data.id} updated successfully`,
                             },
                         ],
+                        data: { action: 'updated', draftId: response.data.id, messageId: response.data.message?.id || null, threadId: response.data.message?.threadId || null },
                     };
                 }
-                else {
-                    // For emails without attachments, use the existing simple method
-                    message = createEmailMessage(validatedArgs);
-                    const encodedMessage = Buffer.from(message).toString('base64')
-                        .replace(/\+/g, '-')
-                        .replace(/\//g, '_')
-                        .replace(/=+$/, '');
-                    const messageRequest = {
-                        raw: encodedMessage,
-                    };
-                    // Add threadId if specified
-                    if (validatedArgs.threadId) {
-                        messageRequest.threadId = validatedArgs.threadId;
-                    }
-                    const response = await gmail.users.drafts.create({
-                        userId: 'me',
-                        requestBody: {
-                            message: messageRequest,
+                const response = await gmail.users.drafts.create({
+                    userId: 'me',
+                    requestBody: {
+                        message: messageRequest,
+                    },
+                });
+                // Remember our own drafts so discard_draft can tell them apart from the user's
+                recordDraft(draftRegistryPath, response.data.id, { subject: validatedArgs.subject });
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `Email draft created successfully with ID: ${response.data.id}`,
                         },
-                    });
-                    return {
-                        content: [
-                            {
-                                type: "text",
-                                text: `Email draft created successfully with ID: ${response.data.id}`,
-                            },
-                        ],
-                    };
-                }
+                    ],
+                    data: { action: 'created', draftId: response.data.id, messageId: response.data.message?.id || null, threadId: response.data.message?.threadId || null },
+                };
             }
             catch (error) {
                 // Log attachment-related errors for debugging
                 if (validatedArgs.attachments && validatedArgs.attachments.length > 0) {
-                    console.error(`Failed to create draft with ${validatedArgs.attachments.length} attachments:`, error.message);
+                    console.error(`Failed to ${action} draft with ${validatedArgs.attachments.length} attachments:`, error.message);
                 }
                 throw error;
             }
@@ -300,152 +674,422 @@ async function main() {
         async function processBatches(items, batchSize, processFn) {
             const successes = [];
             const failures = [];
-            // Process in batches
-            for (let i = 0; i < items.length; i += batchSize) {
-                const batch = items.slice(i, i + batchSize);
+            // If a batch is rejected over one of its IDs, split it in half until the failing items are isolated
+            async function processBatch(batch) {
                 try {
                     const results = await processFn(batch);
                     successes.push(...results);
                 }
                 catch (error) {
-                    // If batch fails, try individual items
-                    for (const item of batch) {
-                        try {
-                            const result = await processFn([item]);
-                            successes.push(...result);
-                        }
-                        catch (itemError) {
-                            failures.push({ item, error: itemError });
-                        }
+                    // Other failures (auth, quota, outages) would hit every half alike, so the whole batch fails
+                    if (batch.length === 1 || !ITEM_ERROR_STATUSES.includes(getErrorStatus(error))) {
+                        failures.push(...batch.map(item => ({ item, error })));
+                        return;
                     }
+                    const middle = Math.ceil(batch.length / 2);
+                    await processBatch(batch.slice(0, middle));
+                    await processBatch(batch.slice(middle));
                 }
             }
+            for (let i = 0; i < items.length; i += batchSize) {
+                await processBatch(items.slice(i, i + batchSize));
+            }
             return { successes, failures };
         }
-        try {
+        // Helper function to apply one label change to many messages with batchModify
+        async function batchModifyMessages(messageIds, requestBody, batchSize = MAX_BATCH_MODIFY_IDS) {
+            return await processBatches(messageIds, batchSize, async (batch) => {
+                await gmail.users.messages.batchModify({
+                    userId: 'me',
+                    requestBody: {
+                        ids: batch,
+                        ...requestBody,
+                    },
+                });
+                return batch.map(messageId => ({ messageId, success: true }));
+            });
+        }
+        // Helper function to journal a label change for the messages it succeeded on
+        function journalLabelChange(tool, requestBody, before, messageIds) {
+            const recorded = Object.fromEntries(messageIds.filter(id => before[id]).map(id => [id, before[id]]));
+            if (Object.keys(recorded).length === 0) {
+                return null;
+            }
+            return recordOperation(undoJournalPath, {
+                tool,
+                addLabelIds: requestBody.addLabelIds || [],
+                removeLabelIds: requestBody.removeLabelIds || [],
+                before: recorded,
+            });
+        }
+        // Helper function to preview a label change without applying it
+        async function previewMessageLabelChange(messageIds, requestBody) {
+            const [snapshots, labels] = await Promise.all([
+                snapshotLabels(gmail, messageIds),
+                listLabels(gmail),
+            ]);
+            const preview = previewLabelChange(messageIds, snapshots, requestBody);
+            const unknownLabels = findUnknownLabels(requestBody, labels.all);
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: formatLabelPreview(preview, unknownLabels, labels.all),
+                    },
+                ],
+                data: { dryRun: true, ...preview, unknownLabels },
+            };
+        }
+        // Helper function to snapshot the labels of every message in a thread
+        async function snapshotThreadLabels(threadId) {
+            const thread = await gmail.users.threads.get({
+                userId: 'me',
+                id: threadId,
+                format: 'minimal',
+            });
+            return Object.fromEntries((thread.data.messages || []).map(m => [m.id, m.labelIds || []]));
+        }
+        // Runs the tool itself, once policy and confirmation checks have passed
+        async function runTool() {
             switch (name) {
                 case "draft_email": {
-                    const validatedArgs = SendEmailSchema.parse(args);
+                    const { dryRun, ...validatedArgs } = DraftEmailSchema.parse(args);
+                    if (dryRun) {
+                        policyEnforcer.assertDraftRecipientsAllowed(validatedArgs);
+                        const messageRequest = await buildMessageRequest(validatedArgs);
+                        const mime = Buffer.from(messageRequest.raw, 'base64url').toString('utf8');
+                        return {
+                            content: [
+                                {
+                                    type: "text",
+                                    text: `DRY RUN - no draft was created.\n${validatedArgs.threadId ? `Thread ID: ${validatedArgs.threadId}\n` : ''}\n${mime}`,
+                                },
+                            ],
+                            data: { dryRun: true, threadId: validatedArgs.threadId || null, mime },
+                        };
+                    }
                     return await handleEmailAction("draft", validatedArgs);
                 }
+                case "draft_reply": {
+                    const validatedArgs = DraftReplySchema.parse(args);
+                    const [original, profile] = await Promise.all([
+                        gmail.users.messages.get({ userId: 'me', id: validatedArgs.messageId, format: 'full' }),
+                        gmail.users.getProfile({ userId: 'me' }),
+                    ]);
+                    const { text, html } = extractEmailContent(original.data.payload || {});
+                    // HTML-only messages are quoted as rendered text, never as markup
+                    const draftArgs = buildReplyDraft(original.data, text || (html ? htmlToText(html).text : ''), profile.data.emailAddress, validatedArgs);
+                    return await handleEmailAction("draft", draftArgs);
+                }
+                case "draft_forward": {
+                    const validatedArgs = DraftForwardSchema.parse(args);
+                    const original = await gmail.users.messages.get({
+                        userId: 'me',
+                        id: validatedArgs.messageId,
+                        format: 'full',
+                    });
+                    const { text, html } = extractEmailContent(original.data.payload || {});
+                    // HTML-only messages are forwarded as rendered text, never as markup in the text/plain body
+                    const draftArgs = buildForwardDraft(original.data, text || (html ? htmlToText(html).text : ''), validatedArgs);
+                    if (validatedArgs.includeAttachments) {
+                        // Fetch the original attachment bytes and hand them to the Nodemailer builder
+                        const originalAttachments = collectAttachments(original.data.payload);
+                        draftArgs.attachmentData = await mapWithConcurrency(originalAttachments, METADATA_FETCH_CONCURRENCY, async (attachment) => {
+                            const response = await gmail.users.messages.attachments.get({
+                                userId: 'me',
+                                messageId: validatedArgs.messageId,
+                                id: attachment.id,
+                            });
+                            return {
+                                filename: attachment.filename,
+                                mimeType: attachment.mimeType,
+                                content: Buffer.from(response.data.data || '', 'base64url'),
+                            };
+                        });
+                    }
+                    return await handleEmailAction("draft", draftArgs);
+                }
+                case "list_drafts": {
+                    const validatedArgs = ListDraftsSchema.parse(args);
+                    const pageToken = validatedArgs.cursor ?
+                        decodeCursor('drafts', validatedArgs.cursor).pageToken : undefined;
+                    const response = await gmail.users.drafts.list({
+                        userId: 'me',
+                        q: validatedArgs.query,
+                        maxResults: validatedArgs.maxResults,
+                        pageToken,
+                    });
+                    const drafts = response.data.drafts || [];
+                    const results = await mapWithConcurrency(drafts, METADATA_FETCH_CONCURRENCY, async (draft) => {
+                        const detail = await gmail.users.drafts.get({
+                            userId: 'me',
+                            id: draft.id,
+                            format: 'metadata',
+                        });
+                        const headers = detail.data.message?.payload?.headers || [];
+                        return {
+                            id: draft.id,
+                            messageId: detail.data.message?.id || '',
+                            subject: getHeader(headers, 'subject'),
+                            to: getHeader(headers, 'to'),
+                            ownDraft: isOwnDraft(draftRegistryPath, draft.id),
+                        };
+                    });
+                    const nextCursor = response.data.nextPageToken ? encodeCursor('drafts', { pageToken: response.data.nextPageToken }) : null;
+                    // Drafts often quote received mail, so they are cleaned, checked and enveloped like it
+                    const guard = createContentGuard(contentPolicy);
+                    const guarded = results.map(d => ({
+                        ...d,
+                        subject: guard.field(d.subject, { draftId: d.id, field: 'subject' }),
+                        to: guard.field(d.to, { draftId: d.id, field: 'to' }),
+                    }));
+                    let resultText = `Found ${results.length} drafts\n\n`;
+                    if (guarded.length > 0) {
+                        resultText += guard.envelope(guarded.map(d => `Draft ID: ${d.id}\nMessage ID: ${d.messageId}\nSubject: ${d.subject}\nTo: ${d.to}\n` +
+                            `Created by this server: ${d.ownDraft ? 'yes' : 'no'}\n`).join('\n')) + '\n';
+                    }
+                    if (nextCursor) {
+                        resultText += `\nMore drafts available. To fetch the next page, pass cursor: ${nextCursor}`;
+                    }
+                    return guard.result(resultText, { drafts: guarded, nextCursor });
+                }
+                case "get_draft": {
+                    const validatedArgs = GetDraftSchema.parse(args);
+                    const response = await gmail.users.drafts.get({
+                        userId: 'me',
+                        id: validatedArgs.draftId,
+                        format: 'full',
+                    });
+                    const message = response.data.message || {};
+                    const headers = message.payload?.headers || [];
+                    const { text, html } = extractEmailContent(message.payload || {});
+                    const attachments = collectAttachments(message.payload);
+                    // A draft may quote or forward received mail, so it is guarded like a message
+                    const guard = createContentGuard(contentPolicy);
+                    const source = (field) => ({ draftId: validatedArgs.draftId, field });
+                    const draft = {
+                        draftId: response.data.id,
+                        messageId: message.id || '',
+                        threadId: message.threadId || '',
+                        ownDraft: isOwnDraft(draftRegistryPath, validatedArgs.draftId),
+                        subject: guard.field(getHeader(headers, 'subject'), source('subject')),
+                        to: guard.field(getHeader(headers, 'to'), source('to')),
+                        cc: guard.field(getHeader(headers, 'cc'), source('cc')),
+                        bcc: guard.field(getHeader(headers, 'bcc'), source('bcc')),
+                        body: guard.body(text || (html ? htmlToText(html).text : ''), source('body')),
+                        attachments: guard.data(attachments, source('attachments')),
+                    };
+                    const attachmentInfo = draft.attachments.length > 0 ?
+                        `\n\nAttachments (${draft.attachments.length}):\n` +
+                            draft.attachments.map(a => `- ${a.filename} (${a.mimeType}, ${Math.round(a.size / 1024)} KB)`).join('\n') : '';
+                    return guard.result(`Draft ID: ${draft.draftId}\nMessage ID: ${draft.messageId}\nThread ID: ${draft.threadId}\n` +
+                        `Created by this server: ${draft.ownDraft ? 'yes' : 'no'}\n` +
+                        guard.envelope(`Subject: ${draft.subject}\nTo: ${draft.to}\nCc: ${draft.cc}\n` +
+                            `Bcc: ${draft.bcc}\n\n${draft.body}${attachmentInfo}`), draft);
+                }
+                case "update_draft": {
+                    const { draftId, ...validatedArgs } = UpdateDraftSchema.parse(args);
+                    // Like discard_draft, only drafts this server created may be rewritten
+                    if (!isOwnDraft(draftRegistryPath, draftId)) {
+                        throw new ToolError('DRAFT_NOT_OWNED', `update_draft can only update drafts created by this server. Draft "${draftId}" is not one of them.`, { draftId });
+                    }
+                    return await handleEmailAction("update", validatedArgs, draftId);
+                }
+                case "discard_draft": {
+                    const validatedArgs = DiscardDraftSchema.parse(args);
+                    // Deleting is only allowed for drafts this server created itself
+                    if (!isOwnDraft(draftRegistryPath, validatedArgs.draftId)) {
+                        throw new ToolError('DRAFT_NOT_OWNED', `discard_draft can only discard drafts created by this server. Draft "${validatedArgs.draftId}" is not one of them.`, { draftId: validatedArgs.draftId });
+                    }
+                    await gmail.users.drafts.delete({
+                        userId: 'me',
+                        id: validatedArgs.draftId,
+                    });
+                    forgetDraft(draftRegistryPath, validatedArgs.draftId);
+                    return {
+                        content: [
+                            {
+                                type: "text",
+                                text: `Draft ${validatedArgs.draftId} discarded`,
+                            },
+                        ],
+                        data: { draftId: validatedArgs.draftId, discarded: true },
+                    };
+                }
                 case "send_email": {
                     const validatedArgs = SendEmailSchema.parse(args);
-
-                    // Get authenticated user's email
+                    // Recipients were already checked against the selected account's own address by the policy enforcer
                     const profile = await gmail.users.getProfile({ userId: 'me' });
                     const userEmail = profile.data.emailAddress.toLowerCase();
 
-                    // Validate all recipients are self (security: can only send to yourself)
-                    const allRecipients = [
-                        ...validatedArgs.to,
-                        ...(validatedArgs.cc || []),
-                        ...(validatedArgs.bcc || [])
-                    ];
-
-                    for (const recipient of allRecipients) {
-                        // Extract email from "Name <email>" format if present
-                        const emailMatch = recipient.match(/<(.+)>/) || [null, recipient];
-                        const recipientEmail = (emailMatch[1] || recipient).toLowerCase().trim();
-
-                        if (recipientEmail !== userEmail) {
-                            return {
-                                content: [{
-                                    type: "text",
-                                    text: `Error: send_email can only send to yourself (${userEmail}). Recipient "${recipient}" is not allowed. Use draft_email for other recipients.`
-                                }]
-                            };
-                        }
-                    }
-
                     // Create and send the email
-                    let message;
-                    if (validatedArgs.attachments && validatedArgs.attachments.length > 0) {
-                        message = await createEmailWithNodemailer(validatedArgs);
-                    } else {
-                        message = createEmailMessage(validatedArgs);
-                    }
-
-                    const encodedMessage = Buffer.from(message).toString('base64')
-                        .replace(/\+/g, '-')
-                        .replace(/\//g, '_')
-                        .replace(/=+$/, '');
-
                     const response = await gmail.users.messages.send({
                         userId: 'me',
-                        requestBody: {
-                            raw: encodedMessage,
-                            ...(validatedArgs.threadId && { threadId: validatedArgs.threadId })
-                        },
+                        requestBody: await buildMessageRequest(validatedArgs),
                     });
 
                     return {
                         content: [{
                             type: "text",
                             text: `Email sent successfully to ${userEmail}. Message ID: ${response.data.id}`
-                        }]
+                        }],
+                        data: { messageId: response.data.id, threadId: response.data.threadId || null, to: userEmail },
                     };
                 }
                 case "read_email": {
                     const validatedArgs = ReadEmailSchema.parse(args);
+                    let { offset, maxChars, format, stripQuotes } = validatedArgs;
+                    if (validatedArgs.cursor) {
+                        const cursor = decodeCursor('read', validatedArgs.cursor);
+                        if (cursor.messageId !== validatedArgs.messageId) {
+                            throw new InvalidCursorError('Cursor does not belong to this message - pass the messageId it was returned with');
+                        }
+                        // A cursor is only base64 JSON, so its paging state gets the same checks as the arguments it replaces
+                        const paging = ReadEmailSchema.pick({ offset: true, maxChars: true, format: true, stripQuotes: true }).safeParse(cursor);
+                        if (!paging.success) {
+                            throw new InvalidCursorError('Invalid cursor - pass back the cursor exactly as returned');
+                        }
+                        ({ offset, maxChars, format, stripQuotes } = paging.data);
+                    }
                     const response = await gmail.users.messages.get({
                         userId: 'me',
                         id: validatedArgs.messageId,
                         format: 'full',
                     });
                     const headers = response.data.payload?.headers || [];
-                    const subject = headers.find(h => h.name?.toLowerCase() === 'subject')?.value || '';
-                    const from = headers.find(h => h.name?.toLowerCase() === 'from')?.value || '';
-                    const to = headers.find(h => h.name?.toLowerCase() === 'to')?.value || '';
+                    const subject = decodeEncodedWords(headers.find(h => h.name?.toLowerCase() === 'subject')?.value || '');
+                    const from = decodeEncodedWords(headers.find(h => h.name?.toLowerCase() === 'from')?.value || '');
+                    const to = decodeEncodedWords(headers.find(h => h.name?.toLowerCase() === 'to')?.value || '');
                     const date = headers.find(h => h.name?.toLowerCase() === 'date')?.value || '';
                     const threadId = response.data.threadId || '';
-                    // Extract email content using the recursive function
-                    const { text, html } = extractEmailContent(response.data.payload || {});
-                    // Use plain text content if available, otherwise use HTML content
-                    let body = text || html || '';
-                    // If we only have HTML content, add a note for the user
-                    const contentTypeNote = !text && html ?
-                        '[Note: This email is HTML-formatted. Plain text version not available.]\n\n' : '';
-                    // Get attachment information
-                    const attachments = [];
-                    const processAttachmentParts = (part, path = '') => {
-                        if (part.body && part.body.attachmentId) {
-                            const filename = part.filename || `attachment-${part.body.attachmentId}`;
-                            attachments.push({
-                                id: part.body.attachmentId,
-                                filename: filename,
-                                mimeType: part.mimeType || 'application/octet-stream',
-                                size: part.body.size || 0
-                            });
+                    // Bodies, inline images, attachments, forwarded messages and calendar invites
+                    const tree = buildPartTree(response.data.payload);
+                    await loadCalendarParts(tree, async (attachmentId) => {
+                        const attachment = await gmail.users.messages.attachments.get({
+                            userId: 'me',
+                            messageId: validatedArgs.messageId,
+                            id: attachmentId,
+                        });
+                        return Buffer.from(attachment.data.data || '', 'base64');
+                    });
+                    const { text, html } = extractEmailContent(tree);
+                    // HTML-only mail is rendered to text so markup and inline CSS do not eat the context
+                    const readableText = text || (html ? htmlToText(html).text : '');
+                    let body;
+                    let contentTypeNote = '';
+                    let stripped = null;
+                    if (format === 'html') {
+                        body = html || text;
+                        if (!html && text) {
+                            contentTypeNote = '[Note: No HTML version available; showing plain text.]\n';
                         }
-                        if (part.parts) {
-                            part.parts.forEach((subpart) => processAttachmentParts(subpart, `${path}/parts`));
+                    }
+                    else if (format === 'both') {
+                        body = `--- Text ---\n${readableText}\n\n--- HTML ---\n${html || '(no HTML version)'}`;
+                    }
+                    else {
+                        body = readableText;
+                        if (!text && html) {
+                            contentTypeNote = '[Note: Rendered from HTML; links are listed at the end.]\n';
+                        }
+                        if (stripQuotes) {
+                            const collapsed = collapseQuotedHistory(body);
+                            const signature = stripSignature(collapsed.text);
+                            body = signature.text;
+                            stripped = { quotedLines: collapsed.collapsedLines, signatureRemoved: signature.removedLines > 0 };
+                            if (collapsed.collapsedLines > 0 || signature.removedLines > 0) {
+                                contentTypeNote += `[Note: ${collapsed.collapsedLines} quoted lines collapsed${signature.removedLines > 0 ? ', signature removed' : ''}.]\n`;
+                            }
                         }
-                    };
-                    if (response.data.payload) {
-                        processAttachmentParts(response.data.payload);
                     }
-                    // Add attachment info to output if any are present
-                    const attachmentInfo = attachments.length > 0 ?
-                        `\n\nAttachments (${attachments.length}):\n` +
-                            attachments.map(a => `- ${a.filename} (${a.mimeType}, ${Math.round(a.size / 1024)} KB, ID: ${a.id})`).join('\n') : '';
-                    return {
-                        content: [
-                            {
-                                type: "text",
-                                text: `Thread ID: ${threadId}\nSubject: ${subject}\nFrom: ${from}\nTo: ${to}\nDate: ${date}\n\n${contentTypeNote}${body}${attachmentInfo}`,
-                            },
-                        ],
+                    // Forwarded messages keep their own headers instead of being merged into the body
+                    const sections = collectParts(tree, 'forwarded').map(formatForwardedMessage);
+                    for (const node of collectParts(tree, 'calendar')) {
+                        if (node.calendar) {
+                            sections.push(`--- Calendar invite ---\n${formatCalendar(node.calendar)}`);
+                        }
+                    }
+                    // Body, forwarded messages and invites are paged as one text
+                    const content = body + sections.map(section => `\n\n${section}`).join('');
+                    // Everything below comes from the sender and is cleaned, checked and enveloped
+                    const guard = createContentGuard(contentPolicy);
+                    const source = (field) => ({ messageId: validatedArgs.messageId, field });
+                    const message = {
+                        messageId: validatedArgs.messageId,
+                        threadId,
+                        subject: guard.field(subject, source('subject')),
+                        from: guard.field(from, source('from')),
+                        to: guard.field(to, source('to')),
+                        date: guard.field(date, source('date')),
+                        mode: validatedArgs.mode,
+                        format,
+                        hasText: Boolean(text),
+                        hasHtml: Boolean(html),
+                        stripped,
+                        bodyLength: content.length,
                     };
+                    const headerLines = `Subject: ${message.subject}\nFrom: ${message.from}\nTo: ${message.to}\nDate: ${message.date}`;
+                    if (validatedArgs.mode === 'summary') {
+                        const lines = content.split('\n');
+                        const excerpt = guard.body(lines.slice(0, validatedArgs.summaryLines).join('\n'), source('body'));
+                        const moreLines = Math.max(lines.length - validatedArgs.summaryLines, 0);
+                        const more = moreLines > 0 ? `\n[... ${moreLines} more lines]` : '';
+                        const parts = guard.data(outlinePartTree(tree), source('parts'));
+                        const attachmentList = formatAttachmentList(parts);
+                        const summary = `${headerLines}\n\n${excerpt}${more}` +
+                            (attachmentList ? `\n\nAttachments:\n${attachmentList}` : '');
+                        return guard.result(`Thread ID: ${threadId}\nBody length: ${content.length} characters (summary)\n` +
+                            `${contentTypeNote}\n${guard.envelope(summary)}`, {
+                            ...message,
+                            body: excerpt,
+                            moreLines,
+                            attachments: ['attachment', 'inline'].flatMap(kind => collectParts(parts, kind, { includeForwarded: true })),
+                        });
+                    }
+                    if (offset > content.length) {
+                        throw new ToolError('INVALID_ARGUMENTS', `Offset ${offset} is past the end of the body (${content.length} characters)`, { offset, bodyLength: content.length });
+                    }
+                    const page = pageText(content, offset, maxChars);
+                    const guardedBody = guard.body(page.text, source('body'));
+                    // The part outline is only sent with the first page
+                    const parts = tree.kind === 'body' || offset > 0 ? null : guard.data(outlinePartTree(tree), source('parts'));
+                    const partInfo = parts ? `\n\nParts:\n${formatPartTree(parts)}` : '';
+                    const range = offset === 0 && page.end === content.length ? 'complete' : `showing ${offset}-${page.end}`;
+                    const nextCursor = page.end < content.length ?
+                        encodeCursor('read', { messageId: validatedArgs.messageId, offset: page.end, maxChars, format, stripQuotes }) : null;
+                    const estimatedTokens = estimateTokens(guardedBody);
+                    return guard.result(`Thread ID: ${threadId}\nBody length: ${content.length} characters (${range})\n` +
+                        `Estimated tokens: ${estimatedTokens}\n${contentTypeNote}\n` +
+                        guard.envelope(`${headerLines}\n\n${guardedBody}${partInfo}`) +
+                        (nextCursor ? `\n\n${content.length - page.end} more characters. To continue, call read_email with cursor: ${nextCursor}` : ''), {
+                        ...message,
+                        offset,
+                        end: page.end,
+                        estimatedTokens,
+                        body: guardedBody,
+                        parts,
+                        nextCursor,
+                    });
                 }
                 case "search_emails": {
                     const validatedArgs = SearchEmailsSchema.parse(args);
+                    let pageToken;
+                    if (validatedArgs.cursor) {
+                        const cursor = decodeCursor('search', validatedArgs.cursor);
+                        // Page tokens are only valid for the query that produced them
+                        if (cursor.query !== validatedArgs.query) {
+                            throw new InvalidCursorError('Cursor does not belong to this query - repeat the original query with the cursor');
+                        }
+                        pageToken = cursor.pageToken;
+                    }
                     const response = await gmail.users.messages.list({
                         userId: 'me',
                         q: validatedArgs.query,
                         maxResults: validatedArgs.maxResults || 250,
+                        pageToken,
                     });
                     const messages = response.data.messages || [];
-                    const results = await Promise.all(messages.map(async (msg) => {
+                    const results = await mapWithConcurrency(messages, METADATA_FETCH_CONCURRENCY, async (msg) => {
                         const detail = await gmail.users.messages.get({
                             userId: 'me',
                             id: msg.id,
@@ -453,21 +1097,46 @@ async function main() {
                             metadataHeaders: ['Subject', 'From', 'Date'],
                         });
                         const headers = detail.data.payload?.headers || [];
+                        const labelIds = detail.data.labelIds || [];
                         return {
                             id: msg.id,
-                            subject: headers.find(h => h.name === 'Subject')?.value || '',
-                            from: headers.find(h => h.name === 'From')?.value || '',
+                            threadId: detail.data.threadId || msg.threadId || '',
+                            subject: decodeEncodedWords(headers.find(h => h.name === 'Subject')?.value || ''),
+                            from: decodeEncodedWords(headers.find(h => h.name === 'From')?.value || ''),
                             date: headers.find(h => h.name === 'Date')?.value || '',
+                            snippet: detail.data.snippet || '',
+                            labelIds,
+                            unread: labelIds.includes('UNREAD'),
+                            starred: labelIds.includes('STARRED'),
+                            sizeEstimate: detail.data.sizeEstimate || 0,
+                            hasAttachments: hasAttachmentParts(detail.data.payload),
                         };
+                    });
+                    const nextCursor = response.data.nextPageToken ?
+                        encodeCursor('search', { query: validatedArgs.query, pageToken: response.data.nextPageToken }) : null;
+                    const flags = (r) => [r.unread && 'unread', r.starred && 'starred', r.hasAttachments && 'attachments']
+                        .filter(Boolean).join(', ') || 'none';
+                    // Subjects, senders and snippets come from the sender and are cleaned, checked and enveloped
+                    const guard = createContentGuard(contentPolicy);
+                    const guarded = results.map(r => ({
+                        ...r,
+                        subject: guard.field(r.subject, { messageId: r.id, field: 'subject' }),
+                        from: guard.field(r.from, { messageId: r.id, field: 'from' }),
+                        date: guard.field(r.date, { messageId: r.id, field: 'date' }),
+                        snippet: guard.field(r.snippet, { messageId: r.id, field: 'snippet' }),
                     }));
-                    return {
-                        content: [
-                            {
-                                type: "text",
-                                text: results.map(r => `ID: ${r.id}\nSubject: ${r.subject}\nFrom: ${r.from}\nDate: ${r.date}\n`).join('\n'),
-                            },
-                        ],
-                    };
+                    const resultSizeEstimate = response.data.resultSizeEstimate ?? null;
+                    let resultText = `Found ${results.length} messages on this page (estimated total: ${resultSizeEstimate ?? 'unknown'})\n\n`;
+                    if (guarded.length > 0) {
+                        resultText += guard.envelope(guarded.map(r => `ID: ${r.id}\nThread ID: ${r.threadId}\n` +
+                            `Subject: ${r.subject}\nFrom: ${r.from}\nDate: ${r.date}\n` +
+                            `Labels: ${r.labelIds.join(', ')}\nFlags: ${flags(r)}\nSize: ${Math.round(r.sizeEstimate / 1024)} KB\n` +
+                            `Snippet: ${r.snippet}\n`).join('\n')) + '\n';
+                    }
+                    if (nextCursor) {
+                        resultText += `\nMore results available. To fetch the next page, repeat this search with cursor: ${nextCursor}`;
+                    }
+                    return guard.result(resultText, { messages: guarded, resultSizeEstimate, nextCursor });
                 }
                 // Updated implementation for the modify_email handler
                 case "modify_email": {
@@ -483,18 +1152,182 @@ async function main() {
                     if (validatedArgs.removeLabelIds) {
                         requestBody.removeLabelIds = validatedArgs.removeLabelIds;
                     }
+                    assertLabelChangeAllowed(requestBody, protectedLabelPolicy);
+                    if (validatedArgs.dryRun) {
+                        return await previewMessageLabelChange([validatedArgs.messageId], requestBody);
+                    }
+                    const before = await snapshotLabels(gmail, [validatedArgs.messageId]);
                     await gmail.users.messages.modify({
                         userId: 'me',
                         id: validatedArgs.messageId,
                         requestBody: requestBody,
                     });
+                    const operation = journalLabelChange(name, requestBody, before, [validatedArgs.messageId]);
                     return {
                         content: [
                             {
                                 type: "text",
-                                text: `Email ${validatedArgs.messageId} labels updated successfully`,
+                                text: `Email ${validatedArgs.messageId} labels updated successfully` +
+                                    (operation ? ` (undo with operation ID ${operation.id})` : ''),
                             },
                         ],
+                        data: {
+                            messageId: validatedArgs.messageId,
+                            addLabelIds: requestBody.addLabelIds || [],
+                            removeLabelIds: requestBody.removeLabelIds || [],
+                            operationId: operation?.id || null,
+                        },
+                    };
+                }
+                case "inspect_email_headers": {
+                    const validatedArgs = InspectEmailHeadersSchema.parse(args);
+                    const [response, profile] = await Promise.all([
+                        gmail.users.messages.get({ userId: 'me', id: validatedArgs.messageId, format: 'full' }),
+                        gmail.users.getProfile({ userId: 'me' }),
+                    ]);
+                    let headers = response.data.payload?.headers || [];
+                    let rawHeaders = '';
+                    if (validatedArgs.format === 'raw') {
+                        const raw = await gmail.users.messages.get({ userId: 'me', id: validatedArgs.messageId, format: 'raw' });
+                        const source = decodeBytes(Buffer.from(raw.data.raw || '', 'base64'), null);
+                        rawHeaders = source.split(/\r?\n\r?\n/)[0];
+                        headers = parseRawHeaders(source);
+                    }
+                    // Link checks need the HTML body; forwarded messages and attachments are not inspected
+                    const { html } = extractEmailContent(buildPartTree(response.data.payload));
+                    // Header values come from the sender and are cleaned, checked and enveloped
+                    const guard = createContentGuard(contentPolicy);
+                    const source = (field) => ({ messageId: validatedArgs.messageId, field });
+                    const analysis = guard.data(analyzeMessageHeaders(headers, { html, userEmail: profile.data.emailAddress || '' }), source('headers'));
+                    const subject = guard.field(decodeEncodedWords(getHeader(headers, 'subject')), source('subject'));
+                    const guardedRawHeaders = rawHeaders ? guard.text(rawHeaders, source('raw-headers')) : null;
+                    // Risk reasons quote the sender's display name and domains, so they stay inside the envelope too
+                    let details = `Subject: ${subject}\n\n${formatHeaderAnalysis(analysis)}\n\n${formatRiskScore(analysis.risk)}`;
+                    if (guardedRawHeaders) {
+                        details += `\n\nRaw headers:\n${guardedRawHeaders}`;
+                    }
+                    return guard.result(`Message ID: ${validatedArgs.messageId}\n\n${guard.envelope(details)}`, {
+                        messageId: validatedArgs.messageId,
+                        subject,
+                        ...analysis,
+                        rawHeaders: guardedRawHeaders,
+                    });
+                }
+                case "read_thread": {
+                    const validatedArgs = ReadThreadSchema.parse(args);
+                    const response = await gmail.users.threads.get({
+                        userId: 'me',
+                        id: validatedArgs.threadId,
+                        format: 'full',
+                    });
+                    // Gmail returns thread messages oldest first; sort defensively by internalDate
+                    const messages = [...(response.data.messages || [])]
+                        .sort((a, b) => Number(a.internalDate || 0) - Number(b.internalDate || 0));
+                    // Everything from the messages themselves is cleaned, checked and enveloped
+                    const guard = createContentGuard(contentPolicy);
+                    const threadMessages = messages.map((message) => {
+                        const headers = message.payload?.headers || [];
+                        const source = (field) => ({ messageId: message.id, field });
+                        const { text, html } = extractEmailContent(message.payload || {});
+                        // HTML-only messages are rendered to text, as in read_email
+                        let body = text || (html ? htmlToText(html).text : '');
+                        let collapsedLines = 0;
+                        if (validatedArgs.collapseQuotes && body) {
+                            const collapsed = collapseQuotedHistory(body);
+                            body = collapsed.text;
+                            collapsedLines = collapsed.collapsedLines;
+                        }
+                        return {
+                            id: message.id,
+                            labelIds: message.labelIds || [],
+                            subject: guard.field(decodeEncodedWords(getHeader(headers, 'subject')), source('subject')),
+                            from: guard.field(decodeEncodedWords(getHeader(headers, 'from')), source('from')),
+                            to: guard.field(decodeEncodedWords(getHeader(headers, 'to')), source('to')),
+                            date: guard.field(getHeader(headers, 'date'), source('date')),
+                            htmlOnly: !text && Boolean(html),
+                            collapsedLines,
+                            body: guard.body(body, source('body')),
+                        };
+                    });
+                    const sections = threadMessages.map((message, index) => {
+                        const collapsedNote = message.collapsedLines > 0 ? `\n[${message.collapsedLines} quoted lines hidden]` : '';
+                        const contentTypeNote = message.htmlOnly ?
+                            '[Note: Rendered from HTML; links are listed at the end.]\n\n' : '';
+                        const content = `Subject: ${message.subject}\nFrom: ${message.from}\nTo: ${message.to}\nDate: ${message.date}\n\n${message.body}`;
+                        return `--- Message ${index + 1} of ${messages.length} ---\n` +
+                            `ID: ${message.id}\nLabels: ${message.labelIds.join(', ')}\n\n` +
+                            `${contentTypeNote}${guard.envelope(content)}${collapsedNote}`;
+                    });
+                    return guard.result(`Thread ID: ${validatedArgs.threadId}\nMessages: ${messages.length}\n\n${sections.join('\n\n')}`, {
+                        threadId: validatedArgs.threadId,
+                        messages: threadMessages,
+                    });
+                }
+                case "modify_thread": {
+                    const validatedArgs = ModifyThreadSchema.parse(args);
+                    const requestBody = {};
+                    if (validatedArgs.addLabelIds) {
+                        requestBody.addLabelIds = validatedArgs.addLabelIds;
+                    }
+                    if (validatedArgs.removeLabelIds) {
+                        requestBody.removeLabelIds = validatedArgs.removeLabelIds;
+                    }
+                    assertLabelChangeAllowed(requestBody, protectedLabelPolicy);
+                    const before = await snapshotThreadLabels(validatedArgs.threadId);
+                    const response = await gmail.users.threads.modify({
+                        userId: 'me',
+                        id: validatedArgs.threadId,
+                        requestBody: requestBody,
+                    });
+                    const messageCount = response.data.messages?.length || 0;
+                    const operation = journalLabelChange(name, requestBody, before, Object.keys(before));
+                    return {
+                        content: [
+                            {
+                                type: "text",
+                                text: `Thread ${validatedArgs.threadId} labels updated successfully (${messageCount} messages)` +
+                                    (operation ? ` (undo with operation ID ${operation.id})` : ''),
+                            },
+                        ],
+                        data: {
+                            threadId: validatedArgs.threadId,
+                            messageCount,
+                            messageIds: Object.keys(before),
+                            addLabelIds: requestBody.addLabelIds || [],
+                            removeLabelIds: requestBody.removeLabelIds || [],
+                            operationId: operation?.id || null,
+                        },
+                    };
+                }
+                case "archive_thread": {
+                    const validatedArgs = ArchiveThreadSchema.parse(args);
+                    const requestBody = { removeLabelIds: ['INBOX'] };
+                    // Archiving is a label change like any other, so INBOX may be protected too
+                    assertLabelChangeAllowed(requestBody, protectedLabelPolicy);
+                    const before = await snapshotThreadLabels(validatedArgs.threadId);
+                    const response = await gmail.users.threads.modify({
+                        userId: 'me',
+                        id: validatedArgs.threadId,
+                        requestBody: requestBody,
+                    });
+                    const messageCount = response.data.messages?.length || 0;
+                    const operation = journalLabelChange(name, requestBody, before, Object.keys(before));
+                    return {
+                        content: [
+                            {
+                                type: "text",
+                                text: `Thread ${validatedArgs.threadId} archived (${messageCount} messages)` +
+                                    (operation ? ` (undo with operation ID ${operation.id})` : ''),
+                            },
+                        ],
+                        data: {
+                            threadId: validatedArgs.threadId,
+                            messageCount,
+                            messageIds: Object.keys(before),
+                            addLabelIds: requestBody.addLabelIds || [],
+                            removeLabelIds: requestBody.removeLabelIds || [],
+                            operationId: operation?.id || null,
+                        },
                     };
                 }
                 case "list_email_labels": {
@@ -512,12 +1345,13 @@ async function main() {
                                     userLabels.map((l) => `ID: ${l.id}\nName: ${l.name}\n`).join('\n')
                             },
                         ],
+                        data: { system: systemLabels, user: userLabels },
                     };
                 }
                 case "batch_modify_emails": {
                     const validatedArgs = BatchModifyEmailsSchema.parse(args);
                     const messageIds = validatedArgs.messageIds;
-                    const batchSize = validatedArgs.batchSize || 50;
+                    const batchSize = validatedArgs.batchSize;
                     // Prepare request body
                     const requestBody = {};
                     if (validatedArgs.addLabelIds) {
@@ -526,23 +1360,23 @@ async function main() {
                     if (validatedArgs.removeLabelIds) {
                         requestBody.removeLabelIds = validatedArgs.removeLabelIds;
                     }
-                    // Process messages in batches
-                    const { successes, failures } = await processBatches(messageIds, batchSize, async (batch) => {
-                        const results = await Promise.all(batch.map(async (messageId) => {
-                            const result = await gmail.users.messages.modify({
-                                userId: 'me',
-                                id: messageId,
-                                requestBody: requestBody,
-                            });
-                            return { messageId, success: true };
-                        }));
-                        return results;
-                    });
+                    // Reject the whole batch up front rather than failing per message
+                    assertLabelChangeAllowed(requestBody, protectedLabelPolicy);
+                    if (validatedArgs.dryRun) {
+                        return await previewMessageLabelChange(messageIds, requestBody);
+                    }
+                    const before = await snapshotLabels(gmail, messageIds);
+                    // One batchModify call per batch instead of one modify call per message
+                    const { successes, failures } = await batchModifyMessages(messageIds, requestBody, batchSize);
+                    const operation = journalLabelChange(name, requestBody, before, successes.map(s => s.messageId));
                     // Generate summary of the operation
                     const successCount = successes.length;
                     const failureCount = failures.length;
                     let resultText = `Batch label modification complete.\n`;
                     resultText += `Successfully processed: ${successCount} messages\n`;
+                    if (operation) {
+                        resultText += `Undo with operation ID: ${operation.id}\n`;
+                    }
                     if (failureCount > 0) {
                         resultText += `Failed to process: ${failureCount} messages\n\n`;
                         resultText += `Failed message IDs:\n`;
@@ -555,6 +1389,111 @@ async function main() {
                                 text: resultText,
                             },
                         ],
+                        data: {
+                            processed: successCount,
+                            operationId: operation?.id || null,
+                            failures: failures.map(f => ({ messageId: f.item, error: toToolError(f.error) })),
+                        },
+                    };
+                }
+                case "list_label_operations": {
+                    const validatedArgs = ListLabelOperationsSchema.parse(args);
+                    const operations = listOperations(undoJournalPath, validatedArgs.limit);
+                    const formatLabels = (ids) => ids.length > 0 ? ids.join(', ') : '-';
+                    return {
+                        content: [
+                            {
+                                type: "text",
+                                text: operations.length === 0 ? 'No label operations recorded.' :
+                                    operations.map(op => `Operation ID: ${op.id}\nTool: ${op.tool}\nDate: ${op.createdAt}\n` +
+                                        `Added: ${formatLabels(op.addLabelIds)}\nRemoved: ${formatLabels(op.removeLabelIds)}\n` +
+                                        `Messages: ${Object.keys(op.messages).length}\nStatus: ${op.undoneAt ? `undone at ${op.undoneAt}` : op.undoSummary ? 'partially undone' : 'active'}\n`).join('\n'),
+                            },
+                        ],
+                        data: {
+                            operations: operations.map(op => ({
+                                id: op.id,
+                                tool: op.tool,
+                                createdAt: op.createdAt,
+                                addLabelIds: op.addLabelIds,
+                                removeLabelIds: op.removeLabelIds,
+                                messageCount: Object.keys(op.messages).length,
+                                undoneAt: op.undoneAt || null,
+                                partiallyUndone: !op.undoneAt && Boolean(op.undoSummary),
+                            })),
+                        },
+                    };
+                }
+                case "undo_last_operation": {
+                    const validatedArgs = UndoLastOperationSchema.parse(args);
+                    const operation = findOperation(undoJournalPath, validatedArgs.operationId);
+                    const current = await snapshotLabels(gmail, Object.keys(operation.messages));
+                    const plan = planUndo(operation, current, validatedArgs.force);
+                    const restoredIds = [];
+                    const failures = [];
+                    for (const group of plan.groups) {
+                        const requestBody = {
+                            ...(group.addLabelIds.length > 0 && { addLabelIds: group.addLabelIds }),
+                            ...(group.removeLabelIds.length > 0 && { removeLabelIds: group.removeLabelIds }),
+                        };
+                        // The inverse must respect the protected-label policy too (e.g. re-adding TRASH)
+                        try {
+                            assertLabelChangeAllowed(requestBody, protectedLabelPolicy);
+                        }
+                        catch (error) {
+                            failures.push(...group.messageIds.map(item => ({ item, error })));
+                            continue;
+                        }
+                        const result = await batchModifyMessages(group.messageIds, requestBody);
+                        restoredIds.push(...result.successes.map(success => success.messageId));
+                        failures.push(...result.failures);
+                    }
+                    // Failed restores (and drifted messages not forced) stay in the journal for another attempt
+                    const pending = [
+                        ...failures.map(f => f.item),
+                        ...(validatedArgs.force ? [] : plan.drifted.map(d => d.messageId)),
+                    ];
+                    const restored = restoredIds.length;
+                    markUndone(undoJournalPath, operation.id, {
+                        restored,
+                        failed: failures.map(f => f.item),
+                        drifted: plan.drifted.map(d => d.messageId),
+                        missing: plan.missing,
+                    }, pending);
+                    let resultText = pending.length === 0 ?
+                        `Undo of operation ${operation.id} (${operation.tool}) complete.\n` :
+                        `Undo of operation ${operation.id} (${operation.tool}) incomplete: ${pending.length} messages left pending. ` +
+                            `Call undo_last_operation with operationId ${operation.id} again to retry them.\n`;
+                    resultText += `Restored: ${restored} messages\n`;
+                    if (plan.drifted.length > 0) {
+                        resultText += `\nChanged since the operation (${plan.drifted.length})${validatedArgs.force ? ' - reverted anyway' : ' - left untouched, pass force to revert'}:\n`;
+                        resultText += plan.drifted.map(d => `- ${d.messageId} (${d.changedLabelIds.join(', ')})`).join('\n') + '\n';
+                    }
+                    if (plan.missing.length > 0) {
+                        resultText += `\nNo longer accessible (${plan.missing.length}):\n` + plan.missing.map(id => `- ${id}`).join('\n') + '\n';
+                    }
+                    if (failures.length > 0) {
+                        resultText += `\nFailed to restore (${failures.length}):\n` + failures.map(f => `- ${f.item} (${f.error.message})`).join('\n');
+                    }
+                    return {
+                        content: [
+                            {
+                                type: "text",
+                                text: resultText,
+                            },
+                        ],
+                        data: {
+                            operationId: operation.id,
+                            tool: operation.tool,
+                            complete: pending.length === 0,
+                            restored,
+                            messageIds: restoredIds,
+                            pending,
+                            forced: validatedArgs.force,
+                            drifted: plan.drifted,
+                            missing: plan.missing,
+                            failures: failures.map(f => ({ messageId: f.item, error: toToolError(f.error) })),
+                        },
                     };
                 }
                 // Label management handlers
@@ -563,14 +1502,20 @@ async function main() {
                     const result = await createLabel(gmail, validatedArgs.name, {
                         messageListVisibility: validatedArgs.messageListVisibility,
                         labelListVisibility: validatedArgs.labelListVisibility,
+                        dryRun: validatedArgs.dryRun,
                     });
                     return {
                         content: [
                             {
                                 type: "text",
-                                text: `Label created successfully:\nID: ${result.id}\nName: ${result.name}\nType: ${result.type}`,
+                                text: result.dryRun ?
+                                    `DRY RUN - label would be created:\nName: ${result.name}\nMessage list visibility: ${result.messageListVisibility}\nLabel list visibility: ${result.labelListVisibility}` :
+                                    `Label created successfully:\nID: ${result.id}\nName: ${result.name}\nType: ${result.type}`,
                             },
                         ],
+                        data: result.dryRun ?
+                            { dryRun: true, label: { name: result.name, messageListVisibility: result.messageListVisibility, labelListVisibility: result.labelListVisibility } } :
+                            { dryRun: false, label: result },
                     };
                 }
                 case "update_label": {
@@ -583,7 +1528,20 @@ async function main() {
                         updates.messageListVisibility = validatedArgs.messageListVisibility;
                     if (validatedArgs.labelListVisibility)
                         updates.labelListVisibility = validatedArgs.labelListVisibility;
-                    const result = await updateLabel(gmail, validatedArgs.id, updates);
+                    const result = await updateLabel(gmail, validatedArgs.id, updates, { dryRun: validatedArgs.dryRun });
+                    if (result.dryRun) {
+                        const changes = Object.keys(updates)
+                            .map(field => `${field}: ${result.before[field] ?? '(unset)'} -> ${result.after[field]}`);
+                        return {
+                            content: [
+                                {
+                                    type: "text",
+                                    text: `DRY RUN - label ${validatedArgs.id} would be updated:\n${changes.length > 0 ? changes.join('\n') : '(no changes)'}`,
+                                },
+                            ],
+                            data: { dryRun: true, before: result.before, after: result.after },
+                        };
+                    }
                     return {
                         content: [
                             {
@@ -591,11 +1549,12 @@ async function main() {
                                 text: `Label updated successfully:\nID: ${result.id}\nName: ${result.name}\nType: ${result.type}`,
                             },
                         ],
+                        data: { dryRun: false, label: result },
                     };
                 }
                 case "delete_label": {
                     const validatedArgs = DeleteLabelSchema.parse(args);
-                    const result = await deleteLabel(gmail, validatedArgs.id);
+                    const result = await deleteLabel(gmail, validatedArgs.id, { dryRun: validatedArgs.dryRun });
                     return {
                         content: [
                             {
@@ -603,6 +1562,7 @@ async function main() {
                                 text: result.message,
                             },
                         ],
+                        data: { dryRun: Boolean(result.dryRun), labelId: validatedArgs.id, message: result.message },
                     };
                 }
                 case "get_or_create_label": {
@@ -619,90 +1579,148 @@ async function main() {
                                 text: `Successfully ${action} label:\nID: ${result.id}\nName: ${result.name}\nType: ${result.type}`,
                             },
                         ],
+                        data: { created: action === 'created new', label: result },
                     };
                 }
                 case "download_attachment": {
                     const validatedArgs = DownloadAttachmentSchema.parse(args);
-                    try {
-                        // Get the attachment data from Gmail API
-                        const attachmentResponse = await gmail.users.messages.attachments.get({
-                            userId: 'me',
-                            messageId: validatedArgs.messageId,
-                            id: validatedArgs.attachmentId,
-                        });
-                        if (!attachmentResponse.data.data) {
-                            throw new Error('No attachment data received');
-                        }
-                        // Decode the base64 data
-                        const data = attachmentResponse.data.data;
-                        const buffer = Buffer.from(data, 'base64url');
-                        // Determine save path and filename
-                        const savePath = validatedArgs.savePath || process.cwd();
-                        let filename = validatedArgs.filename;
-                        if (!filename) {
-                            // Get original filename from message if not provided
-                            const messageResponse = await gmail.users.messages.get({
-                                userId: 'me',
-                                id: validatedArgs.messageId,
-                                format: 'full',
-                            });
-                            // Find the attachment part to get original filename
-                            const findAttachment = (part) => {
-                                if (part.body && part.body.attachmentId === validatedArgs.attachmentId) {
-                                    return part.filename || `attachment-${validatedArgs.attachmentId}`;
-                                }
-                                if (part.parts) {
-                                    for (const subpart of part.parts) {
-                                        const found = findAttachment(subpart);
-                                        if (found)
-                                            return found;
-                                    }
-                                }
-                                return null;
-                            };
-                            filename = findAttachment(messageResponse.data.payload) || `attachment-${validatedArgs.attachmentId}`;
+                    // Get the attachment data from Gmail API
+                    const attachmentResponse = await gmail.users.messages.attachments.get({
+                        userId: 'me',
+                        messageId: validatedArgs.messageId,
+                        id: validatedArgs.attachmentId,
+                    });
+                    if (!attachmentResponse.data.data) {
+                        throw new ToolError('ATTACHMENT_NOT_FOUND', 'No attachment data received', { messageId: validatedArgs.messageId, attachmentId: validatedArgs.attachmentId });
+                    }
+                    // Decode the base64 data
+                    const data = attachmentResponse.data.data;
+                    const buffer = Buffer.from(data, 'base64url');
+                    // Find the attachment part for its original filename and declared type
+                    const messageResponse = await gmail.users.messages.get({
+                        userId: 'me',
+                        id: validatedArgs.messageId,
+                        format: 'full',
+                    });
+                    const findAttachment = (part) => {
+                        if (part.body && part.body.attachmentId === validatedArgs.attachmentId) {
+                            return part;
                         }
-                        // Ensure save directory exists
-                        if (!fs.existsSync(savePath)) {
-                            fs.mkdirSync(savePath, { recursive: true });
+                        if (part.parts) {
+                            for (const subpart of part.parts) {
+                                const found = findAttachment(subpart);
+                                if (found)
+                                    return found;
+                            }
                         }
-                        // Write file
-                        const fullPath = path.join(savePath, filename);
-                        fs.writeFileSync(fullPath, buffer);
-                        return {
-                            content: [
-                                {
-                                    type: "text",
-                                    text: `Attachment downloaded successfully:\nFile: ${filename}\nSize: ${buffer.length} bytes\nSaved to: ${fullPath}`,
-                                },
-                            ],
-                        };
+                        return null;
+                    };
+                    const attachmentPart = findAttachment(messageResponse.data.payload || {});
+                    // Both the caller's and the sender's filename are untrusted
+                    const filename = sanitizeFilename(validatedArgs.filename || attachmentPart?.filename || `attachment-${validatedArgs.attachmentId}`);
+                    verifyContentType(buffer, filename, attachmentPart?.mimeType);
+                    const saveDir = resolveDownloadDirectory(downloadRoot, validatedArgs.savePath);
+                    const fullPath = writeWithoutOverwrite(saveDir, filename, buffer);
+                    return {
+                        content: [
+                            {
+                                type: "text",
+                                text: `Attachment downloaded successfully:\nFile: ${path.basename(fullPath)}\nSize: ${buffer.length} bytes\nSaved to: ${fullPath}`,
+                            },
+                        ],
+                        data: { filename: path.basename(fullPath), mimeType: attachmentPart?.mimeType || null, size: buffer.length, path: fullPath },
+                    };
+                }
+                default:
+                    throw new ToolError('UNKNOWN_TOOL', `Unknown tool: ${name}`, { tool: name });
+            }
+        }
+        try {
+            // Policy rules run first, so a disabled tool never even issues a confirmation token
+            const { messageCount } = await policyEnforcer.enforce(name, args, {
+                getUserEmail: async () => (await gmail.users.getProfile({ userId: 'me' })).data.emailAddress,
+                getLabel: async (id) => (await gmail.users.labels.get({ userId: 'me', id })).data,
+                getThreadMessageCount: async (threadId) => {
+                    const thread = await gmail.users.threads.get({ userId: 'me', id: threadId, format: 'minimal' });
+                    return thread.data.messages?.length || 0;
+                },
+                getUndoMessageCount: (operationId) => {
+                    try {
+                        return Object.keys(findOperation(undoJournalPath, operationId).messages).length;
                     }
-                    catch (error) {
-                        return {
-                            content: [
-                                {
-                                    type: "text",
-                                    text: `Failed to download attachment: ${error.message}`,
-                                },
-                            ],
-                        };
+                    catch {
+                        // Nothing to undo; the tool itself reports why
+                        return 0;
                     }
+                },
+            });
+            // High-impact calls run only when repeated with a token bound to the same arguments
+            const highImpactSummary = describeHighImpactCall(name, args, confirmationConfig);
+            if (highImpactSummary) {
+                if (!args?.confirmationToken) {
+                    const { token, expiresAt } = confirmations.issue(name, args);
+                    return {
+                        content: [
+                            {
+                                type: "text",
+                                text: `Confirmation required - nothing was done yet.\n\nOperation: ${highImpactSummary}\n\n` +
+                                    `To proceed, call ${name} again with exactly the same arguments plus confirmationToken: "${token}"\n` +
+                                    `The token is single-use and expires at ${expiresAt.toISOString()}.`,
+                            },
+                        ],
+                        data: { confirmationRequired: true, operation: highImpactSummary, confirmationToken: token, expiresAt: expiresAt.toISOString() },
+                    };
                 }
-                default:
-                    throw new Error(`Unknown tool: ${name}`);
+                confirmations.consume(args.confirmationToken, name, args);
             }
+            const result = await runTool();
+            // Only changes that actually went through count towards the session message limit
+            policyEnforcer.recordMessages(messageCount);
+            return result;
         }
         catch (error) {
-            return {
-                content: [
-                    {
-                        type: "text",
-                        text: `Error: ${error.message}`,
-                    },
-                ],
-            };
+            // Every failure carries a typed error (code, retryable, gmailStatus, details) so callers can tell them apart
+            return errorResult(error);
+        }
+    }
+    // Secrets never reach the audit log, even on calls allowed to skip redaction
+    const auditLogger = createAuditLogger(AUDIT_LOG_PATH, { redact: value => redactor.redactValue(value) });
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+        const startedAt = Date.now();
+        // An invalid outputFormat was already rejected by handleToolCall, in the default format
+        const requestedFormat = request.params.arguments?.outputFormat;
+        const format = OUTPUT_FORMATS.includes(requestedFormat) ? requestedFormat : outputFormat;
+        // The audit log fails closed: a call that cannot be recorded does not run
+        try {
+            auditLogger.assertWritable();
+        }
+        catch (error) {
+            console.error('Audit log is not writable:', error.message);
+            const refusal = errorResult(new ToolError('AUDIT_LOG_UNAVAILABLE', `The audit log cannot be written (${error.message}), so no tool calls are run.`));
+            return renderResult(request.params.name, refusal, { format, stats: { requests: 0, retries: 0 } });
+        }
+        const { result: rawResult, stats } = await trackGmailRequests(() => handleToolCall(request));
+        // The policy enforcer has already refused skipRedaction unless the policy allows it
+        const skipRedaction = request.params.arguments?.skipRedaction === true;
+        let result = REDACTED_TOOLS.includes(request.params.name) && !skipRedaction ?
+            redactor.redactResult(rawResult) : rawResult;
+        try {
+            auditLogger.record({
+                tool: request.params.name,
+                args: request.params.arguments,
+                data: result.data,
+                outcome: result.isError ? 'error' : 'success',
+                error: result.isError ? `${result.error.code}: ${result.error.message}` : undefined,
+                startedAt,
+                durationMs: Date.now() - startedAt,
+            });
+        }
+        catch (error) {
+            // Withhold the result of an unrecorded call; a change it made has still happened
+            console.error('Failed to write audit log entry:', error.message);
+            result = errorResult(new ToolError('AUDIT_LOG_UNAVAILABLE', `The call ran but could not be recorded in the audit log (${error.message}), so its result is withheld. Any change it made has been applied.`, { tool: request.params.name, outcome: result.isError ? 'error' : 'success' }));
         }
+        return renderResult(request.params.name, result, { format, stats });
     });
     const transport = new StdioServerTransport();
     server.connect(transport);
@@ -0,0 +1,86 @@
+/**
+ * Label Guard for Gmail MCP Server
+ * Checks every label mutation against the protected-label policy before it reaches Gmail
+ */
+
+// Labels that must never be added or removed unless the policy says otherwise.
+// Adding TRASH or SPAM hands messages to Gmail's 30-day auto-delete; removing
+// SENT or DRAFT rewrites mailbox history.
+export const DEFAULT_PROTECTED_LABELS = {
+    add: ['TRASH', 'SPAM'],
+    remove: ['SENT', 'DRAFT'],
+};
+
+// TRASH stays blocked regardless of configuration - it is the "cannot delete" guarantee
+const ALWAYS_PROTECTED_ADD = ['TRASH'];
+
+/**
+ * Error raised when a label mutation touches a protected label
+ */
+export class ProtectedLabelError extends Error {
+    /**
+     * @param {Array<{operation: 'add'|'remove', labelId: string}>} violations - Rejected label changes
+     */
+    constructor(violations) {
+        const summary = violations
+            .map(v => `${v.operation === 'add' ? 'adding' : 'removing'} ${v.labelId}`)
+            .join(', ');
+        super(`Label change rejected by protected-label policy: ${summary} is not allowed.`);
+        this.name = 'ProtectedLabelError';
+        this.code = 'PROTECTED_LABEL';
+        this.details = { violations };
+    }
+}
+
+/**
+ * Parses a comma-separated list of label IDs
+ * @param value - Raw environment value
+ * @returns Array of upper-cased label IDs, or null if the value is unset
+ */
+function parseLabelList(value) {
+    if (value === undefined) {
+        return null;
+    }
+    return value.split(',').map(l => l.trim().toUpperCase()).filter(Boolean);
+}
+
+/**
+ * Loads the protected-label policy
+ * Lists from the policy file win over GMAIL_PROTECTED_ADD_LABELS and
+ * GMAIL_PROTECTED_REMOVE_LABELS, which in turn replace the defaults
+ * @param env - Environment to read overrides from
+ * @param overrides - Optional { add, remove } lists from the policy file
+ * @returns Policy with `add` and `remove` label ID lists
+ */
+export function loadProtectedLabelPolicy(env = process.env, overrides = {}) {
+    const normalize = (labels) => labels && labels.map(l => l.toUpperCase());
+    const add = normalize(overrides.add) || parseLabelList(env.GMAIL_PROTECTED_ADD_LABELS) || DEFAULT_PROTECTED_LABELS.add;
+    const remove = normalize(overrides.remove) || parseLabelList(env.GMAIL_PROTECTED_REMOVE_LABELS) || DEFAULT_PROTECTED_LABELS.remove;
+    return {
+        add: [...new Set([...ALWAYS_PROTECTED_ADD, ...add])],
+        remove: [...new Set(remove)],
+    };
+}
+
+/**
+ * Verifies a label mutation against the protected-label policy
+ * @param change - Object with optional addLabelIds and removeLabelIds arrays
+ * @param policy - Policy returned by loadProtectedLabelPolicy
+ * @throws {ProtectedLabelError} If any protected label would be added or removed
+ */
+export function assertLabelChangeAllowed(change, policy) {
+    const violations = [];
+    for (const labelId of change.addLabelIds || []) {
+        if (policy.add.includes(labelId.toUpperCase())) {
+            violations.push({ operation: 'add', labelId });
+        }
+    }
+    for (const labelId of change.removeLabelIds || []) {
+        if (policy.remove.includes(labelId.toUpperCase())) {
+            violations.push({ operation: 'remove', labelId });
+        }
+    }
+    if (violations.length > 0) {
+        throw new ProtectedLabelError(violations);
+    }
+}
@@ -6,14 +6,21 @@
  * Creates a new Gmail label
  * @param gmail - Gmail API instance
  * @param labelName - Name of the label to create
- * @param options - Optional settings for the label
- * @returns The newly created label
+ * @param options - Optional settings for the label; `dryRun` validates without creating
+ * @returns The newly created label, or a preview of it in dry-run mode
  */
 export async function createLabel(gmail, labelName, options = {}) {
     try {
         // Default visibility settings if not provided
         const messageListVisibility = options.messageListVisibility || 'show';
         const labelListVisibility = options.labelListVisibility || 'labelShow';
+        if (options.dryRun) {
+            const existingLabel = await findLabelByName(gmail, labelName);
+            if (existingLabel) {
+                throw new Error(`Label "${labelName}" already exists. Please use a different name.`);
+            }
+            return { dryRun: true, name: labelName, messageListVisibility, labelListVisibility };
+        }
         const response = await gmail.users.labels.create({
             userId: 'me',
             requestBody: {
@@ -27,9 +34,9 @@ export async function createLabel(gmail, labelName, options = {}) {
     catch (error) {
         // Handle duplicate labels more gracefully
         if (error.message && error.message.includes('already exists')) {
-            throw new Error(`Label "${labelName}" already exists. Please use a different name.`);
+            throw new Error(`Label "${labelName}" already exists. Please use a different name.`, { cause: error });
         }
-        throw new Error(`Failed to create label: ${error.message}`);
+        throw new Error(`Failed to create label: ${error.message}`, { cause: error });
     }
 }
 /**
@@ -37,15 +44,22 @@ export async function createLabel(gmail, labelName, options = {}) {
  * @param gmail - Gmail API instance
  * @param labelId - ID of the label to update
  * @param updates - Properties to update
- * @returns The updated label
+ * @param options - `dryRun` validates and returns the before/after label without updating
+ * @returns The updated label, or { dryRun, before, after } in dry-run mode
  */
-export async function updateLabel(gmail, labelId, updates) {
+export async function updateLabel(gmail, labelId, updates, options = {}) {
     try {
         // Verify the label exists before updating
-        await gmail.users.labels.get({
+        const existing = await gmail.users.labels.get({
             userId: 'me',
             id: labelId,
         });
+        if (options.dryRun) {
+            if (existing.data.type === 'system') {
+                throw new Error(`Cannot update system label with ID "${labelId}".`);
+            }
+            return { dryRun: true, before: existing.data, after: { ...existing.data, ...updates } };
+        }
         const response = await gmail.users.labels.update({
             userId: 'me',
             id: labelId,
@@ -55,18 +69,19 @@ export async function updateLabel(gmail, labelId, updates) {
     }
     catch (error) {
         if (error.code === 404) {
-            throw new Error(`Label with ID "${labelId}" not found.`);
+            throw new Error(`Label with ID "${labelId}" not found.`, { cause: error });
         }
-        throw new Error(`Failed to update label: ${error.message}`);
+        throw new Error(`Failed to update label: ${error.message}`, { cause: error });
     }
 }
 /**
  * Deletes a Gmail label
  * @param gmail - Gmail API instance
  * @param labelId - ID of the label to delete
+ * @param options - `dryRun` validates and reports what would be deleted without deleting
  * @returns Success message
  */
-export async function deleteLabel(gmail, labelId) {
+export async function deleteLabel(gmail, labelId, options = {}) {
     try {
         // Ensure we're not trying to delete system labels
         const label = await gmail.users.labels.get({
@@ -76,6 +91,13 @@ export async function deleteLabel(gmail, labelId) {
         if (label.data.type === 'system') {
             throw new Error(`Cannot delete system label with ID "${labelId}".`);
         }
+        if (options.dryRun) {
+            return {
+                success: true,
+                dryRun: true,
+                message: `DRY RUN - label "${label.data.name}" would be deleted and removed from ${label.data.messagesTotal ?? 'an unknown number of'} messages (the messages themselves are kept).`,
+            };
+        }
         await gmail.users.labels.delete({
             userId: 'me',
             id: labelId,
@@ -84,9 +106,9 @@ export async function deleteLabel(gmail, labelId) {
     }
     catch (error) {
         if (error.code === 404) {
-            throw new Error(`Label with ID "${labelId}" not found.`);
+            throw new Error(`Label with ID "${labelId}" not found.`, { cause: error });
         }
-        throw new Error(`Failed to delete label: ${error.message}`);
+        throw new Error(`Failed to delete label: ${error.message}`, { cause: error });
     }
 }
 /**
@@ -115,7 +137,7 @@ export async function listLabels(gmail) {
         };
     }
     catch (error) {
-        throw new Error(`Failed to list labels: ${error.message}`);
+        throw new Error(`Failed to list labels: ${error.message}`, { cause: error });
     }
 }
 /**
@@ -133,7 +155,7 @@ export async function findLabelByName(gmail, labelName) {
         return foundLabel || null;
     }
     catch (error) {
-        throw new Error(`Failed to find label: ${error.message}`);
+        throw new Error(`Failed to find label: ${error.message}`, { cause: error });
     }
 }
 /**
@@ -154,6 +176,6 @@ export async function getOrCreateLabel(gmail, labelName, options = {}) {
         return await createLabel(gmail, labelName, options);
     }
     catch (error) {
-        throw new Error(`Failed to get or create label: ${error.message}`);
+        throw new Error(`Failed to get or create label: ${error.message}`, { cause: error });
     }
 }
@@ -0,0 +1,306 @@
+/**
+ * Message Part Tree for Gmail MCP Server
+ * Classifies the MIME parts of a Gmail message so bodies, inline images, attachments,
+ * forwarded messages and calendar invites are reported separately instead of being
+ * concatenated into one body
+ */
+import { decodePartBody, decodeEncodedWords, decodeBytes, parseCharset } from './utils/charset.js';
+import { parseCalendar } from './utils/icalendar.js';
+import { htmlToText } from './utils/html-to-text.js';
+
+const CALENDAR_TYPES = ['text/calendar', 'application/ics'];
+
+/**
+ * Case-insensitive lookup of a part header
+ */
+function partHeader(part, name) {
+    return (part.headers || []).find(h => h.name?.toLowerCase() === name)?.value || '';
+}
+
+/**
+ * Headers of a forwarded message, decoded for display
+ */
+function messageHeaders(part) {
+    const headers = {};
+    for (const name of ['from', 'to', 'cc', 'date', 'subject']) {
+        const value = partHeader(part, name);
+        if (value) {
+            headers[name] = decodeEncodedWords(value);
+        }
+    }
+    return headers;
+}
+
+/**
+ * Builds the node for one part and its children
+ */
+function buildNode(part) {
+    const mimeType = (part.mimeType || 'application/octet-stream').toLowerCase();
+    const disposition = partHeader(part, 'content-disposition').split(';')[0].trim().toLowerCase();
+    const contentId = partHeader(part, 'content-id').replace(/^<|>$/g, '');
+    const node = {
+        kind: 'attachment',
+        mimeType,
+        partId: part.partId || '',
+        filename: part.filename || '',
+        size: part.body?.size || 0,
+        ...(part.body?.attachmentId && { attachmentId: part.body.attachmentId }),
+        ...(contentId && { contentId }),
+    };
+
+    if (mimeType.startsWith('multipart/')) {
+        return { ...node, kind: 'container', children: (part.parts || []).map(buildNode) };
+    }
+    if (mimeType === 'message/rfc822') {
+        // Gmail exposes the encapsulated message as the part's single child, carrying its own headers
+        const inner = part.parts?.length === 1 ? part.parts[0] : null;
+        return {
+            ...node,
+            kind: 'forwarded',
+            headers: inner ? messageHeaders(inner) : {},
+            children: inner ? [buildNode(inner)] : [],
+        };
+    }
+    if (CALENDAR_TYPES.includes(mimeType)) {
+        return {
+            ...node,
+            kind: 'calendar',
+            charset: parseCharset(partHeader(part, 'content-type')),
+            ...(part.body?.data && { calendar: parseCalendar(decodePartBody(part)) }),
+        };
+    }
+    // Checked before Content-ID: some clients give body parts a Content-ID too
+    if ((mimeType === 'text/plain' || mimeType === 'text/html') && !part.filename && disposition !== 'attachment') {
+        return { ...node, kind: 'body', content: part.body?.data ? decodePartBody(part) : '' };
+    }
+    if (contentId && disposition !== 'attachment') {
+        // Confirmed as inline once an HTML body is known to reference it (see markInlineParts)
+        return { ...node, kind: 'inline', inlineDisposition: disposition === 'inline' };
+    }
+    return node;
+}
+
+/**
+ * Walks the tree depth-first
+ * @param node - Tree node
+ * @param visit - Called with each node; return false to skip its children
+ */
+function walk(node, visit) {
+    if (visit(node) === false) {
+        return;
+    }
+    for (const child of node.children || []) {
+        walk(child, visit);
+    }
+}
+
+/**
+ * Percent-decodes a cid: reference, keeping it as written when the sender's escaping is malformed
+ */
+function decodeContentId(value) {
+    try {
+        return decodeURIComponent(value);
+    }
+    catch {
+        return value;
+    }
+}
+
+/**
+ * Turns Content-ID parts into attachments unless an HTML body references them
+ * (cid:) or they are explicitly marked inline
+ */
+function markInlineParts(tree) {
+    const referenced = new Set();
+    walk(tree, (node) => {
+        if (node.kind === 'body' && node.mimeType === 'text/html') {
+            for (const match of node.content.matchAll(/cid:([^"'\s)>]+)/gi)) {
+                referenced.add(decodeContentId(match[1]));
+            }
+        }
+    });
+    walk(tree, (node) => {
+        if (node.kind === 'inline') {
+            if (!referenced.has(node.contentId) && !node.inlineDisposition) {
+                node.kind = 'attachment';
+            }
+            delete node.inlineDisposition;
+        }
+    });
+}
+
+/**
+ * Builds the structured part tree of a message payload
+ * Node kinds: container (multipart), body, inline (cid: image), attachment,
+ * forwarded (message/rfc822, with its own headers) and calendar (parsed text/calendar)
+ * @param payload - Gmail message payload fetched with format 'full'
+ * @returns Root node
+ */
+export function buildPartTree(payload) {
+    const tree = buildNode(payload || {});
+    markInlineParts(tree);
+    return tree;
+}
+
+/**
+ * Collects nodes of one kind
+ * @param tree - Root node from buildPartTree
+ * @param kind - Node kind
+ * @param options - { includeForwarded } to also search inside forwarded messages
+ * @returns Matching nodes in document order
+ */
+export function collectParts(tree, kind, options = {}) {
+    const found = [];
+    walk(tree, (node) => {
+        if (node !== tree && node.kind === 'forwarded' && !options.includeForwarded) {
+            if (kind === 'forwarded') {
+                found.push(node);
+            }
+            return false;
+        }
+        if (node.kind === kind) {
+            found.push(node);
+        }
+    });
+    return found;
+}
+
+/**
+ * Concatenates the body parts of a message, leaving out attachments and forwarded messages
+ * @param payload - Gmail message payload, or a node from buildPartTree
+ * @returns { text, html }
+ */
+export function extractEmailContent(payload) {
+    const tree = payload?.kind ? payload : buildPartTree(payload);
+    let text = '';
+    let html = '';
+    for (const node of collectParts(tree, 'body')) {
+        if (node.mimeType === 'text/plain') {
+            text += node.content;
+        }
+        else {
+            html += node.content;
+        }
+    }
+    return { text, html };
+}
+
+/**
+ * Parses calendar parts whose data Gmail returned as a separate attachment
+ * @param tree - Root node from buildPartTree
+ * @param fetchAttachment - async (attachmentId) => Buffer
+ */
+export async function loadCalendarParts(tree, fetchAttachment) {
+    for (const node of collectParts(tree, 'calendar', { includeForwarded: true })) {
+        if (!node.calendar && node.attachmentId) {
+            node.calendar = parseCalendar(decodeBytes(await fetchAttachment(node.attachmentId), node.charset));
+        }
+    }
+}
+
+/**
+ * Copies the part tree without the decoded body content, for structured output
+ * @param node - Node from buildPartTree
+ * @returns Node with its kind, MIME type, IDs, size, forwarded headers and parsed invite, and its children
+ */
+export function outlinePartTree(node) {
+    const { content, children, ...rest } = node;
+    return { ...rest, ...(children && { children: children.map(outlinePartTree) }) };
+}
+
+/**
+ * Describes one part on a single line
+ */
+function describePart(node) {
+    const size = node.size ? `, ${Math.round(node.size / 1024)} KB` : '';
+    switch (node.kind) {
+        case 'container':
+            return `${node.mimeType}`;
+        case 'body':
+            return `body (${node.mimeType})`;
+        case 'inline':
+            return `inline: ${node.filename || '(unnamed)'} (${node.mimeType}${size}, cid:${node.contentId}${node.attachmentId ? `, ID: ${node.attachmentId}` : ''})`;
+        case 'forwarded':
+            return `forwarded message: "${node.headers.subject || '(no subject)'}" from ${node.headers.from || 'unknown sender'}${node.attachmentId ? ` (ID: ${node.attachmentId})` : ''}`;
+        case 'calendar': {
+            const event = node.calendar?.events[0];
+            return `calendar invite${node.calendar?.method ? ` (${node.calendar.method})` : ''}: ${event?.summary || '(not parsed)'}`;
+        }
+        default:
+            return `attachment: ${node.filename || '(unnamed)'} (${node.mimeType}${size}${node.attachmentId ? `, ID: ${node.attachmentId}` : ''})`;
+    }
+}
+
+/**
+ * Formats the part tree as an indented outline
+ * @param tree - Root node from buildPartTree or outlinePartTree
+ * @returns Outline text, one part per line
+ */
+export function formatPartTree(tree) {
+    const lines = [];
+    const visit = (node, depth) => {
+        lines.push(`${'  '.repeat(depth)}- ${describePart(node)}`);
+        for (const child of node.children || []) {
+            visit(child, depth + 1);
+        }
+    };
+    visit(tree, 0);
+    return lines.join('\n');
+}
+
+/**
+ * Lists the attachments and inline images of a message, including those of forwarded messages
+ * @param tree - Root node from buildPartTree or outlinePartTree
+ * @returns One line per part, or an empty string when there are none
+ */
+export function formatAttachmentList(tree) {
+    return [...collectParts(tree, 'attachment', { includeForwarded: true }), ...collectParts(tree, 'inline', { includeForwarded: true })]
+        .map(node => `- ${describePart(node)}`)
+        .join('\n');
+}
+
+/**
+ * Formats the events of a calendar part
+ * @param calendar - Result of parseCalendar
+ * @returns Event details, one field per line
+ */
+export function formatCalendar(calendar) {
+    const person = (p) => (p.name ? `${p.name} <${p.email}>` : p.email) + (p.status ? ` (${p.status})` : '');
+    return calendar.events.map(event => [
+        `Summary: ${event.summary || '(none)'}`,
+        event.organizer && `Organizer: ${person(event.organizer)}`,
+        event.start && `Start: ${event.start}`,
+        event.end && `End: ${event.end}`,
+        event.location && `Location: ${event.location}`,
+        event.recurrence && `Recurrence: ${event.recurrence}`,
+        event.status && `Status: ${event.status}`,
+        event.attendees.length > 0 && `Attendees:\n${event.attendees.map(a => `  - ${person(a)}`).join('\n')}`,
+    ].filter(Boolean).join('\n')).join('\n\n');
+}
+
+/**
+ * Formats a forwarded message: its own headers, its body (rendered from HTML when it has
+ * no plain text version), and any calendar invites or messages forwarded inside it
+ * @param node - Forwarded node from buildPartTree
+ * @returns Section text
+ */
+export function formatForwardedMessage(node) {
+    const { from, to, cc, date, subject } = node.headers;
+    const lines = ['--- Forwarded message ---'];
+    if (from) lines.push(`From: ${from}`);
+    if (to) lines.push(`To: ${to}`);
+    if (cc) lines.push(`Cc: ${cc}`);
+    if (date) lines.push(`Date: ${date}`);
+    if (subject) lines.push(`Subject: ${subject}`);
+    const { text, html } = extractEmailContent(node);
+    const sections = [lines.join('\n'), text || (html ? htmlToText(html).text : '(no body)')];
+    for (const calendar of collectParts(node, 'calendar')) {
+        if (calendar.calendar) {
+            sections.push(`--- Calendar invite ---\n${formatCalendar(calendar.calendar)}`);
+        }
+    }
+    for (const nested of collectParts(node, 'forwarded').filter(child => child !== node)) {
+        sections.push(formatForwardedMessage(nested));
+    }
+    return sections.join('\n\n');
+}
@@ -0,0 +1,318 @@
+/**
+ * Policy Enforcement for Gmail MCP Server
+ * Loads the declarative policy file (JSON or YAML) and applies it before any Gmail call:
+ * which tools exist, who drafts may go to, which labels are protected, and how many
+ * messages a call or session may touch
+ */
+import fs from 'fs';
+import path from 'path';
+import { z } from "zod";
+import YAML from 'yaml';
+import { parseAddressList } from './utils/address-list.js';
+import { SENSITIVITY_LEVELS, CONTENT_ACTIONS } from './content-guard.js';
+import { BUILTIN_DETECTOR_TYPES } from './redaction.js';
+import { isDryRun } from './dry-run.js';
+
+// Policy file names looked up in the config directory, in order
+export const POLICY_FILENAMES = ['policy.json', 'policy.yaml', 'policy.yml'];
+
+// Tools that change the mailbox; hidden and refused in read-only mode
+export const MUTATING_TOOLS = [
+    'draft_email', 'draft_reply', 'draft_forward', 'update_draft', 'discard_draft', 'send_email',
+    'modify_email', 'batch_modify_emails', 'modify_thread', 'archive_thread', 'undo_last_operation',
+    'create_label', 'update_label', 'delete_label', 'get_or_create_label',
+];
+
+const LabelListSchema = z.array(z.string().min(1));
+
+const RedactionRuleSchema = z.object({
+    name: z.string().regex(/^[a-z0-9][a-z0-9_-]*$/i, 'must be letters, digits, "-" or "_"'),
+    pattern: z.string().min(1),
+    flags: z.string().regex(/^[imsu]*$/, 'may only contain i, m, s and u').optional(),
+}).strict().refine((rule) => {
+    try {
+        new RegExp(rule.pattern, rule.flags);
+        return true;
+    }
+    catch {
+        return false;
+    }
+}, { message: 'pattern is not a valid regular expression', path: ['pattern'] });
+
+export const PolicySchema = z.object({
+    version: z.literal(1).default(1),
+    // 'readonly' requests only the gmail.readonly scope and removes every mutating tool
+    mode: z.enum(['modify', 'readonly']).default('modify'),
+    tools: z.object({
+        // When set, only these tools are exposed
+        enabled: z.array(z.string()).optional(),
+        disabled: z.array(z.string()).default([]),
+    }).strict().default({}),
+    recipients: z.object({
+        // When set, drafts may only be addressed to these domains (subdomains included)
+        allowedDraftDomains: z.array(z.string().min(1)).optional(),
+    }).strict().default({}),
+    labels: z.object({
+        protectedAdd: LabelListSchema.optional(),
+        protectedRemove: LabelListSchema.optional(),
+        // User label IDs or names delete_label must refuse, on top of system labels
+        undeletable: LabelListSchema.default([]),
+    }).strict().default({}),
+    limits: z.object({
+        maxMessagesPerCall: z.number().int().positive().optional(),
+        maxMessagesPerSession: z.number().int().positive().optional(),
+    }).strict().default({}),
+    attachments: z.object({
+        root: z.string().min(1).optional(),
+        maxCount: z.number().int().positive().optional(),
+        maxFileBytes: z.number().int().positive().optional(),
+        maxTotalBytes: z.number().int().positive().optional(),
+    }).strict().default({}),
+    redaction: z.object({
+        enabled: z.boolean().default(true),
+        disabledDetectors: z.array(z.enum(BUILTIN_DETECTOR_TYPES)).default([]),
+        // Extra detectors; `name` becomes the placeholder type, e.g. [REDACTED:employee-id]
+        rules: z.array(RedactionRuleSchema).default([]),
+        // Lets read tools take skipRedaction: true
+        allowOverride: z.boolean().default(false),
+    }).strict().default({}),
+    promptInjection: z.object({
+        // How eagerly mailbox text is flagged, and what happens to flagged bodies
+        sensitivity: z.enum(SENSITIVITY_LEVELS).optional(),
+        action: z.enum(CONTENT_ACTIONS).optional(),
+    }).strict().default({}),
+}).strict();
+
+/**
+ * Error raised when a call is refused by the policy
+ */
+export class PolicyViolationError extends Error {
+    /**
+     * @param {string} rule - Rule that fired (e.g. 'tool-disabled', 'recipient-domain')
+     * @param {string} message - Human-readable explanation
+     * @param {object} details - Extra context
+     */
+    constructor(rule, message, details = {}) {
+        super(`Policy violation (${rule}): ${message}`);
+        this.name = 'PolicyViolationError';
+        this.code = 'POLICY_VIOLATION';
+        this.details = { rule, ...details };
+    }
+}
+
+/**
+ * Finds the policy file: GMAIL_POLICY_PATH, else the first policy.{json,yaml,yml} in the config directory
+ * @param configDir - Config directory
+ * @param env - Environment
+ * @returns Path to the policy file, or null if there is none
+ */
+export function findPolicyFile(configDir, env = process.env) {
+    if (env.GMAIL_POLICY_PATH) {
+        return env.GMAIL_POLICY_PATH;
+    }
+    const found = POLICY_FILENAMES.map(name => path.join(configDir, name)).find(file => fs.existsSync(file));
+    return found || null;
+}
+
+/**
+ * Loads and validates a policy file; a missing file yields the default policy
+ * @param policyPath - Path from findPolicyFile (or null)
+ * @returns Validated policy
+ * @throws {Error} If the file cannot be parsed or fails validation
+ */
+export function loadPolicy(policyPath) {
+    if (!policyPath) {
+        return PolicySchema.parse({});
+    }
+    if (!fs.existsSync(policyPath)) {
+        throw new Error(`Policy file not found: ${policyPath}`);
+    }
+    const content = fs.readFileSync(policyPath, 'utf8');
+    let raw;
+    try {
+        raw = /\.ya?ml$/i.test(policyPath) ? YAML.parse(content) : JSON.parse(content);
+    }
+    catch (error) {
+        throw new Error(`Could not parse policy file ${policyPath}: ${error.message}`);
+    }
+    const result = PolicySchema.safeParse(raw ?? {});
+    if (!result.success) {
+        const issues = result.error.issues.map(issue => `  - ${issue.path.join('.') || '(root)'}: ${issue.message}`).join('\n');
+        throw new Error(`Invalid policy file ${policyPath}:\n${issues}`);
+    }
+    return result.data;
+}
+
+/**
+ * Sets the install mode in a policy file, creating policy.json if there is none
+ * YAML files are edited in place so comments survive
+ * @param policyPath - Existing policy file, or null
+ * @param configDir - Config directory for a new policy.json
+ * @param mode - 'modify' or 'readonly'
+ * @returns Path of the written policy file
+ */
+export function savePolicyMode(policyPath, configDir, mode) {
+    const target = policyPath || path.join(configDir, POLICY_FILENAMES[0]);
+    if (!fs.existsSync(target)) {
+        fs.mkdirSync(path.dirname(target), { recursive: true, mode: 0o700 });
+        fs.writeFileSync(target, JSON.stringify({ version: 1, mode }, null, 2) + '\n', { mode: 0o600 });
+        return target;
+    }
+    const content = fs.readFileSync(target, 'utf8');
+    if (/\.ya?ml$/i.test(target)) {
+        const document = YAML.parseDocument(content);
+        document.set('mode', mode);
+        fs.writeFileSync(target, document.toString());
+    }
+    else {
+        fs.writeFileSync(target, JSON.stringify({ ...JSON.parse(content), mode }, null, 2) + '\n');
+    }
+    return target;
+}
+
+/**
+ * Checks whether the policy exposes a tool
+ * @param policy - Validated policy
+ * @param name - Tool name
+ */
+export function isToolEnabled(policy, name) {
+    if (policy.mode === 'readonly' && MUTATING_TOOLS.includes(name)) {
+        return false;
+    }
+    if (policy.tools.disabled.includes(name)) {
+        return false;
+    }
+    return !policy.tools.enabled || policy.tools.enabled.includes(name);
+}
+
+/**
+ * Number of messages a call would modify, for the per-call and per-session limits
+ * Thread tools and undo look up how many messages they reach through the enforcer's context
+ */
+async function countTargetMessages(name, args, context) {
+    switch (name) {
+        case 'modify_email':
+            return 1;
+        case 'batch_modify_emails':
+            return args.messageIds?.length || 0;
+        case 'modify_thread':
+        case 'archive_thread':
+            return args.threadId ? context.getThreadMessageCount(args.threadId) : 0;
+        case 'undo_last_operation':
+            return context.getUndoMessageCount(args.operationId);
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Parses recipient entries into lower-cased addresses
+ * An entry that fails to parse is refused under `rule` rather than passed through unchecked
+ */
+function recipientAddresses(entries, rule) {
+    return entries.flatMap(entry => {
+        try {
+            return parseAddressList(entry).map(mailbox => mailbox.address.toLowerCase());
+        }
+        catch (error) {
+            throw new PolicyViolationError(rule, `Recipient "${entry}" could not be parsed: ${error.message}`, { recipient: entry });
+        }
+    });
+}
+
+/**
+ * Creates the enforcement layer for one server session
+ * @param policy - Validated policy
+ * @returns Enforcer with per-session state
+ */
+export function createPolicyEnforcer(policy) {
+    let sessionMessages = 0;
+
+    return {
+        policy,
+
+        /**
+         * Applies the policy to a tool call before it reaches Gmail
+         * @param name - Tool name
+         * @param args - Raw tool arguments
+         * @param context - { getUserEmail, getLabel, getThreadMessageCount, getUndoMessageCount } lookups against the call's account
+         * @returns { messageCount } messages the call would modify, to pass to recordMessages once it succeeds
+         * @throws {PolicyViolationError} If any rule refuses the call
+         */
+        async enforce(name, args = {}, context) {
+            if (policy.mode === 'readonly' && MUTATING_TOOLS.includes(name)) {
+                throw new PolicyViolationError('read-only-mode', `Tool "${name}" changes the mailbox and is unavailable in read-only mode.`, { tool: name });
+            }
+            if (!isToolEnabled(policy, name)) {
+                throw new PolicyViolationError('tool-disabled', `Tool "${name}" is disabled by policy.`, { tool: name });
+            }
+            if (args.skipRedaction && !policy.redaction.allowOverride) {
+                throw new PolicyViolationError('redaction-override', 'skipRedaction is not allowed by policy.', { tool: name });
+            }
+
+            const { maxMessagesPerCall, maxMessagesPerSession } = policy.limits;
+            // Counting thread messages costs a Gmail request, so only count when a limit applies
+            const count = (maxMessagesPerCall || maxMessagesPerSession) && !isDryRun(name, args) ?
+                await countTargetMessages(name, args, context) : 0;
+            if (count > 0) {
+                if (maxMessagesPerCall && count > maxMessagesPerCall) {
+                    throw new PolicyViolationError('max-messages-per-call', `${count} messages exceed the per-call limit of ${maxMessagesPerCall}.`, { count, limit: maxMessagesPerCall });
+                }
+                if (maxMessagesPerSession && sessionMessages + count > maxMessagesPerSession) {
+                    throw new PolicyViolationError('max-messages-per-session', `${count} more messages would exceed the session limit of ${maxMessagesPerSession} (${sessionMessages} used).`, { count, used: sessionMessages, limit: maxMessagesPerSession });
+                }
+            }
+
+            if (name === 'send_email') {
+                // send_email may only ever reach the account it is sent from, never another configured account
+                // Every mailbox in every entry counts, so "other@example.com, me@example.com" cannot slip through
+                const userEmail = (await context.getUserEmail()).toLowerCase();
+                const entries = [...(args.to || []), ...(args.cc || []), ...(args.bcc || [])];
+                for (const recipient of recipientAddresses(entries, 'send-self-only')) {
+                    if (recipient !== userEmail) {
+                        throw new PolicyViolationError('send-self-only', `send_email can only send to yourself (${userEmail}). Recipient "${recipient}" is not allowed. Use draft_email for other recipients.`, { recipient });
+                    }
+                }
+            }
+
+            // System labels are already refused by deleteLabel; this covers user labels named in the policy
+            if (name === 'delete_label' && args.id && policy.labels.undeletable.length > 0) {
+                const label = await context.getLabel(args.id);
+                const undeletable = policy.labels.undeletable.map(l => l.toLowerCase());
+                if (undeletable.includes(label.id.toLowerCase()) || undeletable.includes((label.name || '').toLowerCase())) {
+                    throw new PolicyViolationError('undeletable-label', `Label "${label.name}" is protected from deletion by policy.`, { labelId: label.id });
+                }
+            }
+            return { messageCount: count };
+        },
+
+        /**
+         * Counts modified messages towards the session limit
+         * Called only after a call succeeded, so previews, confirmation requests and failures are free
+         * @param count - messageCount returned by enforce
+         */
+        recordMessages(count) {
+            sessionMessages += count;
+        },
+
+        /**
+         * Checks draft recipients against the allowed domains
+         * Called with the final recipients, after replies and forwards have been expanded
+         * @param draftArgs - Draft arguments with to/cc/bcc
+         * @throws {PolicyViolationError} If a recipient's domain is not allowed
+         */
+        assertDraftRecipientsAllowed(draftArgs) {
+            const allowed = policy.recipients.allowedDraftDomains?.map(d => d.toLowerCase().replace(/^@/, ''));
+            if (!allowed) {
+                return;
+            }
+            const entries = [...(draftArgs.to || []), ...(draftArgs.cc || []), ...(draftArgs.bcc || [])];
+            for (const recipient of recipientAddresses(entries, 'recipient-domain')) {
+                const domain = recipient.slice(recipient.lastIndexOf('@') + 1);
+                if (!allowed.some(d => domain === d || domain.endsWith(`.${d}`))) {
+                    throw new PolicyViolationError('recipient-domain', `Drafts to "${recipient}" are not allowed; permitted domains: ${allowed.join(', ')}.`, { recipient, allowedDomains: allowed });
+                }
+            }
+        },
+    };
+}
@@ -0,0 +1,192 @@
+/**
+ * Redaction Engine for Gmail MCP Server
+ * Replaces secrets and personal data (reset links, one-time codes, card numbers, API keys,
+ * passwords, IBANs, ...) in tool output and audit entries with typed placeholders
+ */
+
+/**
+ * Checks a card number with the Luhn algorithm
+ */
+function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Checks an IBAN with the ISO 13616 mod-97 checksum
+ */
+function passesIbanChecksum(iban) {
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    const numeric = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (const digit of numeric) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+}
+
+// Built-in detectors. `group` redacts only that capture group (the value after a label);
+// `validate` rejects matches that only look like the real thing.
+export const BUILTIN_DETECTORS = [
+    {
+        type: 'private-key',
+        pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+    },
+    {
+        type: 'api-key',
+        pattern: /\b(?:sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}|(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|glpat-[A-Za-z0-9_-]{20,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|SG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43})\b/g,
+    },
+    {
+        type: 'jwt',
+        pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g,
+    },
+    {
+        type: 'reset-link',
+        // Links that log in, reset a password or confirm an account carry a bearer token in the URL
+        pattern: /\bhttps?:\/\/[^\s<>"')\]]*(?:reset|password|passwd|magic|login|signin|sign-in|verify|verification|confirm|activate|invite|auth|token)[^\s<>"')\]]*/gi,
+        // ...either as a named parameter or as a long run mixing letters and digits (not a readable slug)
+        validate: match => /[?&](?:token|code|key|otp|sig|signature)=|(?=[A-Za-z0-9]*\d)(?=[A-Za-z0-9]*[A-Za-z])\b[A-Za-z0-9]{16,}/i
+            .test(match.replace(/^https?:\/\/[^/]*/i, '')),
+    },
+    {
+        type: 'password',
+        pattern: /\b(?:password|passwort|passwd|pwd|temporary password|kennwort)\s*(?:is)?\s*[:=]\s*(\S{4,})/gi,
+        group: 1,
+    },
+    {
+        type: 'one-time-code',
+        pattern: /\b(?:code|otp|passcode|pin|verification|one-time|one time|2fa|security code|login code)\b[^\n\d]{0,30}?\b(\d{4,8}|\d{3}[ -]\d{3})\b/gi,
+        group: 1,
+    },
+    {
+        type: 'one-time-code',
+        pattern: /\b(\d{4,8})\b(?= is your\b| is the verification\b| is your (?:verification|security|login|one-time) code\b)/gi,
+        group: 1,
+    },
+    {
+        type: 'card-number',
+        pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+        validate: match => passesLuhn(match.replace(/[ -]/g, '')),
+    },
+    {
+        type: 'iban',
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+        validate: match => passesIbanChecksum(match.replace(/ /g, '')),
+    },
+    {
+        type: 'us-ssn',
+        pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g,
+    },
+];
+
+export const BUILTIN_DETECTOR_TYPES = [...new Set(BUILTIN_DETECTORS.map(d => d.type))];
+
+/**
+ * Compiles user-defined rules from the policy file
+ * @param rules - [{ name, pattern, flags }] with a regex source and optional flags
+ * @returns Detectors in the same shape as the built-in ones
+ */
+function compileRules(rules) {
+    return rules.map(rule => ({
+        type: rule.name,
+        pattern: new RegExp(rule.pattern, `${rule.flags || ''}g`),
+    }));
+}
+
+/**
+ * Creates a redactor for the configured detectors
+ * @param redactionPolicy - The policy file's redaction section
+ * @returns Redactor with `redactText`, `redactValue` and `redactResult`
+ */
+export function createRedactor(redactionPolicy) {
+    const detectors = redactionPolicy.enabled ? [
+        ...BUILTIN_DETECTORS.filter(d => !redactionPolicy.disabledDetectors.includes(d.type)),
+        ...compileRules(redactionPolicy.rules),
+    ] : [];
+
+    /**
+     * Replaces every detected value in a string
+     * @param text - Text to scan
+     * @param counts - Object that receives the number of replacements per type
+     * @returns Redacted text
+     */
+    function redactText(text, counts = {}) {
+        if (typeof text !== 'string' || !text) {
+            return text;
+        }
+        return detectors.reduce((result, detector) => result.replace(detector.pattern, (match, ...groups) => {
+            if (detector.validate && !detector.validate(match)) {
+                return match;
+            }
+            const placeholder = `[REDACTED:${detector.type}]`;
+            counts[detector.type] = (counts[detector.type] || 0) + 1;
+            if (detector.group) {
+                const value = groups[detector.group - 1];
+                return match.slice(0, match.lastIndexOf(value)) + placeholder + match.slice(match.lastIndexOf(value) + value.length);
+            }
+            return placeholder;
+        }), text);
+    }
+
+    /**
+     * Redacts every string inside a value (objects and arrays are copied)
+     * @param value - Any JSON-like value
+     * @param counts - Object that receives the number of replacements per type
+     * @returns Redacted copy
+     */
+    function redactValue(value, counts = {}) {
+        if (typeof value === 'string') {
+            return redactText(value, counts);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => redactValue(item, counts));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, counts)]));
+        }
+        return value;
+    }
+
+    return {
+        redactText,
+        redactValue,
+
+        /**
+         * Redacts a tool result's text, structured data and metadata and appends a redaction summary
+         * The summary is also returned as structured metadata under _meta.redaction
+         * @param result - MCP tool result
+         * @returns Redacted result
+         */
+        redactResult(result) {
+            const counts = {};
+            const content = redactValue(result.content, counts);
+            // Data and metadata repeat the content, so they are redacted without counting twice
+            const data = result.data && redactValue(result.data);
+            const meta = result._meta && redactValue(result._meta);
+            const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+            if (total === 0) {
+                return { ...result, content, ...(data && { data }), ...(meta && { _meta: meta }) };
+            }
+            const summary = Object.entries(counts).map(([type, n]) => `${n} ${type}`).join(', ');
+            return {
+                ...result,
+                ...(data && { data }),
+                content: [
+                    ...content,
+                    { type: "text", text: `[Redacted ${total} sensitive value${total === 1 ? '' : 's'}: ${summary}]` },
+                ],
+                _meta: { ...meta, redaction: { total, counts } },
+            };
+        },
+    };
+}
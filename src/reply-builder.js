@@ -0,0 +1,172 @@
+/**
+ * Reply Builder for Gmail MCP Server
+ * Turns a fetched Gmail message into draft arguments for replies and forwards,
+ * including threading headers, recipients and quoted content
+ */
+import { parseAddressList } from './utils/address-list.js';
+import { decodeEncodedWords } from './utils/charset.js';
+
+/**
+ * Case-insensitive lookup of a header value
+ * @param headers - Gmail payload header list
+ * @param name - Header name
+ * @returns Header value or an empty string
+ */
+function getHeader(headers, name) {
+    return headers.find(h => h.name?.toLowerCase() === name.toLowerCase())?.value || '';
+}
+
+/**
+ * Decodes a header of the original message for display in the quoted or forwarded text
+ * @param headers - Gmail payload header list
+ * @param name - Header name
+ * @returns Decoded value on a single line
+ */
+function displayHeader(headers, name) {
+    return decodeEncodedWords(getHeader(headers, name)).replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+/**
+ * Extracts the bare email addresses of an address-list header of the original message
+ * Folded lines are joined first; groups, quoted names and comments are handled by the parser.
+ * Received mail is often not quite valid, so a header the parser rejects is split on commas
+ * outside quotes instead, keeping each entry's angle address or bare address
+ * @param headers - Gmail payload header list
+ * @param name - Header name (From, Reply-To, To, Cc)
+ * @returns Lower-cased email addresses
+ */
+function headerAddresses(headers, name) {
+    const value = getHeader(headers, name).replace(/\r?\n[ \t]+/g, ' ');
+    try {
+        return parseAddressList(value, name).map(mailbox => mailbox.address.toLowerCase());
+    }
+    catch {
+        return (value.match(/(?:"[^"]*"|[^,])+/g) || [])
+            .map(entry => entry.match(/<([^<>\s]+@[^<>\s]+)>/)?.[1] || entry.trim().match(/^[^\s<>"]+@[^\s<>"]+$/)?.[0])
+            .filter(Boolean)
+            .map(address => address.toLowerCase());
+    }
+}
+
+/**
+ * Removes duplicates and excluded addresses while preserving order
+ * @param addresses - Candidate addresses
+ * @param exclude - Addresses to drop
+ */
+function uniqueAddresses(addresses, exclude = []) {
+    const seen = new Set(exclude.map(a => a.toLowerCase()));
+    return addresses.filter(address => {
+        if (seen.has(address)) {
+            return false;
+        }
+        seen.add(address);
+        return true;
+    });
+}
+
+/**
+ * Prefixes a subject once, ignoring existing prefixes in any case
+ * @param subject - Original subject
+ * @param prefix - "Re" or "Fwd"
+ */
+function prefixSubject(subject, prefix) {
+    const pattern = prefix === 'Re' ? /^re:/i : /^(fwd?|fw):/i;
+    return pattern.test(subject.trim()) ? subject.trim() : `${prefix}: ${subject.trim()}`;
+}
+
+/**
+ * Builds the References chain for a reply: the parent's References (or In-Reply-To)
+ * followed by the parent's own Message-ID
+ * @param headers - Parent message headers
+ * @returns Array of message IDs, oldest first
+ */
+export function buildReferences(headers) {
+    const parentId = getHeader(headers, 'message-id').trim();
+    const chain = (getHeader(headers, 'references') || getHeader(headers, 'in-reply-to'))
+        .match(/<[^>]+>/g) || [];
+    if (parentId && !chain.includes(parentId)) {
+        chain.push(parentId);
+    }
+    return chain;
+}
+
+/**
+ * Quotes a plain-text body with an attribution line
+ * @param text - Original body
+ * @param date - Original Date header
+ * @param from - Original From header
+ */
+function quoteBody(text, date, from) {
+    const quoted = text.replace(/\r\n/g, '\n').replace(/\s+$/, '').split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+    return `On ${date}, ${from} wrote:\n${quoted}`;
+}
+
+/**
+ * Builds draft arguments for a reply to a Gmail message
+ * @param original - Message resource fetched with format 'full'
+ * @param originalText - Plain-text body of the original message
+ * @param userEmail - Authenticated account's address (never replied to)
+ * @param options - { body, htmlBody, replyAll, cc, attachments }
+ * @returns Arguments for createEmailMessage/createEmailWithNodemailer
+ */
+export function buildReplyDraft(original, originalText, userEmail, options) {
+    const headers = original.payload?.headers || [];
+    const self = userEmail.toLowerCase();
+    const from = headerAddresses(headers, 'From');
+    const replyTo = headerAddresses(headers, 'Reply-To');
+
+    // Replying to our own message continues the conversation with its recipients
+    // The original To and Cc are only read when the reply goes to them
+    const sentBySelf = from.includes(self);
+    let to = sentBySelf ? headerAddresses(headers, 'To') : (replyTo.length > 0 ? replyTo : from);
+    let cc = [];
+    if (options.replyAll) {
+        to = [...to, ...(sentBySelf ? [] : headerAddresses(headers, 'To'))];
+        cc = headerAddresses(headers, 'Cc');
+    }
+    to = uniqueAddresses(to, [self]);
+    cc = uniqueAddresses([...cc, ...(options.cc || []).map(a => a.toLowerCase())], [self, ...to]);
+    if (to.length === 0) {
+        throw new Error('Could not determine any reply recipients other than yourself.');
+    }
+
+    const messageId = getHeader(headers, 'message-id').trim();
+    const quoted = originalText ? `\n\n${quoteBody(originalText, getHeader(headers, 'date'), displayHeader(headers, 'from'))}` : '';
+    return {
+        to,
+        ...(cc.length > 0 && { cc }),
+        subject: prefixSubject(displayHeader(headers, 'subject'), 'Re'),
+        body: `${options.body}${quoted}`,
+        ...(options.htmlBody && { htmlBody: options.htmlBody, mimeType: 'multipart/alternative' }),
+        ...(messageId && { inReplyTo: messageId }),
+        references: buildReferences(headers),
+        threadId: original.threadId,
+        ...(options.attachments && { attachments: options.attachments }),
+    };
+}
+
+/**
+ * Builds draft arguments for forwarding a Gmail message
+ * @param original - Message resource fetched with format 'full'
+ * @param originalText - Plain-text body of the original message (rendered from HTML when it has none)
+ * @param options - { to, cc, bcc, body }
+ * @returns Arguments for createEmailMessage/createEmailWithNodemailer
+ */
+export function buildForwardDraft(original, originalText, options) {
+    const headers = original.payload?.headers || [];
+    const forwardedHeader = [
+        '---------- Forwarded message ---------',
+        `From: ${displayHeader(headers, 'from')}`,
+        `Date: ${getHeader(headers, 'date')}`,
+        `Subject: ${displayHeader(headers, 'subject')}`,
+        `To: ${displayHeader(headers, 'to')}`,
+        ...(getHeader(headers, 'cc') ? [`Cc: ${displayHeader(headers, 'cc')}`] : []),
+    ].join('\n');
+    return {
+        to: options.to,
+        ...(options.cc && { cc: options.cc }),
+        ...(options.bcc && { bcc: options.bcc }),
+        subject: prefixSubject(displayHeader(headers, 'subject'), 'Fwd'),
+        body: `${options.body ? `${options.body}\n\n` : ''}${forwardedHeader}\n\n${originalText || ''}`,
+    };
+}
@@ -0,0 +1,374 @@
+/**
+ * Output Schemas for Gmail MCP Server
+ * The shape of each tool's `data` in JSON output, as a zod schema with a version. Results are
+ * checked against these before they are returned, and `npm run schemas` publishes them as JSON Schema
+ */
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
+const stringList = z.array(z.string());
+
+// Gmail label resource as returned by the API; Gmail may add fields, so unknown ones are kept
+const gmailLabel = z.object({
+    id: z.string(),
+    name: z.string(),
+    type: z.string().optional(),
+    messageListVisibility: z.string().optional(),
+    labelListVisibility: z.string().optional(),
+}).passthrough();
+
+// Typed error, as under `error` in JSON output and per message in batch results
+export const TOOL_ERROR_SCHEMA = z.object({
+    code: z.string(),
+    message: z.string(),
+    retryable: z.boolean(),
+    gmailStatus: z.number().int().nullable(),
+    details: z.record(z.unknown()),
+}).strict();
+
+// Returned instead of a tool's usual data when the call needs a confirmation token
+export const CONFIRMATION_REQUIRED_SCHEMA = z.object({
+    confirmationRequired: z.literal(true),
+    operation: z.string(),
+    confirmationToken: z.string(),
+    expiresAt: z.string(),
+}).strict();
+
+const messageFailure = z.object({ messageId: z.string(), error: TOOL_ERROR_SCHEMA }).strict();
+
+// Dry run of modify_email and batch_modify_emails (see dry-run.js)
+const labelPreview = z.object({
+    dryRun: z.literal(true),
+    changes: z.array(z.object({ messageId: z.string(), added: stringList, removed: stringList }).strict()),
+    unchanged: stringList,
+    missing: stringList,
+    unknownLabels: stringList,
+}).strict();
+
+const draftSaved = z.object({
+    action: z.enum(['created', 'updated']),
+    draftId: z.string(),
+    messageId: z.string().nullable(),
+    threadId: z.string().nullable(),
+}).strict();
+
+const calendar = z.object({
+    method: z.string(),
+    events: z.array(z.record(z.unknown())),
+}).passthrough();
+
+// Node of the message part tree (see message-parts.js), without decoded body content
+const partNode = z.lazy(() => z.object({
+    kind: z.enum(['container', 'body', 'inline', 'attachment', 'forwarded', 'calendar']),
+    mimeType: z.string(),
+    partId: z.string(),
+    filename: z.string(),
+    size: z.number(),
+    attachmentId: z.string().optional(),
+    contentId: z.string().optional(),
+    headers: z.record(z.string()).optional(),
+    charset: z.string().nullable().optional(),
+    calendar: calendar.optional(),
+    children: z.array(partNode).optional(),
+}).strict());
+
+const readMessage = z.object({
+    messageId: z.string(),
+    threadId: z.string(),
+    subject: z.string(),
+    from: z.string(),
+    to: z.string(),
+    date: z.string(),
+    mode: z.enum(['full', 'summary']),
+    format: z.enum(['text', 'html', 'both']),
+    hasText: z.boolean(),
+    hasHtml: z.boolean(),
+    stripped: z.object({ quotedLines: z.number().int(), signatureRemoved: z.boolean() }).strict().nullable(),
+    bodyLength: z.number().int(),
+    body: z.string(),
+});
+
+const mailbox = z.object({ name: z.string(), address: z.string(), domain: z.string() }).strict().nullable();
+
+const threadLabelChange = z.object({
+    threadId: z.string(),
+    messageCount: z.number().int(),
+    messageIds: stringList,
+    addLabelIds: stringList,
+    removeLabelIds: stringList,
+    operationId: z.string().nullable(),
+}).strict();
+
+/**
+ * Data schema of every tool. A version changes only when a field is removed or changes
+ * meaning; fields may be added within a version
+ */
+export const TOOL_DATA_SCHEMAS = {
+    draft_email: {
+        version: 1,
+        schema: z.union([
+            draftSaved,
+            z.object({ dryRun: z.literal(true), threadId: z.string().nullable(), mime: z.string() }).strict(),
+        ]),
+    },
+    draft_reply: { version: 1, schema: draftSaved },
+    draft_forward: { version: 1, schema: draftSaved },
+    list_drafts: {
+        version: 1,
+        schema: z.object({
+            drafts: z.array(z.object({
+                id: z.string(),
+                messageId: z.string(),
+                subject: z.string(),
+                to: z.string(),
+                ownDraft: z.boolean(),
+            }).strict()),
+            nextCursor: z.string().nullable(),
+        }).strict(),
+    },
+    get_draft: {
+        version: 1,
+        schema: z.object({
+            draftId: z.string(),
+            messageId: z.string(),
+            threadId: z.string(),
+            ownDraft: z.boolean(),
+            subject: z.string(),
+            to: z.string(),
+            cc: z.string(),
+            bcc: z.string(),
+            body: z.string(),
+            attachments: z.array(z.object({ id: z.string(), filename: z.string(), mimeType: z.string(), size: z.number() }).strict()),
+        }).strict(),
+    },
+    update_draft: { version: 1, schema: draftSaved },
+    discard_draft: {
+        version: 1,
+        schema: z.object({ draftId: z.string(), discarded: z.literal(true) }).strict(),
+    },
+    send_email: {
+        version: 1,
+        schema: z.object({ messageId: z.string(), threadId: z.string().nullable(), to: z.string() }).strict(),
+    },
+    read_email: {
+        version: 1,
+        schema: z.union([
+            readMessage.extend({
+                offset: z.number().int(),
+                end: z.number().int(),
+                estimatedTokens: z.number().int(),
+                parts: partNode.nullable(),
+                nextCursor: z.string().nullable(),
+            }).strict(),
+            readMessage.extend({
+                moreLines: z.number().int(),
+                attachments: z.array(partNode),
+            }).strict(),
+        ]),
+    },
+    search_emails: {
+        version: 1,
+        schema: z.object({
+            messages: z.array(z.object({
+                id: z.string(),
+                threadId: z.string(),
+                subject: z.string(),
+                from: z.string(),
+                date: z.string(),
+                snippet: z.string(),
+                labelIds: stringList,
+                unread: z.boolean(),
+                starred: z.boolean(),
+                sizeEstimate: z.number(),
+                hasAttachments: z.boolean(),
+            }).strict()),
+            resultSizeEstimate: z.number().nullable(),
+            nextCursor: z.string().nullable(),
+        }).strict(),
+    },
+    modify_email: {
+        version: 1,
+        schema: z.union([
+            labelPreview,
+            z.object({
+                messageId: z.string(),
+                addLabelIds: stringList,
+                removeLabelIds: stringList,
+                operationId: z.string().nullable(),
+            }).strict(),
+        ]),
+    },
+    inspect_email_headers: {
+        version: 1,
+        schema: z.object({
+            messageId: z.string(),
+            subject: z.string(),
+            sender: z.object({ from: mailbox, replyTo: mailbox, returnPath: mailbox }).strict(),
+            authentication: z.object({
+                source: z.string(),
+                authservId: z.string(),
+                verified: z.boolean(),
+                spf: z.string(),
+                dkim: stringList,
+                dmarc: z.string(),
+                results: z.array(z.object({ method: z.string(), result: z.string(), properties: z.record(z.string()) }).strict()),
+            }).strict().nullable(),
+            received: z.array(z.object({
+                hop: z.number().int(),
+                from: z.string(),
+                by: z.string(),
+                with: z.string(),
+                ip: z.string(),
+                timestamp: z.string().nullable(),
+                delaySeconds: z.number().nullable(),
+            }).strict()),
+            links: z.array(z.object({ text: z.string(), href: z.string(), textDomain: z.string(), hrefDomain: z.string() }).strict()),
+            findings: z.array(z.object({
+                check: z.string(),
+                message: z.string(),
+                points: z.number(),
+                href: z.string().optional(),
+            }).strict()),
+            risk: z.object({
+                score: z.number(),
+                level: z.enum(['low', 'medium', 'high']),
+                reasons: stringList,
+            }).strict(),
+            rawHeaders: z.string().nullable(),
+        }).strict(),
+    },
+    read_thread: {
+        version: 1,
+        schema: z.object({
+            threadId: z.string(),
+            messages: z.array(z.object({
+                id: z.string(),
+                labelIds: stringList,
+                subject: z.string(),
+                from: z.string(),
+                to: z.string(),
+                date: z.string(),
+                htmlOnly: z.boolean(),
+                collapsedLines: z.number().int(),
+                body: z.string(),
+            }).strict()),
+        }).strict(),
+    },
+    modify_thread: { version: 1, schema: threadLabelChange },
+    archive_thread: { version: 1, schema: threadLabelChange },
+    list_email_labels: {
+        version: 1,
+        schema: z.object({ system: z.array(gmailLabel), user: z.array(gmailLabel) }).strict(),
+    },
+    batch_modify_emails: {
+        version: 1,
+        schema: z.union([
+            labelPreview,
+            z.object({
+                processed: z.number().int(),
+                operationId: z.string().nullable(),
+                failures: z.array(messageFailure),
+            }).strict(),
+        ]),
+    },
+    list_label_operations: {
+        version: 1,
+        schema: z.object({
+            operations: z.array(z.object({
+                id: z.string(),
+                tool: z.string(),
+                createdAt: z.string(),
+                addLabelIds: stringList,
+                removeLabelIds: stringList,
+                messageCount: z.number().int(),
+                undoneAt: z.string().nullable(),
+                partiallyUndone: z.boolean(),
+            }).strict()),
+        }).strict(),
+    },
+    undo_last_operation: {
+        version: 1,
+        schema: z.object({
+            operationId: z.string(),
+            tool: z.string(),
+            complete: z.boolean(),
+            restored: z.number().int(),
+            messageIds: stringList,
+            pending: stringList,
+            forced: z.boolean(),
+            drifted: z.array(z.object({ messageId: z.string(), changedLabelIds: stringList }).strict()),
+            missing: stringList,
+            failures: z.array(messageFailure),
+        }).strict(),
+    },
+    create_label: {
+        version: 1,
+        schema: z.union([
+            z.object({
+                dryRun: z.literal(true),
+                label: z.object({ name: z.string(), messageListVisibility: z.string(), labelListVisibility: z.string() }).strict(),
+            }).strict(),
+            z.object({ dryRun: z.literal(false), label: gmailLabel }).strict(),
+        ]),
+    },
+    update_label: {
+        version: 1,
+        schema: z.union([
+            z.object({ dryRun: z.literal(true), before: gmailLabel, after: gmailLabel }).strict(),
+            z.object({ dryRun: z.literal(false), label: gmailLabel }).strict(),
+        ]),
+    },
+    delete_label: {
+        version: 1,
+        schema: z.object({ dryRun: z.boolean(), labelId: z.string(), message: z.string() }).strict(),
+    },
+    get_or_create_label: {
+        version: 1,
+        schema: z.object({ created: z.boolean(), label: gmailLabel }).strict(),
+    },
+    download_attachment: {
+        version: 1,
+        schema: z.object({
+            filename: z.string(),
+            mimeType: z.string().nullable(),
+            size: z.number().int(),
+            path: z.string(),
+        }).strict(),
+    },
+};
+
+/**
+ * Checks a successful result's data against the tool's published schema
+ * @param tool - Tool name
+ * @param data - Handler data
+ * @returns { success: true } or { success: false, issues: [{ path, message }] }
+ */
+export function validateToolData(tool, data) {
+    const schema = data?.confirmationRequired ? CONFIRMATION_REQUIRED_SCHEMA : TOOL_DATA_SCHEMAS[tool]?.schema;
+    if (!schema) {
+        return { success: false, issues: [{ path: '', message: `No data schema for tool "${tool}"` }] };
+    }
+    const parsed = schema.safeParse(data);
+    if (parsed.success) {
+        return { success: true };
+    }
+    return { success: false, issues: parsed.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message })) };
+}
+
+/**
+ * Publishes the schemas as JSON Schema
+ * @param tools - Tool names to include, all by default
+ * @returns { tools: { [name]: { id, version, data } }, confirmationRequired, error }
+ */
+export function toolSchemasAsJsonSchema(tools = Object.keys(TOOL_DATA_SCHEMAS)) {
+    return {
+        tools: Object.fromEntries(tools.map(tool => [tool, {
+            id: `safe-gmail-mcp/${tool}`,
+            version: TOOL_DATA_SCHEMAS[tool].version,
+            // References point into this document, so the schemas are read from it as a whole
+            data: zodToJsonSchema(TOOL_DATA_SCHEMAS[tool].schema, { basePath: ['#', 'tools', tool, 'data'] }),
+        }])),
+        confirmationRequired: zodToJsonSchema(CONFIRMATION_REQUIRED_SCHEMA),
+        error: zodToJsonSchema(TOOL_ERROR_SCHEMA),
+    };
+}
@@ -0,0 +1,214 @@
+/**
+ * Undo Journal for Gmail MCP Server
+ * Records each message's labels before a label mutation so the change can be reversed,
+ * even after a server restart
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { mapWithConcurrency } from './utils/concurrency.js';
+import { getErrorStatus } from './gmail-client.js';
+
+// Oldest operations are dropped beyond this many
+const MAX_JOURNAL_OPERATIONS = 50;
+// Concurrent messages.get calls when snapshotting labels
+const SNAPSHOT_CONCURRENCY = 10;
+// Statuses meaning the message itself is gone or its ID is invalid
+const MISSING_MESSAGE_STATUSES = [400, 404];
+
+/**
+ * Loads the journal from disk
+ * @param journalPath - Path to the journal JSON file
+ * @returns Journal with an `operations` array, oldest first
+ */
+export function loadJournal(journalPath) {
+    if (!fs.existsSync(journalPath)) {
+        return { operations: [] };
+    }
+    try {
+        const journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+        return { operations: journal.operations || [] };
+    }
+    catch (error) {
+        throw new Error(`Undo journal at ${journalPath} is corrupted: ${error.message}`);
+    }
+}
+
+/**
+ * Writes the journal to disk (owner read/write only)
+ * @param journalPath - Path to the journal JSON file
+ * @param journal - Journal to save
+ */
+function saveJournal(journalPath, journal) {
+    const dir = path.dirname(journalPath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+    journal.operations = journal.operations.slice(-MAX_JOURNAL_OPERATIONS);
+    fs.writeFileSync(journalPath, JSON.stringify(journal), { mode: 0o600 });
+}
+
+/**
+ * Fetches the current labels of each message
+ * @param gmail - Gmail API instance
+ * @param messageIds - Messages to snapshot
+ * @returns Object mapping message ID to its label IDs (messages that no longer exist are omitted)
+ * @throws Any other Gmail error (rate limit, budget, auth), so a mutation never runs without a usable snapshot
+ */
+export async function snapshotLabels(gmail, messageIds) {
+    const snapshots = await mapWithConcurrency(messageIds, SNAPSHOT_CONCURRENCY, async (messageId) => {
+        try {
+            const response = await gmail.users.messages.get({
+                userId: 'me',
+                id: messageId,
+                format: 'minimal',
+            });
+            return [messageId, response.data.labelIds || []];
+        }
+        catch (error) {
+            if (MISSING_MESSAGE_STATUSES.includes(getErrorStatus(error))) {
+                return null;
+            }
+            throw error;
+        }
+    });
+    return Object.fromEntries(snapshots.filter(Boolean));
+}
+
+/**
+ * Computes the labels a message should have after the operation
+ * @param before - Labels before the operation
+ * @param operation - Operation with addLabelIds and removeLabelIds
+ */
+function expectedLabels(before, operation) {
+    const labels = new Set([...before, ...operation.addLabelIds]);
+    for (const labelId of operation.removeLabelIds) {
+        labels.delete(labelId);
+    }
+    return labels;
+}
+
+/**
+ * Records a completed label mutation
+ * @param journalPath - Path to the journal JSON file
+ * @param details - { tool, addLabelIds, removeLabelIds, before } where `before` maps
+ *   each successfully modified message ID to its labels before the change
+ * @returns The recorded operation
+ */
+export function recordOperation(journalPath, { tool, addLabelIds = [], removeLabelIds = [], before }) {
+    const journal = loadJournal(journalPath);
+    const operation = {
+        id: crypto.randomBytes(4).toString('hex'),
+        tool,
+        createdAt: new Date().toISOString(),
+        addLabelIds,
+        removeLabelIds,
+        messages: before,
+    };
+    journal.operations.push(operation);
+    saveJournal(journalPath, journal);
+    return operation;
+}
+
+/**
+ * Lists the most recent operations, newest first
+ * @param journalPath - Path to the journal JSON file
+ * @param limit - Maximum number of operations to return
+ */
+export function listOperations(journalPath, limit = 10) {
+    return loadJournal(journalPath).operations.slice(-limit).reverse();
+}
+
+/**
+ * Finds an operation by ID, or the most recent one that has not been undone
+ * @param journalPath - Path to the journal JSON file
+ * @param operationId - Optional operation ID
+ * @returns The operation
+ * @throws {Error} If there is nothing to undo
+ */
+export function findOperation(journalPath, operationId) {
+    const operations = loadJournal(journalPath).operations;
+    const operation = operationId ?
+        operations.find(op => op.id === operationId) :
+        [...operations].reverse().find(op => !op.undoneAt);
+    if (!operation) {
+        throw new Error(operationId ? `No journal entry with ID "${operationId}".` : 'No label operations left to undo.');
+    }
+    if (operation.undoneAt) {
+        throw new Error(`Operation ${operation.id} was already undone at ${operation.undoneAt}.`);
+    }
+    return operation;
+}
+
+/**
+ * Works out the inverse label changes for an operation
+ * Messages whose labels no longer match the operation's outcome are reported as drifted
+ * and, unless `force` is set, left alone
+ * @param operation - Journal operation
+ * @param current - Object mapping message ID to its current labels
+ * @param force - Undo drifted messages as well
+ * @returns { groups: [{ addLabelIds, removeLabelIds, messageIds }], drifted, missing }
+ */
+export function planUndo(operation, current, force = false) {
+    const touched = new Set([...operation.addLabelIds, ...operation.removeLabelIds]);
+    const groups = new Map();
+    const drifted = [];
+    const missing = [];
+
+    for (const [messageId, before] of Object.entries(operation.messages)) {
+        if (!current[messageId]) {
+            missing.push(messageId);
+            continue;
+        }
+        const expected = expectedLabels(before, operation);
+        const now = new Set(current[messageId]);
+        // Only labels this operation touched matter for drift
+        const changed = [...touched].filter(labelId => expected.has(labelId) !== now.has(labelId));
+        if (changed.length > 0) {
+            drifted.push({ messageId, changedLabelIds: changed });
+            if (!force) {
+                continue;
+            }
+        }
+        const beforeSet = new Set(before);
+        const addLabelIds = [...touched].filter(labelId => beforeSet.has(labelId) && !now.has(labelId)).sort();
+        const removeLabelIds = [...touched].filter(labelId => !beforeSet.has(labelId) && now.has(labelId)).sort();
+        if (addLabelIds.length === 0 && removeLabelIds.length === 0) {
+            continue;
+        }
+        const key = `${addLabelIds.join(',')}|${removeLabelIds.join(',')}`;
+        if (!groups.has(key)) {
+            groups.set(key, { addLabelIds, removeLabelIds, messageIds: [] });
+        }
+        groups.get(key).messageIds.push(messageId);
+    }
+
+    return { groups: [...groups.values()], drifted, missing };
+}
+
+/**
+ * Records the outcome of an undo
+ * The operation is marked undone only when nothing is left pending. Otherwise it stays in the
+ * journal with just the pending messages (failed restores, drifted messages not forced), so
+ * undo_last_operation can be called again for them
+ * @param journalPath - Path to the journal JSON file
+ * @param operationId - Operation ID
+ * @param summary - Result details to store alongside
+ * @param pendingMessageIds - Messages that were not restored and may be retried
+ */
+export function markUndone(journalPath, operationId, summary, pendingMessageIds = []) {
+    const journal = loadJournal(journalPath);
+    const operation = journal.operations.find(op => op.id === operationId);
+    if (!operation) {
+        return;
+    }
+    operation.undoSummary = summary;
+    const pending = pendingMessageIds.filter(messageId => operation.messages[messageId]);
+    if (pending.length > 0) {
+        operation.messages = Object.fromEntries(pending.map(messageId => [messageId, operation.messages[messageId]]));
+    }
+    else {
+        operation.undoneAt = new Date().toISOString();
+    }
+    saveJournal(journalPath, journal);
+}
@@ -0,0 +1,207 @@
+/**
+ * RFC 5322 address-list parsing and formatting.
+ * Understands display names, quoted strings, comments and groups, so a value such as
+ * `"Doe, Jane" <jane@example.com>` is one mailbox while `a@example.com, b@example.com` is two.
+ */
+
+import { InvalidHeaderError, encodeHeaderWords } from './mime-header.js';
+
+// RFC 5322 "specials"; a display name containing any of them must be quoted
+const SPECIALS = '()<>[]:;@\\,."';
+
+// addr-spec: dot-atom or quoted local part, then a dotted domain or a domain literal
+const ATOM = String.raw`[^\s"(),.:;<>@\[\\\]]+`;
+const ADDR_SPEC_PATTERN = new RegExp(
+  String.raw`^(?:${ATOM}(?:\.${ATOM})*|"(?:[^"\\]|\\.)*")@(?:${ATOM}(?:\.${ATOM})+|\[[^\[\]\\\s]*\])$`
+);
+
+/**
+ * Reads a quoted string starting at the opening quote.
+ * @returns {{ value: string, end: number }} Unescaped content and the index after the closing quote
+ */
+function readQuoted(input, start, field) {
+  let value = '';
+  for (let i = start + 1; i < input.length; i++) {
+    if (input[i] === '\\') {
+      value += input[++i] ?? '';
+    } else if (input[i] === '"') {
+      return { value, end: i + 1 };
+    } else {
+      value += input[i];
+    }
+  }
+  throw new InvalidHeaderError(field, 'unterminated quoted string.');
+}
+
+/**
+ * Reads a (possibly nested) comment starting at the opening parenthesis.
+ * @returns {{ value: string, end: number }} Comment text and the index after the closing parenthesis
+ */
+function readComment(input, start, field) {
+  let value = '';
+  let depth = 0;
+  for (let i = start; i < input.length; i++) {
+    const char = input[i];
+    if (char === '\\') {
+      value += input[++i] ?? '';
+      continue;
+    }
+    if (char === '(') {
+      depth++;
+      if (depth === 1) continue;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) return { value: value.trim(), end: i + 1 };
+    }
+    value += char;
+  }
+  throw new InvalidHeaderError(field, 'unterminated comment.');
+}
+
+/**
+ * Creates the parse state for one mailbox.
+ */
+function newEntry() {
+  // phrase: display name with quotes removed; raw: the entry as written minus comments, for bare addr-specs
+  return { phrase: '', raw: '', angle: null, comments: [] };
+}
+
+/**
+ * Collapses the whitespace of a display name or group name.
+ */
+function phraseText(entry) {
+  return entry.phrase.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turns a finished entry into a mailbox.
+ * @returns {{ name: string, address: string }|null} The mailbox, or null for an empty entry
+ */
+function finishEntry(entry, field) {
+  let address;
+  let name;
+  if (entry.angle !== null) {
+    address = entry.angle;
+    name = phraseText(entry) || entry.comments.join(' ');
+  } else {
+    address = entry.raw.trim();
+    if (!address) {
+      return null;
+    }
+    // Old-style "jane@example.com (Jane Doe)"
+    name = entry.comments.join(' ');
+  }
+  if (!ADDR_SPEC_PATTERN.test(address)) {
+    throw new InvalidHeaderError(field, `"${address}" is not a valid email address.`);
+  }
+  return { name, address };
+}
+
+/**
+ * Parses an RFC 5322 address list.
+ * Group members are returned as individual mailboxes tagged with their group name.
+ * @param {string} input - Header value such as `"Doe, Jane" <jane@example.com>, Team: bob@example.com;`
+ * @param {string} [field='address'] - Header name, for error messages
+ * @returns {Array<{ name: string, address: string, group?: string }>} Mailboxes in order
+ * @throws {InvalidHeaderError} If the value contains line breaks or is not a valid address list
+ */
+export function parseAddressList(input, field = 'address') {
+  if (/[\r\n]/.test(input)) {
+    throw new InvalidHeaderError(field, 'line breaks are not allowed in header values.');
+  }
+  const mailboxes = [];
+  let group = null;
+  let entry = newEntry();
+  const finish = () => {
+    const mailbox = finishEntry(entry, field);
+    if (mailbox) {
+      mailboxes.push(group !== null ? { ...mailbox, group } : mailbox);
+    }
+    entry = newEntry();
+  };
+
+  let i = 0;
+  while (i < input.length) {
+    const char = input[i];
+    if (char === '"') {
+      const { value, end } = readQuoted(input, i, field);
+      entry.phrase += value;
+      entry.raw += input.slice(i, end);
+      i = end;
+    } else if (char === '(') {
+      const { value, end } = readComment(input, i, field);
+      // A comment separates words like whitespace does
+      entry.phrase += ' ';
+      entry.comments.push(value);
+      i = end;
+    } else if (char === '[') {
+      // Domain literal, e.g. user@[192.0.2.1]
+      const close = input.indexOf(']', i);
+      if (close === -1) {
+        throw new InvalidHeaderError(field, 'unterminated domain literal.');
+      }
+      entry.phrase += input.slice(i, close + 1);
+      entry.raw += input.slice(i, close + 1);
+      i = close + 1;
+    } else if (char === '<') {
+      const close = input.indexOf('>', i);
+      if (close === -1) {
+        throw new InvalidHeaderError(field, 'unterminated angle address.');
+      }
+      if (entry.angle !== null) {
+        throw new InvalidHeaderError(field, 'more than one angle address in a single entry.');
+      }
+      entry.angle = input.slice(i + 1, close).trim();
+      i = close + 1;
+    } else if (char === ':' && entry.angle === null) {
+      if (group !== null) {
+        throw new InvalidHeaderError(field, 'groups cannot be nested.');
+      }
+      group = phraseText(entry);
+      if (!group) {
+        throw new InvalidHeaderError(field, 'group without a name.');
+      }
+      entry = newEntry();
+      i++;
+    } else if (char === ';') {
+      if (group === null) {
+        throw new InvalidHeaderError(field, 'unexpected ";" outside a group.');
+      }
+      finish();
+      group = null;
+      i++;
+    } else if (char === ',') {
+      finish();
+      i++;
+    } else if (char === '>') {
+      throw new InvalidHeaderError(field, 'unexpected ">".');
+    } else {
+      entry.phrase += char;
+      entry.raw += char;
+      i++;
+    }
+  }
+  if (group !== null) {
+    throw new InvalidHeaderError(field, `group "${group}" is missing its closing ";".`);
+  }
+  finish();
+  return mailboxes;
+}
+
+/**
+ * Formats a mailbox for a header, quoting or RFC 2047-encoding the display name as needed.
+ * @param {{ name?: string, address: string }} mailbox
+ * @returns {string} e.g. `"Doe, Jane" <jane@example.com>`
+ */
+export function formatAddress({ name, address }) {
+  if (!name) {
+    return address;
+  }
+  if (/[^\x00-\x7F]/.test(name)) {
+    return `${encodeHeaderWords(name)} <${address}>`;
+  }
+  if ([...SPECIALS].some(special => name.includes(special))) {
+    return `"${name.replace(/(["\\])/g, '\\$1')}" <${address}>`;
+  }
+  return `${name} <${address}>`;
+}
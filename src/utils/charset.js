@@ -0,0 +1,233 @@
+/**
+ * Charset-aware decoding of MIME part bodies and RFC 2047 encoded-words in headers.
+ * Uses the WHATWG TextDecoder, which covers the legacy encodings mail still arrives in
+ * (ISO-8859-x, Windows-125x, Shift_JIS, ISO-2022-JP, EUC-KR, GB18030, Big5, KOI8-R, ...).
+ */
+
+// Labels seen in mail that TextDecoder does not know under that name. ISO-8859-1 is read
+// as its superset Windows-1252, as browsers do, because mail labelled Latin-1 routinely
+// contains curly quotes and euro signs from the 0x80-0x9F range.
+const CHARSET_ALIASES = {
+  'iso-8859-1': 'windows-1252',
+  'iso_8859-1': 'windows-1252',
+  latin1: 'windows-1252',
+  l1: 'windows-1252',
+  cp932: 'shift_jis',
+  'ms-932': 'shift_jis',
+  'x-ms-cp932': 'shift_jis',
+  'iso-2022-jp-2': 'iso-2022-jp',
+  'x-euc-jp': 'euc-jp',
+  'x-gbk': 'gbk',
+};
+
+// Windows-1252 code points for bytes 0x80-0x9F. Node 20's TextDecoder decodes
+// windows-1252 as plain Latin-1 and would turn these into C1 control characters.
+const WINDOWS_1252_HIGH = [
+  0x20ac, 0x81, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021, 0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0x8d, 0x17d, 0x8f,
+  0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0x9d, 0x17e, 0x178,
+];
+
+// DOS Western European (code page 850), which TextDecoder does not support: labels, and
+// the code points of bytes 0x80-0xFF (the lower half is ASCII)
+const CP850_LABELS = ['cp850', 'cp-850', 'ibm850', '850', 'cspc850multilingual'];
+const CP850_HIGH = [
+  0xc7, 0xfc, 0xe9, 0xe2, 0xe4, 0xe0, 0xe5, 0xe7, 0xea, 0xeb, 0xe8, 0xef, 0xee, 0xec, 0xc4, 0xc5,
+  0xc9, 0xe6, 0xc6, 0xf4, 0xf6, 0xf2, 0xfb, 0xf9, 0xff, 0xd6, 0xdc, 0xf8, 0xa3, 0xd8, 0xd7, 0x192,
+  0xe1, 0xed, 0xf3, 0xfa, 0xf1, 0xd1, 0xaa, 0xba, 0xbf, 0xae, 0xac, 0xbd, 0xbc, 0xa1, 0xab, 0xbb,
+  0x2591, 0x2592, 0x2593, 0x2502, 0x2524, 0xc1, 0xc2, 0xc0, 0xa9, 0x2563, 0x2551, 0x2557, 0x255d, 0xa2, 0xa5, 0x2510,
+  0x2514, 0x2534, 0x252c, 0x251c, 0x2500, 0x253c, 0xe3, 0xc3, 0x255a, 0x2554, 0x2569, 0x2566, 0x2560, 0x2550, 0x256c, 0xa4,
+  0xf0, 0xd0, 0xca, 0xcb, 0xc8, 0x131, 0xcd, 0xce, 0xcf, 0x2518, 0x250c, 0x2588, 0x2584, 0xa6, 0xcc, 0x2580,
+  0xd3, 0xdf, 0xd4, 0xd2, 0xf5, 0xd5, 0xb5, 0xfe, 0xde, 0xda, 0xdb, 0xd9, 0xfd, 0xdd, 0xaf, 0xb4,
+  0xad, 0xb1, 0x2017, 0xbe, 0xb6, 0xa7, 0xf7, 0xb8, 0xb0, 0xa8, 0xb7, 0xb9, 0xb3, 0xb2, 0x25a0, 0xa0,
+];
+
+// ESC sequences that only occur in ISO-2022-JP text
+const ISO_2022_JP_PATTERN = /\x1b\$[@B]|\x1b\(J/;
+
+/**
+ * Resolves a charset label to a canonical TextDecoder encoding name, or 'ibm850' for CP850.
+ * @param {string} label
+ * @returns {string|null} Encoding name, or null if the label is unknown
+ */
+function resolveEncoding(label) {
+  const normalized = label.trim().toLowerCase();
+  if (CP850_LABELS.includes(normalized)) {
+    return 'ibm850';
+  }
+  try {
+    return new TextDecoder(CHARSET_ALIASES[normalized] || normalized).encoding;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decodes bytes in a resolved encoding.
+ * @param {Buffer} bytes
+ * @param {string} encoding - Name from resolveEncoding
+ * @returns {string}
+ */
+function decodeWith(bytes, encoding) {
+  if (encoding === 'windows-1252') {
+    let text = '';
+    for (const byte of bytes) {
+      text += String.fromCharCode(byte >= 0x80 && byte <= 0x9f ? WINDOWS_1252_HIGH[byte - 0x80] : byte);
+    }
+    return text;
+  }
+  if (encoding === 'ibm850') {
+    let text = '';
+    for (const byte of bytes) {
+      text += String.fromCharCode(byte >= 0x80 ? CP850_HIGH[byte - 0x80] : byte);
+    }
+    return text;
+  }
+  return new TextDecoder(encoding).decode(bytes);
+}
+
+/**
+ * Checks whether bytes are well-formed UTF-8.
+ * @param {Buffer} bytes
+ * @returns {boolean}
+ */
+function isValidUtf8(bytes) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads the charset from an HTML <meta> tag in the first kilobyte of a document.
+ * @param {Buffer} bytes
+ * @returns {string|null}
+ */
+function sniffHtmlCharset(bytes) {
+  const head = bytes.subarray(0, 1024).toString('latin1');
+  return head.match(/<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i)?.[1] || null;
+}
+
+/**
+ * Guesses the charset of bytes that came without a usable declaration.
+ * Order: ISO-2022-JP if its escape sequences appear (it is 7-bit, so it would also pass
+ * as UTF-8), UTF-8 if it validates, an HTML <meta> charset, and finally Windows-1252,
+ * which accepts any byte.
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+export function detectCharset(bytes) {
+  if (ISO_2022_JP_PATTERN.test(bytes.toString('latin1'))) {
+    return 'iso-2022-jp';
+  }
+  if (isValidUtf8(bytes)) {
+    return 'utf-8';
+  }
+  const declared = sniffHtmlCharset(bytes);
+  if (declared && resolveEncoding(declared)) {
+    return declared;
+  }
+  return 'windows-1252';
+}
+
+/**
+ * Extracts the charset parameter of a Content-Type header value.
+ * @param {string} contentType - e.g. `text/plain; charset="ISO-8859-1"; format=flowed`
+ * @returns {string|null}
+ */
+export function parseCharset(contentType) {
+  return (contentType || '').match(/;\s*charset\s*=\s*"?([^";\s]+)"?/i)?.[1] || null;
+}
+
+/**
+ * Decodes bytes using the declared charset, falling back to detection when the label
+ * is missing or unknown. US-ASCII labels on 8-bit content are treated as undeclared,
+ * since senders often mislabel UTF-8 or Windows-1252 mail that way.
+ * @param {Buffer} bytes
+ * @param {string|null} charset - Declared charset label
+ * @returns {string}
+ */
+export function decodeBytes(bytes, charset) {
+  const declared = charset && !/^(us-)?ascii$/i.test(charset.trim()) ? resolveEncoding(charset) : null;
+  return decodeWith(bytes, declared || resolveEncoding(detectCharset(bytes)));
+}
+
+/**
+ * Decodes the body of a Gmail API message part using its Content-Type charset.
+ * @param {object} part - Gmail message part with body.data (base64url) and headers
+ * @returns {string}
+ */
+export function decodePartBody(part) {
+  const bytes = Buffer.from(part.body?.data || '', 'base64');
+  const contentType = (part.headers || []).find(h => h.name?.toLowerCase() === 'content-type')?.value;
+  return decodeBytes(bytes, parseCharset(contentType));
+}
+
+/**
+ * Decodes the payload of one encoded-word into bytes.
+ */
+function encodedWordBytes(encoding, payload) {
+  if (encoding.toUpperCase() === 'B') {
+    return Buffer.from(payload, 'base64');
+  }
+  // Q encoding: "_" is a space, =XX is a hex byte
+  const bytes = [];
+  for (let i = 0; i < payload.length; i++) {
+    const char = payload[i];
+    if (char === '_') {
+      bytes.push(0x20);
+    } else if (char === '=' && /^[0-9a-f]{2}$/i.test(payload.slice(i + 1, i + 3))) {
+      bytes.push(Number.parseInt(payload.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(char.charCodeAt(0));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decodes RFC 2047 encoded-words (`=?charset?B|Q?...?=`) in a header value.
+ * Whitespace between adjacent encoded-words is dropped, and adjacent words in the same
+ * charset are decoded together so multi-byte characters split across words survive.
+ * @param {string} value - Raw header value
+ * @returns {string}
+ */
+export function decodeEncodedWords(value) {
+  if (!value || !value.includes('=?')) {
+    return value || '';
+  }
+  const pattern = /=\?([^?\s]+)\?([bq])\?([^?\s]*)\?=/gi;
+  let result = '';
+  let pending = null;
+  let lastIndex = 0;
+  const flush = () => {
+    if (pending) {
+      result += decodeBytes(Buffer.concat(pending.chunks), pending.charset);
+      pending = null;
+    }
+  };
+
+  for (const match of value.matchAll(pattern)) {
+    const between = value.slice(lastIndex, match.index);
+    // RFC 2231 allows a language suffix: =?utf-8*en?Q?...?=
+    const charset = match[1].split('*')[0];
+    const bytes = encodedWordBytes(match[2], match[3]);
+    if (pending && /^\s*$/.test(between)) {
+      if (pending.charset.toLowerCase() === charset.toLowerCase()) {
+        pending.chunks.push(bytes);
+      } else {
+        flush();
+        pending = { charset, chunks: [bytes] };
+      }
+    } else {
+      flush();
+      result += between;
+      pending = { charset, chunks: [bytes] };
+    }
+    lastIndex = match.index + match[0].length;
+  }
+  flush();
+  return result + value.slice(lastIndex);
+}
@@ -0,0 +1,34 @@
+/**
+ * Bounded-concurrency helpers for fanning out Gmail API calls without tripping rate limits.
+ */
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight.
+ * Results keep the input order. Rejects with the first error, like Promise.all.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {(item: any, index: number) => Promise<any>} fn - Async mapper
+ * @returns {Promise<Array>} Mapped results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  async function worker() {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+  return results;
+}
@@ -0,0 +1,76 @@
+/**
+ * Opaque continuation cursors handed to the model for paging.
+ *
+ * A cursor is base64url-encoded JSON tagged with a kind, so a cursor from one tool
+ * cannot be replayed against another.
+ */
+
+/**
+ * Error raised when a cursor is malformed or was issued for something else.
+ */
+export class InvalidCursorError extends Error {
+  /**
+   * @param {string} message - Human-readable explanation
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidCursorError';
+    this.code = 'INVALID_CURSOR';
+    this.details = {};
+  }
+}
+
+/**
+ * Encodes cursor state into an opaque string.
+ * @param {string} kind - Cursor kind (e.g. 'search')
+ * @param {object} state - JSON-serialisable state
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(kind, state) {
+  return Buffer.from(JSON.stringify({ k: kind, ...state }), 'utf8').toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor.
+ * @param {string} kind - Expected cursor kind
+ * @param {string} cursor - Opaque cursor
+ * @returns {object} Cursor state (without the kind tag)
+ * @throws {InvalidCursorError} If the cursor is malformed or of a different kind
+ */
+export function decodeCursor(kind, cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new InvalidCursorError('Invalid cursor - pass back the cursor exactly as returned');
+  }
+  if (!decoded || typeof decoded !== 'object' || decoded.k !== kind) {
+    throw new InvalidCursorError(`Invalid cursor - not a ${kind} cursor`);
+  }
+  const { k, ...state } = decoded;
+  return state;
+}
+
+/**
+ * Cuts one page out of a text, preferring to end at a line break near the limit.
+ * Every page holds at least one character, so following the cursors always reaches the end.
+ * @param {string} text - Full text
+ * @param {number} offset - Character offset to start from
+ * @param {number} [maxChars] - Page size, or undefined for the rest of the text
+ * @returns {{ text: string, end: number }} The page and the offset just past it
+ */
+export function pageText(text, offset, maxChars) {
+  if (!maxChars || offset + maxChars >= text.length) {
+    return { text: text.slice(offset), end: Math.max(offset, text.length) };
+  }
+  let end = offset + maxChars;
+  const lineBreak = text.lastIndexOf('\n', end);
+  if (lineBreak > offset + maxChars * 0.8) {
+    end = lineBreak + 1;
+  }
+  // Never split a surrogate pair: end before it, or after it when it starts the page
+  if (/[\ud800-\udbff]/.test(text[end - 1])) {
+    end += end - 1 > offset ? -1 : 1;
+  }
+  return { text: text.slice(offset, end), end };
+}
@@ -0,0 +1,267 @@
+/**
+ * Renders HTML email bodies as readable plain text.
+ * Links become numbered footnotes, data tables are aligned, lists keep their markers,
+ * and style blocks, hidden elements and tracking pixels are dropped.
+ */
+
+import { parseDocument } from 'htmlparser2';
+
+// Structural spaces (indentation, <pre> content) use NBSP while rendering so the
+// whitespace collapsing below cannot eat them; they become plain spaces at the end.
+const NBSP = String.fromCharCode(0xa0);
+const NBSP_PATTERN = new RegExp(NBSP, 'g');
+
+// Elements whose content is never shown
+const SKIPPED_TAGS = new Set([
+  'head', 'title', 'style', 'script', 'noscript', 'template', 'meta', 'link', 'svg', 'object', 'iframe',
+]);
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'nav', 'aside', 'address', 'center',
+  'form', 'fieldset', 'figure', 'figcaption', 'dl', 'dt', 'tr', 'tbody', 'thead', 'tfoot',
+]);
+
+// Inline styles email templates use to hide preheaders and tracking content
+const HIDDEN_STYLE_PATTERN = /display\s*:\s*none|visibility\s*:\s*hidden|opacity\s*:\s*0(?![.\d])|max-height\s*:\s*0(?![.\d])|font-size\s*:\s*0(?![.\d])|mso-hide\s*:\s*all/i;
+
+// Tables wider than this per cell are treated as page layout rather than data
+const MAX_DATA_CELL_LENGTH = 60;
+
+/**
+ * Collapses spaces on every line and limits blank lines to one.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').replace(/^[ \t]+|[ \t]+$/g, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * Wraps rendered content as a block separated from its neighbours by a blank line.
+ */
+function block(text) {
+  return `\n\n${text}\n\n`;
+}
+
+/**
+ * Prefixes every line of a block, e.g. for list indentation or quoting.
+ */
+function prefixLines(text, first, rest = first) {
+  return text.split('\n').map((line, i) => (i === 0 ? first : rest) + line).join('\n');
+}
+
+/**
+ * Reads a pixel size from a width/height attribute or inline style.
+ * @returns {number|null}
+ */
+function pixelSize(node, dimension) {
+  const fromStyle = (node.attribs.style || '').match(new RegExp(`(?:^|;)\\s*${dimension}\\s*:\\s*(\\d+(?:\\.\\d+)?)px`, 'i'));
+  const value = fromStyle ? fromStyle[1] : node.attribs[dimension];
+  const size = Number.parseFloat(value);
+  return Number.isFinite(size) ? size : null;
+}
+
+/**
+ * Checks whether an element is hidden from someone reading the email.
+ */
+function isHidden(node) {
+  const { attribs } = node;
+  return attribs.hidden !== undefined ||
+    (node.name === 'input' && attribs.type === 'hidden') ||
+    HIDDEN_STYLE_PATTERN.test(attribs.style || '');
+}
+
+/**
+ * Checks whether an image is a tracking pixel (1x1 or smaller).
+ */
+function isTrackingPixel(node) {
+  const width = pixelSize(node, 'width');
+  const height = pixelSize(node, 'height');
+  return (width !== null && width <= 1) || (height !== null && height <= 1);
+}
+
+/**
+ * Returns the element children of a node with the given tag names.
+ */
+function childElements(node, names) {
+  return (node.children || []).filter(child => child.type === 'tag' && names.includes(child.name));
+}
+
+/**
+ * Renders a list of nodes.
+ */
+function renderChildren(node, ctx) {
+  return (node.children || []).map(child => renderNode(child, ctx)).join('');
+}
+
+/**
+ * Registers a link and returns its footnote number; repeated URLs share a number.
+ */
+function footnote(href, ctx) {
+  let index = ctx.links.indexOf(href);
+  if (index === -1) {
+    ctx.links.push(href);
+    index = ctx.links.length - 1;
+  }
+  return index + 1;
+}
+
+/**
+ * Renders <a>: the link text followed by a footnote marker.
+ */
+function renderLink(node, ctx) {
+  const inner = renderChildren(node, ctx);
+  const href = (node.attribs.href || '').trim();
+  const label = normalize(inner);
+  if (!label) {
+    // Links around nothing visible (usually tracking wrappers) add only noise
+    return '';
+  }
+  if (!href || href.startsWith('#') || /^javascript:/i.test(href)) {
+    return inner;
+  }
+  // Text that already shows the target needs no footnote
+  const bare = href.replace(/^mailto:/i, '').replace(/^https?:\/\//i, '').replace(/\/$/, '');
+  if (label === href || label.replace(/^https?:\/\//i, '').replace(/\/$/, '') === bare) {
+    return inner;
+  }
+  return `${inner} [${footnote(href, ctx)}]`;
+}
+
+/**
+ * Renders <ul>/<ol> with "-" or numbered markers, indenting nested content.
+ */
+function renderList(node, ctx) {
+  const ordered = node.name === 'ol';
+  let number = Number.parseInt(node.attribs.start, 10) || 1;
+  const items = childElements(node, ['li']).map(item => {
+    const marker = ordered ? `${number++}.` : '-';
+    const inner = normalize(renderChildren(item, ctx)).replace(/\n{2,}/g, '\n');
+    return prefixLines(inner, `${marker} `, NBSP.repeat(marker.length + 1));
+  });
+  return block(items.join('\n'));
+}
+
+/**
+ * Renders a table: data tables as aligned columns, layout tables as a sequence of blocks.
+ */
+function renderTable(node, ctx) {
+  const sections = [node, ...childElements(node, ['thead', 'tbody', 'tfoot'])];
+  const rows = sections.flatMap(section => childElements(section, ['tr'])).map(row => {
+    const cells = childElements(row, ['td', 'th']);
+    return {
+      header: cells.length > 0 && cells.every(cell => cell.name === 'th'),
+      cells: cells.map(cell => normalize(renderChildren(cell, ctx))),
+    };
+  });
+
+  const hasNestedTable = (element) => (element.children || []).some(child =>
+    child.type === 'tag' && (child.name === 'table' || hasNestedTable(child)));
+  const isLayout = node.attribs.role === 'presentation' ||
+    hasNestedTable(node) ||
+    rows.every(row => row.cells.length < 2) ||
+    rows.some(row => row.cells.some(cell => cell.includes('\n') || cell.length > MAX_DATA_CELL_LENGTH));
+  if (isLayout) {
+    return rows.map(row => row.cells.map(block).join('')).join('');
+  }
+
+  const widths = [];
+  for (const row of rows) {
+    row.cells.forEach((cell, i) => {
+      widths[i] = Math.max(widths[i] || 0, cell.length);
+    });
+  }
+  const lines = [];
+  rows.forEach((row, index) => {
+    lines.push(row.cells.map((cell, i) => cell.padEnd(widths[i], NBSP)).join(NBSP.repeat(2)).replace(new RegExp(`${NBSP}+$`), ''));
+    if (row.header && index === 0) {
+      lines.push(widths.map(width => '-'.repeat(width)).join(NBSP.repeat(2)));
+    }
+  });
+  return block(lines.join('\n'));
+}
+
+/**
+ * Renders one DOM node.
+ */
+function renderNode(node, ctx) {
+  if (node.type === 'text') {
+    return ctx.pre ?
+      node.data.replace(/[ \t]/g, NBSP) :
+      node.data.replace(/\s+/g, ' ');
+  }
+  if (node.type !== 'tag' && node.type !== 'script' && node.type !== 'style') {
+    // Comments, doctypes and CDATA
+    return node.type === 'root' ? renderChildren(node, ctx) : '';
+  }
+  if (SKIPPED_TAGS.has(node.name) || isHidden(node)) {
+    return '';
+  }
+
+  switch (node.name) {
+    case 'br':
+      return '\n';
+    case 'hr':
+      return block('---');
+    case 'img': {
+      if (isTrackingPixel(node)) {
+        return '';
+      }
+      const alt = (node.attribs.alt || '').trim();
+      return alt ? `[image: ${alt}]` : '';
+    }
+    case 'a':
+      return renderLink(node, ctx);
+    case 'ul':
+    case 'ol':
+      return renderList(node, ctx);
+    case 'table':
+      return renderTable(node, ctx);
+    case 'pre': {
+      const inner = renderChildren(node, { ...ctx, pre: true });
+      return block(inner.replace(/^\n|\n$/g, ''));
+    }
+    case 'blockquote':
+      return block(prefixLines(normalize(renderChildren(node, ctx)), '>' + NBSP));
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return block(`${'#'.repeat(Number(node.name[1]))} ${normalize(renderChildren(node, ctx))}`);
+    case 'dd':
+      return block(prefixLines(normalize(renderChildren(node, ctx)), NBSP.repeat(2)));
+    case 'td':
+    case 'th':
+      // Cells outside a <table> (malformed markup)
+      return ` ${renderChildren(node, ctx)} `;
+    default: {
+      const inner = renderChildren(node, ctx);
+      return BLOCK_TAGS.has(node.name) ? block(inner) : inner;
+    }
+  }
+}
+
+/**
+ * Converts an HTML email body to readable text.
+ * @param {string} html - HTML markup
+ * @returns {{ text: string, links: string[] }} Rendered text (with a "Links:" footnote list) and the footnoted URLs
+ */
+export function htmlToText(html) {
+  const ctx = { links: [], pre: false };
+  const document = parseDocument(html || '', { decodeEntities: true });
+  let text = normalize(renderNode(document, ctx));
+  if (ctx.links.length > 0) {
+    text += `\n\nLinks:\n${ctx.links.map((href, i) => `[${i + 1}] ${href}`).join('\n')}`;
+  }
+  return {
+    text: text.replace(NBSP_PATTERN, ' ').replace(/[ ]+$/gm, ''),
+    links: ctx.links,
+  };
+}
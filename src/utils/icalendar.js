@@ -0,0 +1,157 @@
+/**
+ * Minimal iCalendar (RFC 5545) reader for calendar invites in email.
+ * Extracts the event fields a reader cares about; recurrence rules are reported verbatim.
+ */
+
+/**
+ * Splits a content line into name, parameters and value, respecting quoted parameter values.
+ * @param {string} line - e.g. `ATTENDEE;CN="Doe, Jane";PARTSTAT=ACCEPTED:mailto:jane@example.com`
+ * @returns {{ name: string, params: Object<string, string>, value: string }|null}
+ */
+function parseContentLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+  let valueStart = -1;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === ';' || char === ':')) {
+      fields.push(current);
+      current = '';
+      if (char === ':') {
+        valueStart = i + 1;
+        break;
+      }
+      continue;
+    }
+    current += char;
+  }
+  if (valueStart === -1) {
+    return null;
+  }
+  const [name, ...rawParams] = fields;
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq > 0) {
+      params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(valueStart) };
+}
+
+/**
+ * Unescapes a TEXT value (\n, \, \; and \\).
+ */
+function unescapeText(value) {
+  return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Formats a DATE or DATE-TIME value for display.
+ * @param {string} value - e.g. 20240105T100000Z, 20240105T100000 or 20240105
+ * @param {Object<string, string>} params - Line parameters (TZID, VALUE)
+ * @returns {string} e.g. `2024-01-05 10:00 UTC`, `2024-01-05 10:00 (Europe/Berlin)` or `2024-01-05 (all day)`
+ */
+function formatDateValue(value, params) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return value;
+  }
+  const [, year, month, day, hour, minute, , utc] = match;
+  const date = `${year}-${month}-${day}`;
+  if (hour === undefined) {
+    return `${date} (all day)`;
+  }
+  const zone = utc ? ' UTC' : params.TZID ? ` (${params.TZID})` : '';
+  return `${date} ${hour}:${minute}${zone}`;
+}
+
+/**
+ * Reads a CAL-ADDRESS property (ORGANIZER, ATTENDEE) into a person.
+ */
+function parsePerson({ params, value }) {
+  return {
+    name: params.CN || '',
+    email: value.replace(/^mailto:/i, ''),
+    ...(params.PARTSTAT && { status: params.PARTSTAT.toLowerCase() }),
+    ...(params.ROLE && { role: params.ROLE.toLowerCase() }),
+  };
+}
+
+/**
+ * Parses an iCalendar document.
+ * @param {string} text - Calendar data (text/calendar part)
+ * @returns {{ method: string, events: Array<object> }} The METHOD (REQUEST, CANCEL, REPLY, ...) and its VEVENTs
+ */
+export function parseCalendar(text) {
+  // Unfold continuation lines (CRLF followed by a space or tab)
+  const lines = (text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const calendar = { method: '', events: [] };
+  let event = null;
+  // Nested components inside an event (VALARM) must not overwrite its fields
+  let nested = 0;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+    const { name, params, value } = property;
+    if (name === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT') {
+        event = { summary: '', attendees: [] };
+      } else if (event) {
+        nested++;
+      }
+      continue;
+    }
+    if (name === 'END') {
+      if (value.toUpperCase() === 'VEVENT' && event) {
+        calendar.events.push(event);
+        event = null;
+      } else if (event && nested > 0) {
+        nested--;
+      }
+      continue;
+    }
+    if (!event) {
+      if (name === 'METHOD') {
+        calendar.method = value.toUpperCase();
+      }
+      continue;
+    }
+    if (nested > 0) {
+      continue;
+    }
+    switch (name) {
+      case 'SUMMARY':
+      case 'DESCRIPTION':
+      case 'LOCATION':
+        event[name.toLowerCase()] = unescapeText(value);
+        break;
+      case 'UID':
+      case 'STATUS':
+        event[name.toLowerCase()] = value;
+        break;
+      case 'DTSTART':
+        event.start = formatDateValue(value, params);
+        break;
+      case 'DTEND':
+        event.end = formatDateValue(value, params);
+        break;
+      case 'RRULE':
+        event.recurrence = value;
+        break;
+      case 'ORGANIZER':
+        event.organizer = parsePerson(property);
+        break;
+      case 'ATTENDEE':
+        event.attendees.push(parsePerson(property));
+        break;
+    }
+  }
+  return calendar;
+}
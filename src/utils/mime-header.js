@@ -0,0 +1,58 @@
+/**
+ * Header-value safety for outgoing messages: line-break rejection and RFC 2047 encoding.
+ */
+
+// An encoded-word may be at most 75 characters; 45 bytes of UTF-8 become 60 base64
+// characters, which leaves room for the "=?UTF-8?B?" and "?=" wrapper.
+const MAX_ENCODED_WORD_BYTES = 45;
+
+/**
+ * Error raised when a header value could inject extra headers or cannot be parsed.
+ */
+export class InvalidHeaderError extends Error {
+  /**
+   * @param {string} field - Header the value was meant for (e.g. 'Subject', 'To')
+   * @param {string} message - Human-readable explanation
+   */
+  constructor(field, message) {
+    super(`Invalid ${field} header: ${message}`);
+    this.name = 'InvalidHeaderError';
+    this.code = 'INVALID_HEADER';
+    this.details = { field };
+  }
+}
+
+/**
+ * Rejects values that contain CR or LF, which would end the header and start a new one.
+ * @param {string} field - Header name, for the error message
+ * @param {string|undefined} value - Header value
+ * @throws {InvalidHeaderError} If the value contains a line break
+ */
+export function assertHeaderSafe(field, value) {
+  if (typeof value === 'string' && /[\r\n]/.test(value)) {
+    throw new InvalidHeaderError(field, 'line breaks are not allowed in header values.');
+  }
+}
+
+/**
+ * Encodes text as RFC 2047 encoded-words if it contains non-ASCII characters.
+ * Long values are split into several words on character boundaries and folded.
+ * @param {string} text - Unencoded header text
+ * @returns {string} Header-safe text
+ */
+export function encodeHeaderWords(text) {
+  if (!/[^\x00-\x7F]/.test(text)) {
+    return text;
+  }
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char) > MAX_ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
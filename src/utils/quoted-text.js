@@ -0,0 +1,137 @@
+/**
+ * Detects quoted reply history and signatures in plain-text email bodies so they can be collapsed.
+ */
+
+// "On Mon, 1 Jan 2024 at 10:00, Jane <jane@example.com> wrote:" (may wrap onto a second line).
+// A date and an address are required so prose such as "On reflection, Alice wrote:" is kept
+const ATTRIBUTION_PATTERN = /^On\s+.*?\d.*,\s*.*?<?[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+>?\s+wrote:\s*$/i;
+const ATTRIBUTION_START_PATTERN = /^On\s+.*\d/i;
+
+// RFC 3676 signature separator ("-- "); some clients drop the trailing space
+const SIGNATURE_SEPARATOR_PATTERN = /^-- ?$/;
+// One-line signatures mobile and webmail clients append
+const CLIENT_SIGNATURE_PATTERN = /^(?:Sent from my \S+.*|Sent from (?:Mail|Outlook|Yahoo Mail) for \S+.*|Get Outlook for \S+.*)$/i;
+// Longer blocks after a separator are more likely content than a signature
+const MAX_SIGNATURE_LINES = 10;
+
+// Outlook "Original Message" separator; everything below it is the previous message
+const FORWARD_HISTORY_PATTERN = /^-{2,}\s*Original Message\s*-{2,}\s*$/i;
+
+/**
+ * Returns the number of lines the attribution starting at `index` spans (0 if none).
+ * @param {string[]} lines
+ * @param {number} index
+ * @returns {number}
+ */
+function attributionLength(lines, index) {
+  const line = lines[index].trim();
+  if (ATTRIBUTION_PATTERN.test(line)) {
+    return 1;
+  }
+  const next = lines[index + 1]?.trim();
+  if (next !== undefined && ATTRIBUTION_START_PATTERN.test(line) && ATTRIBUTION_PATTERN.test(`${line} ${next}`)) {
+    return 2;
+  }
+  return 0;
+}
+
+/**
+ * Collapses quoted reply history in a plain-text body.
+ *
+ * Removes "On <date>, <address> wrote:" blocks with their ">" quoted lines, stray runs of ">" lines,
+ * and everything after an Outlook "Original Message" separator, replacing each with a
+ * one-line marker.
+ *
+ * @param {string} text - Plain-text email body
+ * @returns {{ text: string, collapsedLines: number }} Collapsed body and how many lines were removed
+ */
+export function collapseQuotedHistory(text) {
+  if (!text) {
+    return { text: text || '', collapsedLines: 0 };
+  }
+
+  const lines = text.split(/\r?\n/);
+  const output = [];
+  let collapsedLines = 0;
+
+  const pushMarker = (count) => {
+    collapsedLines += count;
+    output.push(`[... ${count} quoted line${count === 1 ? '' : 's'} collapsed ...]`);
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const trimmed = lines[i].trim();
+
+    // Outlook history: the rest of the message is quoted
+    if (FORWARD_HISTORY_PATTERN.test(trimmed)) {
+      pushMarker(lines.length - i);
+      break;
+    }
+
+    const attribution = attributionLength(lines, i);
+    const quoteStart = i + attribution;
+    if (attribution > 0 || trimmed.startsWith('>')) {
+      // Consume the quoted block, allowing blank lines inside it
+      let end = quoteStart;
+      let lastQuoted = -1;
+      while (end < lines.length) {
+        const candidate = lines[end].trim();
+        if (candidate.startsWith('>')) {
+          lastQuoted = end;
+        } else if (candidate !== '') {
+          break;
+        }
+        end++;
+      }
+      if (lastQuoted >= 0) {
+        pushMarker(lastQuoted + 1 - i);
+        i = lastQuoted + 1;
+        continue;
+      }
+      // Some clients top-post without ">" markers: the attribution starts the history
+      if (attribution > 0) {
+        pushMarker(lines.length - i);
+        break;
+      }
+    }
+
+    output.push(lines[i]);
+    i++;
+  }
+
+  return { text: output.join('\n').replace(/\s+$/, ''), collapsedLines };
+}
+
+/**
+ * Removes the signature from a plain-text body.
+ *
+ * Drops everything after the last "-- " separator when it is at most ten lines long, and
+ * trailing client signatures such as "Sent from my iPhone".
+ *
+ * @param {string} text - Plain-text email body
+ * @returns {{ text: string, removedLines: number }} Body without signature and how many lines were removed
+ */
+export function stripSignature(text) {
+  if (!text) {
+    return { text: text || '', removedLines: 0 };
+  }
+
+  let lines = text.replace(/\s+$/, '').split(/\r?\n/);
+  let removedLines = 0;
+
+  const separator = lines.map(line => SIGNATURE_SEPARATOR_PATTERN.test(line)).lastIndexOf(true);
+  if (separator > 0 && lines.length - separator <= MAX_SIGNATURE_LINES + 1) {
+    removedLines += lines.length - separator;
+    lines = lines.slice(0, separator);
+  }
+
+  while (lines.length > 1 && (CLIENT_SIGNATURE_PATTERN.test(lines[lines.length - 1].trim()) || lines[lines.length - 1].trim() === '')) {
+    if (lines[lines.length - 1].trim() !== '') {
+      removedLines++;
+    }
+    lines.pop();
+  }
+
+  return { text: lines.join('\n'), removedLines };
+}
@@ -0,0 +1,15 @@
+/**
+ * Rough token estimate for text returned to the model.
+ */
+
+// English prose averages about four characters per token across common tokenizers
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimates how many tokens a text will take up.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
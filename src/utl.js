@@ -1,24 +1,64 @@
-import fs from 'fs';
 import path from 'path';
 import nodemailer from 'nodemailer';
+import { loadAttachmentPolicy, validateAttachments, readAttachmentFile } from './attachment-guard.js';
+import { parseAddressList, formatAddress } from './utils/address-list.js';
+import { InvalidHeaderError, assertHeaderSafe, encodeHeaderWords } from './utils/mime-header.js';
 /**
- * Helper function to encode email headers containing non-ASCII characters
- * according to RFC 2047 MIME specification
+ * Checks that a recipient entry is exactly one valid mailbox
+ * ("Name <addr>" or a bare address); lists and groups in a single entry are rejected
  */
-function encodeEmailHeader(text) {
-    // Only encode if the text contains non-ASCII characters
-    if (/[^\x00-\x7F]/.test(text)) {
-        // Use MIME Words encoding (RFC 2047)
-        return '=?UTF-8?B?' + Buffer.from(text).toString('base64') + '?=';
-    }
-    return text;
-}
 export const validateEmail = (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+    try {
+        return parseAddressList(email).length === 1;
+    }
+    catch {
+        return false;
+    }
 };
+/**
+ * Parses each recipient entry of a To/Cc/Bcc list into a single mailbox
+ * @param field - Header name, for error messages
+ * @param entries - Recipient entries from the tool arguments
+ * @returns Parsed mailboxes, one per entry
+ * @throws {InvalidHeaderError} If an entry is not exactly one valid address
+ */
+function parseRecipients(field, entries = []) {
+    return entries.map(entry => {
+        assertHeaderSafe(field, entry);
+        if (!validateEmail(entry)) {
+            throw new InvalidHeaderError(field, `Recipient email address is invalid: ${entry}`);
+        }
+        const { name, address } = parseAddressList(entry, field)[0];
+        return { name, address };
+    });
+}
+/**
+ * Parses all recipients and rejects line breaks in every other header value
+ * @returns { to, cc, bcc } mailbox lists
+ */
+function validateHeaders(validatedArgs) {
+    assertHeaderSafe('Subject', validatedArgs.subject);
+    assertHeaderSafe('In-Reply-To', validatedArgs.inReplyTo);
+    [].concat(validatedArgs.references || []).forEach(reference => assertHeaderSafe('References', reference));
+    return {
+        to: parseRecipients('To', validatedArgs.to),
+        cc: parseRecipients('Cc', validatedArgs.cc),
+        bcc: parseRecipients('Bcc', validatedArgs.bcc),
+    };
+}
+/**
+ * Builds the References header value: an explicit chain if provided, else the parent ID
+ */
+function formatReferences(validatedArgs) {
+    if (validatedArgs.references && validatedArgs.references.length > 0) {
+        return Array.isArray(validatedArgs.references) ? validatedArgs.references.join(' ') : validatedArgs.references;
+    }
+    return validatedArgs.inReplyTo;
+}
 export function createEmailMessage(validatedArgs) {
-    const encodedSubject = encodeEmailHeader(validatedArgs.subject);
+    // Every header value is checked before anything is assembled
+    const recipients = validateHeaders(validatedArgs);
+    const encodedSubject = encodeHeaderWords(validatedArgs.subject);
     // Determine content type based on available content and explicit mimeType
     let mimeType = validatedArgs.mimeType || 'text/plain';
     // If htmlBody is provided and mimeType isn't explicitly set to text/plain,
@@ -28,22 +68,16 @@ export function createEmailMessage(validatedArgs) {
     }
     // Generate a random boundary string for multipart messages
     const boundary = `----=_NextPart_${Math.random().toString(36).substring(2)}`;
-    // Validate email addresses
-    validatedArgs.to.forEach(email => {
-        if (!validateEmail(email)) {
-            throw new Error(`Recipient email address is invalid: ${email}`);
-        }
-    });
     // Common email headers
     const emailParts = [
         'From: me',
-        `To: ${validatedArgs.to.join(', ')}`,
-        validatedArgs.cc ? `Cc: ${validatedArgs.cc.join(', ')}` : '',
-        validatedArgs.bcc ? `Bcc: ${validatedArgs.bcc.join(', ')}` : '',
+        `To: ${recipients.to.map(formatAddress).join(', ')}`,
+        recipients.cc.length > 0 ? `Cc: ${recipients.cc.map(formatAddress).join(', ')}` : '',
+        recipients.bcc.length > 0 ? `Bcc: ${recipients.bcc.map(formatAddress).join(', ')}` : '',
         `Subject: ${encodedSubject}`,
         // Add thread-related headers if specified
         validatedArgs.inReplyTo ? `In-Reply-To: ${validatedArgs.inReplyTo}` : '',
-        validatedArgs.inReplyTo ? `References: ${validatedArgs.inReplyTo}` : '',
+        formatReferences(validatedArgs) ? `References: ${formatReferences(validatedArgs)}` : '',
         'MIME-Version: 1.0',
     ].filter(Boolean);
     // Construct the email based on the content type
@@ -84,13 +118,13 @@ export function createEmailMessage(validatedArgs) {
     }
     return emailParts.join('\r\n');
 }
-export async function createEmailWithNodemailer(validatedArgs) {
-    // Validate email addresses
-    validatedArgs.to.forEach(email => {
-        if (!validateEmail(email)) {
-            throw new Error(`Recipient email address is invalid: ${email}`);
-        }
-    });
+/**
+ * Builds a raw RFC 822 message with attachments
+ * File attachments must pass the attachment policy (allowlisted root, size and count limits)
+ */
+export async function createEmailWithNodemailer(validatedArgs, attachmentPolicy = loadAttachmentPolicy()) {
+    // Nodemailer gets parsed mailboxes, so it never re-splits a recipient entry on its own
+    const recipients = validateHeaders(validatedArgs);
     // Create a nodemailer transporter (we won't actually send, just generate the message)
     const transporter = nodemailer.createTransport({
         streamTransport: true,
@@ -99,27 +133,34 @@ export async function createEmailWithNodemailer(validatedArgs) {
     });
     // Prepare attachments for nodemailer
     const attachments = [];
-    for (const filePath of validatedArgs.attachments) {
-        if (!fs.existsSync(filePath)) {
-            throw new Error(`File does not exist: ${filePath}`);
-        }
+    const filePaths = validateAttachments(validatedArgs.attachments, validatedArgs.attachmentData, attachmentPolicy);
+    for (const filePath of filePaths) {
         const fileName = path.basename(filePath);
+        // Attach the bytes that were validated; a path would be opened again later by Nodemailer
         attachments.push({
             filename: fileName,
-            path: filePath
+            content: readAttachmentFile(filePath, attachmentPolicy)
+        });
+    }
+    // In-memory attachments (e.g. re-attached from a forwarded message)
+    for (const attachment of validatedArgs.attachmentData || []) {
+        attachments.push({
+            filename: attachment.filename,
+            content: attachment.content,
+            contentType: attachment.mimeType
         });
     }
     const mailOptions = {
         from: 'me', // Gmail API will replace this with the authenticated user
-        to: validatedArgs.to.join(', '),
-        cc: validatedArgs.cc?.join(', '),
-        bcc: validatedArgs.bcc?.join(', '),
+        to: recipients.to,
+        cc: recipients.cc.length > 0 ? recipients.cc : undefined,
+        bcc: recipients.bcc.length > 0 ? recipients.bcc : undefined,
         subject: validatedArgs.subject,
         text: validatedArgs.body,
         html: validatedArgs.htmlBody,
         attachments: attachments,
         inReplyTo: validatedArgs.inReplyTo,
-        references: validatedArgs.inReplyTo
+        references: formatReferences(validatedArgs)
     };
     // Generate the raw message
     const info = await transporter.sendMail(mailOptions);
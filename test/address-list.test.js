@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAddressList, formatAddress } from '../src/utils/address-list.js';
+import { InvalidHeaderError } from '../src/utils/mime-header.js';
+
+test('parseAddressList keeps a quoted display name with a comma as one mailbox', () => {
+  assert.deepEqual(parseAddressList('"Doe, Jane" <jane@example.com>, bob@example.com'), [
+    { name: 'Doe, Jane', address: 'jane@example.com' },
+    { name: '', address: 'bob@example.com' },
+  ]);
+});
+
+test('parseAddressList reads old-style comments as the display name', () => {
+  assert.deepEqual(parseAddressList('jane@example.com (Jane Doe)'), [
+    { name: 'Jane Doe', address: 'jane@example.com' },
+  ]);
+});
+
+test('parseAddressList tags group members with the group name', () => {
+  assert.deepEqual(parseAddressList('Team: a@example.com, B <b@example.com>;, c@example.com'), [
+    { name: '', address: 'a@example.com', group: 'Team' },
+    { name: 'B', address: 'b@example.com', group: 'Team' },
+    { name: '', address: 'c@example.com' },
+  ]);
+});
+
+test('parseAddressList accepts domain literals and skips empty entries', () => {
+  assert.deepEqual(parseAddressList('user@[192.0.2.1], ,'), [
+    { name: '', address: 'user@[192.0.2.1]' },
+  ]);
+});
+
+test('parseAddressList rejects malformed lists', () => {
+  for (const input of [
+    'jane@example.com\r\nBcc: evil@example.com',
+    '"Jane <jane@example.com>',
+    'Jane <jane@example.com',
+    'not-an-address',
+    'Team: a@example.com',
+    'A <a@example.com> <b@example.com>',
+  ]) {
+    assert.throws(() => parseAddressList(input, 'To'), InvalidHeaderError, input);
+  }
+});
+
+test('formatAddress quotes or encodes display names as needed', () => {
+  assert.equal(formatAddress({ name: '', address: 'jane@example.com' }), 'jane@example.com');
+  assert.equal(formatAddress({ name: 'Jane Doe', address: 'jane@example.com' }), 'Jane Doe <jane@example.com>');
+  assert.equal(formatAddress({ name: 'Doe, "J"', address: 'jane@example.com' }), '"Doe, \\"J\\"" <jane@example.com>');
+  assert.match(formatAddress({ name: 'Zoë', address: 'zoe@example.com' }), /^=\?UTF-8\?[BQ]\?.+\?= <zoe@example\.com>$/i);
+});
+
+test('formatAddress output parses back to the same mailbox', () => {
+  const mailbox = { name: 'Doe, Jane (Sales)', address: 'jane@example.com' };
+  assert.deepEqual(parseAddressList(formatAddress(mailbox)), [mailbox]);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AttachmentRejectedError, readAttachmentFile, validateAttachments } from '../src/attachment-guard.js';
+
+/**
+ * Creates an attachment root with one file, a secret outside it and a denied directory inside it
+ */
+function sandbox(t, limits = {}) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'attachment-test-')));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const root = path.join(dir, 'attachments');
+  const denied = path.join(root, 'config');
+  fs.mkdirSync(denied, { recursive: true });
+  fs.writeFileSync(path.join(root, 'report.pdf'), 'report');
+  fs.writeFileSync(path.join(denied, 'token.json'), 'token');
+  fs.writeFileSync(path.join(dir, 'secret.txt'), 'secret');
+  const policy = { root, maxCount: 10, maxFileBytes: 1024, maxTotalBytes: 2048, deniedDirs: [denied], ...limits };
+  return { dir, root, policy };
+}
+
+/**
+ * Asserts that validating the paths fails under the given rule
+ */
+function assertRejected(filePaths, policy, rule, inMemory = []) {
+  assert.throws(() => validateAttachments(filePaths, inMemory, policy), (error) => {
+    assert.ok(error instanceof AttachmentRejectedError);
+    assert.equal(error.code, 'ATTACHMENT_REJECTED');
+    assert.equal(error.details.rule, rule);
+    return true;
+  });
+}
+
+test('validateAttachments resolves files inside the root, relative or absolute', (t) => {
+  const { root, policy } = sandbox(t);
+  const report = path.join(root, 'report.pdf');
+  assert.deepEqual(validateAttachments(['report.pdf', report], [], policy), [report, report]);
+  assert.deepEqual(validateAttachments([], [], policy), []);
+});
+
+test('validateAttachments refuses path traversal and absolute paths outside the root', (t) => {
+  const { dir, policy } = sandbox(t);
+  assertRejected(['../secret.txt'], policy, 'outside-root');
+  assertRejected([path.join(dir, 'secret.txt')], policy, 'outside-root');
+  assertRejected(['missing.pdf'], policy, 'not-found');
+});
+
+test('validateAttachments follows symlinks before checking containment', (t) => {
+  const { dir, root, policy } = sandbox(t);
+  fs.symlinkSync(path.join(dir, 'secret.txt'), path.join(root, 'innocent.pdf'));
+  fs.symlinkSync(dir, path.join(root, 'escape'));
+  assertRejected(['innocent.pdf'], policy, 'outside-root');
+  assertRejected(['escape/secret.txt'], policy, 'outside-root');
+});
+
+test('validateAttachments refuses denied directories, directories and a missing root', (t) => {
+  const { dir, root, policy } = sandbox(t);
+  assertRejected(['config/token.json'], policy, 'denied-directory');
+  fs.mkdirSync(path.join(root, 'folder'));
+  assertRejected(['folder'], policy, 'not-a-file');
+  assertRejected(['report.pdf'], { ...policy, root: path.join(dir, 'nowhere') }, 'root-missing');
+});
+
+test('validateAttachments enforces the count and size limits', (t) => {
+  const { root, policy } = sandbox(t, { maxCount: 2, maxFileBytes: 10, maxTotalBytes: 10 });
+  assertRejected(['report.pdf', 'report.pdf', 'report.pdf'], policy, 'max-count');
+  assertRejected(['report.pdf'], policy, 'max-count', [{ filename: 'a', content: Buffer.alloc(1) }, { filename: 'b', content: Buffer.alloc(1) }]);
+  fs.writeFileSync(path.join(root, 'large.bin'), Buffer.alloc(11));
+  assertRejected(['large.bin'], policy, 'max-file-size');
+  assertRejected(['report.pdf'], policy, 'max-total-size', [{ filename: 'a', content: Buffer.alloc(5) }]);
+});
+
+test('readAttachmentFile reads the validated file and refuses one swapped for a symlink', (t) => {
+  const { dir, root, policy } = sandbox(t);
+  const [report] = validateAttachments(['report.pdf'], [], policy);
+  assert.equal(readAttachmentFile(report, policy).toString(), 'report');
+
+  fs.rmSync(report);
+  fs.symlinkSync(path.join(dir, 'secret.txt'), report);
+  assert.throws(() => readAttachmentFile(report, policy), { code: 'ATTACHMENT_REJECTED', details: { rule: 'changed', path: report } });
+  assert.throws(() => readAttachmentFile(path.join(root, 'gone.pdf'), policy), { details: { rule: 'changed', path: path.join(root, 'gone.pdf') } });
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createAuditLogger, extractAffectedIds, readAuditEntries, redactArguments, verifyAuditLog } from '../src/audit/audit-log.js';
+import { createRedactor } from '../src/redaction.js';
+import { PolicySchema } from '../src/policy.js';
+
+const redactor = createRedactor(PolicySchema.parse({}).redaction);
+
+/**
+ * Creates a log path in a temporary directory removed after the test, and a logger for it
+ * wired to the redactor as the server does
+ */
+function auditLog(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const logPath = path.join(dir, 'logs', 'audit.jsonl');
+  const logger = createAuditLogger(logPath, { redact: value => redactor.redactValue(value) });
+  return { logPath, logger };
+}
+
+/**
+ * Records a successful call
+ */
+function record(logger, tool, args, data) {
+  return logger.record({ tool, args, data, outcome: 'success', startedAt: Date.UTC(2024, 0, 1), durationMs: 5 });
+}
+
+/**
+ * Rewrites the log's lines with a function
+ */
+function rewrite(logPath, fn) {
+  const lines = fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean);
+  fs.writeFileSync(logPath, fn(lines).join('\n') + '\n');
+}
+
+test('entries are hash-chained and verify', (t) => {
+  const { logPath, logger } = auditLog(t);
+  assert.deepEqual(verifyAuditLog(logPath), { valid: true, entries: 0 });
+  const first = record(logger, 'modify_email', { messageId: 'm1', addLabelIds: ['STARRED'] });
+  const second = record(logger, 'archive_thread', { threadId: 't1' }, { threadId: 't1', messageIds: ['m1', 'm2'] });
+  assert.equal(first.seq, 1);
+  assert.equal(second.prevHash, first.hash);
+  assert.deepEqual(second.affected, { messageIds: ['m1', 'm2'], threadIds: ['t1'] });
+  assert.deepEqual(verifyAuditLog(logPath), { valid: true, entries: 2 });
+  assert.equal((fs.statSync(logPath).mode & 0o777).toString(8), '600');
+  assert.deepEqual(readAuditEntries(logPath, { tool: 'archive_thread' }).map(entry => entry.seq), [2]);
+});
+
+test('editing an entry breaks verification at that line', (t) => {
+  const { logPath, logger } = auditLog(t);
+  record(logger, 'modify_email', { messageId: 'm1', addLabelIds: ['STARRED'] });
+  record(logger, 'modify_email', { messageId: 'm2', addLabelIds: ['STARRED'] });
+  rewrite(logPath, lines => lines.map((line, i) => (i === 0 ? line.replace('"m1"', '"m9"') : line)));
+  assert.deepEqual(verifyAuditLog(logPath), { valid: false, entries: 0, brokenAt: 1, reason: 'Hash mismatch (entry modified)' });
+});
+
+test('removing, reordering or corrupting entries breaks verification', (t) => {
+  const { logPath, logger } = auditLog(t);
+  for (const messageId of ['m1', 'm2', 'm3']) {
+    record(logger, 'modify_email', { messageId });
+  }
+  const original = fs.readFileSync(logPath, 'utf8');
+
+  rewrite(logPath, lines => [lines[0], lines[2]]);
+  assert.equal(verifyAuditLog(logPath).brokenAt, 2);
+
+  fs.writeFileSync(logPath, original);
+  rewrite(logPath, lines => [lines[1], lines[0], lines[2]]);
+  assert.equal(verifyAuditLog(logPath).brokenAt, 1);
+
+  fs.writeFileSync(logPath, original);
+  rewrite(logPath, lines => [lines[0], '{not json', lines[2]]);
+  assert.deepEqual(verifyAuditLog(logPath), { valid: false, entries: 1, brokenAt: 2, reason: 'Line is not valid JSON' });
+});
+
+test('the chain continues on a fresh line after a truncated last entry', (t) => {
+  const { logPath, logger } = auditLog(t);
+  record(logger, 'modify_email', { messageId: 'm1' });
+  fs.appendFileSync(logPath, '{"seq":2,"tool":"mod');
+  const next = record(logger, 'modify_email', { messageId: 'm2' });
+  assert.equal(next.seq, 2);
+  const lines = fs.readFileSync(logPath, 'utf8').split('\n');
+  assert.equal(lines[1], '{"seq":2,"tool":"mod');
+  assert.equal(JSON.parse(lines[2]).hash, next.hash);
+});
+
+test('message bodies and detected secrets are redacted before they are written', (t) => {
+  const { logPath, logger } = auditLog(t);
+  record(logger, 'draft_email', {
+    to: ['jane@example.com'],
+    subject: 'Your code is 123456',
+    body: 'Password: hunter22',
+    htmlBody: '<p>Password: hunter22</p>',
+  });
+  logger.record({ tool: 'read_email', args: { messageId: 'm1' }, outcome: 'error', error: 'Failed for SSN 123-45-6789', startedAt: Date.now(), durationMs: 1 });
+
+  const content = fs.readFileSync(logPath, 'utf8');
+  for (const secret of ['hunter22', '123456', '123-45-6789']) {
+    assert.equal(content.includes(secret), false, secret);
+  }
+  const [draft, failure] = readAuditEntries(logPath);
+  assert.deepEqual(draft.args, {
+    to: ['jane@example.com'],
+    subject: 'Your code is [REDACTED:one-time-code]',
+    body: '[redacted: 18 chars]',
+    htmlBody: '[redacted: 25 chars]',
+  });
+  assert.equal(failure.error, 'Failed for SSN [REDACTED:us-ssn]');
+  assert.equal(verifyAuditLog(logPath).valid, true);
+});
+
+test('redactArguments and extractAffectedIds handle missing values', () => {
+  assert.deepEqual(redactArguments(undefined), {});
+  assert.deepEqual(redactArguments({ body: 42, id: 'x' }), { body: 42, id: 'x' });
+  assert.deepEqual(extractAffectedIds({ id: 'Label_1', draftId: 'r1' }, null), { draftIds: ['r1'], labelIds: ['Label_1'] });
+  assert.deepEqual(extractAffectedIds({}, { messageId: 'm1', messageIds: ['m1'] }), { messageIds: ['m1'] });
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectCharset, parseCharset, decodeBytes, decodePartBody, decodeEncodedWords } from '../src/utils/charset.js';
+
+test('parseCharset reads quoted and unquoted charset parameters', () => {
+  assert.equal(parseCharset('text/plain; charset="ISO-8859-1"; format=flowed'), 'ISO-8859-1');
+  assert.equal(parseCharset('text/html;charset=utf-8'), 'utf-8');
+  assert.equal(parseCharset('text/plain'), null);
+  assert.equal(parseCharset(undefined), null);
+});
+
+test('decodeBytes reads Latin-1 labels as Windows-1252', () => {
+  // 0x80 is the euro sign and 0x93/0x94 are curly quotes in Windows-1252
+  assert.equal(decodeBytes(Buffer.from([0x80, 0x20, 0x93, 0x68, 0x69, 0x94]), 'iso-8859-1'), '€ “hi”');
+});
+
+test('decodeBytes decodes DOS code page 850', () => {
+  // 0x82 is "é" and 0x85 is "à" in CP850
+  assert.equal(decodeBytes(Buffer.from([0x63, 0x61, 0x66, 0x82, 0x20, 0x85]), 'cp850'), 'café à');
+  assert.equal(decodeBytes(Buffer.from([0x82]), 'IBM850'), 'é');
+  assert.equal(decodeBytes(Buffer.from([0x82]), 'cp-850'), 'é');
+});
+
+test('decodeBytes decodes legacy multi-byte charsets', () => {
+  // "日本" in Shift_JIS and in ISO-2022-JP
+  assert.equal(decodeBytes(Buffer.from([0x93, 0xfa, 0x96, 0x7b]), 'Shift_JIS'), '日本');
+  assert.equal(decodeBytes(Buffer.from('\x1b$BF|K\\\x1b(B', 'latin1'), 'iso-2022-jp'), '日本');
+});
+
+test('decodeBytes detects the charset when the label is missing, unknown or US-ASCII', () => {
+  const utf8 = Buffer.from('café', 'utf8');
+  assert.equal(decodeBytes(utf8, null), 'café');
+  assert.equal(decodeBytes(utf8, 'x-unknown-charset'), 'café');
+  assert.equal(decodeBytes(utf8, 'us-ascii'), 'café');
+  assert.equal(decodeBytes(Buffer.from([0x63, 0x61, 0x66, 0xe9]), 'ascii'), 'café');
+});
+
+test('detectCharset prefers ISO-2022-JP, then UTF-8, then an HTML meta charset, then Windows-1252', () => {
+  assert.equal(detectCharset(Buffer.from('\x1b$BF|K\\\x1b(B', 'latin1')), 'iso-2022-jp');
+  assert.equal(detectCharset(Buffer.from('plain ascii')), 'utf-8');
+  assert.equal(detectCharset(Buffer.from('<meta charset="koi8-r"><p>\xf0\xd2', 'latin1')), 'koi8-r');
+  assert.equal(detectCharset(Buffer.from([0x63, 0x61, 0x66, 0xe9])), 'windows-1252');
+});
+
+test('decodePartBody uses the part Content-Type charset', () => {
+  const part = {
+    headers: [{ name: 'Content-Type', value: 'text/plain; charset=windows-1252' }],
+    body: { data: Buffer.from([0x63, 0x61, 0x66, 0xe9]).toString('base64url') },
+  };
+  assert.equal(decodePartBody(part), 'café');
+  assert.equal(decodePartBody({ body: {} }), '');
+});
+
+test('decodeEncodedWords decodes B and Q words and joins adjacent words', () => {
+  assert.equal(decodeEncodedWords('=?UTF-8?B?Y2Fmw6k=?= menu'), 'café menu');
+  assert.equal(decodeEncodedWords('=?iso-8859-1?Q?caf=E9_cr=E8me?='), 'café crème');
+  // The two bytes of "é" are split across words in the same charset
+  assert.equal(decodeEncodedWords('=?utf-8?Q?caf=C3?= =?utf-8?Q?=A9?='), 'café');
+  assert.equal(decodeEncodedWords('=?utf-8*en?Q?hello?= world'), 'hello world');
+  assert.equal(decodeEncodedWords('plain subject'), 'plain subject');
+  assert.equal(decodeEncodedWords(undefined), '');
+});
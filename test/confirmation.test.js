@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ConfirmationError,
+  DEFAULT_CONFIRMATION_CONFIG,
+  createConfirmationStore,
+  describeHighImpactCall,
+  loadConfirmationConfig,
+} from '../src/confirmation.js';
+
+/**
+ * Asserts that consuming a token fails for the given reason
+ */
+function assertRefused(fn, reason) {
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof ConfirmationError);
+    assert.equal(error.code, 'CONFIRMATION_INVALID');
+    assert.equal(error.details.reason, reason);
+    return true;
+  });
+}
+
+test('loadConfirmationConfig reads overrides and ignores invalid numbers', () => {
+  assert.deepEqual(loadConfirmationConfig({}), DEFAULT_CONFIRMATION_CONFIG);
+  assert.deepEqual(loadConfirmationConfig({
+    GMAIL_CONFIRM_TOOLS: ' delete_label , ',
+    GMAIL_CONFIRM_BATCH_THRESHOLD: '10',
+    GMAIL_CONFIRM_TTL_SECONDS: '30',
+  }), { tools: ['delete_label'], batchThreshold: 10, ttlMs: 30000 });
+  assert.deepEqual(loadConfirmationConfig({ GMAIL_CONFIRM_TOOLS: '', GMAIL_CONFIRM_BATCH_THRESHOLD: '-1' }).tools, []);
+  assert.equal(loadConfirmationConfig({ GMAIL_CONFIRM_BATCH_THRESHOLD: 'many' }).batchThreshold, DEFAULT_CONFIRMATION_CONFIG.batchThreshold);
+});
+
+test('describeHighImpactCall asks only for large batches, label deletion and sends with attachments', () => {
+  const config = { ...DEFAULT_CONFIRMATION_CONFIG, batchThreshold: 2 };
+  assert.equal(describeHighImpactCall('batch_modify_emails', { messageIds: ['a'] }, config), null);
+  assert.equal(
+    describeHighImpactCall('batch_modify_emails', { messageIds: ['a', 'b'], addLabelIds: ['STARRED'], removeLabelIds: ['INBOX'] }, config),
+    'Modify labels on 2 messages: add STARRED and remove INBOX'
+  );
+  assert.equal(describeHighImpactCall('batch_modify_emails', { messageIds: ['a', 'b'], dryRun: true }, config), null);
+  assert.equal(describeHighImpactCall('delete_label', { id: 'Label_1' }, config), 'Delete label Label_1');
+  assert.equal(describeHighImpactCall('send_email', { to: ['me@example.com'], subject: 'Hi' }, config), null);
+  assert.match(describeHighImpactCall('send_email', { to: ['me@example.com'], subject: 'Hi', attachments: ['a.pdf'] }, config), /1 attachment\(s\): a\.pdf$/);
+  // send_email has no dry run, so the flag does not skip confirmation
+  assert.match(describeHighImpactCall('send_email', { to: ['me@example.com'], subject: 'Hi', attachments: ['a.pdf'], dryRun: true }, config), /^Send "Hi"/);
+  assert.equal(describeHighImpactCall('delete_label', { id: 'Label_1' }, { ...config, tools: [] }), null);
+});
+
+test('a token confirms the call it was issued for, once', () => {
+  const store = createConfirmationStore(DEFAULT_CONFIRMATION_CONFIG);
+  const args = { id: 'Label_1', nested: { b: 1, a: 2 } };
+  const { token, expiresAt } = store.issue('delete_label', args);
+  assert.ok(expiresAt > new Date());
+  // Key order and the token argument itself do not matter
+  store.consume(token, 'delete_label', { nested: { a: 2, b: 1 }, id: 'Label_1', confirmationToken: token });
+  assertRefused(() => store.consume(token, 'delete_label', args), 'unknown-token');
+});
+
+test('a token is refused for other arguments or tools, and burned by the attempt', () => {
+  const store = createConfirmationStore(DEFAULT_CONFIRMATION_CONFIG);
+  const { token } = store.issue('delete_label', { id: 'Label_1' });
+  assertRefused(() => store.consume(token, 'delete_label', { id: 'Label_2' }), 'arguments-changed');
+  assertRefused(() => store.consume(token, 'delete_label', { id: 'Label_1' }), 'unknown-token');
+
+  const other = store.issue('delete_label', { id: 'Label_1' }).token;
+  assertRefused(() => store.consume(other, 'send_email', { id: 'Label_1' }), 'arguments-changed');
+});
+
+test('an expired token is refused', () => {
+  const store = createConfirmationStore({ ...DEFAULT_CONFIRMATION_CONFIG, ttlMs: 0 });
+  const { token } = store.issue('delete_label', { id: 'Label_1' });
+  assertRefused(() => store.consume(token, 'delete_label', { id: 'Label_1' }), 'expired');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InvalidCursorError, decodeCursor, encodeCursor, pageText } from '../src/utils/cursor.js';
+
+test('decodeCursor returns the state encodeCursor was given', () => {
+  const cursor = encodeCursor('search', { pageToken: 'abc', query: 'from:jane' });
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeCursor('search', cursor), { pageToken: 'abc', query: 'from:jane' });
+});
+
+test('decodeCursor rejects cursors of another kind and malformed cursors', () => {
+  const cursor = encodeCursor('search', { pageToken: 'abc' });
+  assert.throws(() => decodeCursor('read', cursor), { name: 'InvalidCursorError', code: 'INVALID_CURSOR', message: /not a read cursor/ });
+  for (const bad of ['not json', Buffer.from('null').toString('base64url'), Buffer.from('"text"').toString('base64url')]) {
+    assert.throws(() => decodeCursor('search', bad), InvalidCursorError, bad);
+  }
+});
+
+test('pageText returns the rest of the text without a page size or near the end', () => {
+  assert.deepEqual(pageText('abcdef', 2), { text: 'cdef', end: 6 });
+  assert.deepEqual(pageText('abcdef', 2, 10), { text: 'cdef', end: 6 });
+  assert.deepEqual(pageText('abc', 5, 10), { text: '', end: 5 });
+});
+
+test('pageText ends a page at a line break close to the limit', () => {
+  const text = 'first line\nsecond line\nthird line';
+  assert.deepEqual(pageText(text, 0, 12), { text: 'first line\n', end: 11 });
+  assert.deepEqual(pageText(text, 11, 13), { text: 'second line\n', end: 23 });
+  // A line break far before the limit is not used
+  assert.deepEqual(pageText('ab\ncdefghijklmnop', 0, 10), { text: 'ab\ncdefghi', end: 10 });
+});
+
+test('pageText never splits a surrogate pair and always advances', () => {
+  const text = 'abcd😀efgh';
+  // The limit falls between the two halves of the emoji
+  assert.deepEqual(pageText(text, 0, 5), { text: 'abcd', end: 4 });
+  // A page starting at the emoji with room for only half of it takes the whole emoji
+  assert.deepEqual(pageText(text, 4, 1), { text: '😀', end: 6 });
+});
+
+test('following the pages reproduces the whole text', () => {
+  const text = `${'word '.repeat(40)}\n${'😀'.repeat(30)}\nend`;
+  let offset = 0;
+  let rebuilt = '';
+  for (let pages = 0; offset < text.length; pages++) {
+    assert.ok(pages < 100, 'paging did not terminate');
+    const page = pageText(text, offset, 7);
+    assert.ok(page.end > offset);
+    rebuilt += page.text;
+    offset = page.end;
+  }
+  assert.equal(rebuilt, text);
+});
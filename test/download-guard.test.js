@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  DownloadRejectedError,
+  resolveDownloadDirectory,
+  sanitizeFilename,
+  verifyContentType,
+  writeWithoutOverwrite,
+} from '../src/download-guard.js';
+
+/**
+ * Creates a download root inside a temporary directory removed after the test
+ */
+function sandbox(t) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'download-test-')));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, root: path.join(dir, 'downloads') };
+}
+
+/**
+ * Asserts that a call is refused under the given rule
+ */
+function assertRejected(fn, rule) {
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof DownloadRejectedError);
+    assert.equal(error.code, 'DOWNLOAD_REJECTED');
+    assert.equal(error.details.rule, rule);
+    return true;
+  });
+}
+
+test('resolveDownloadDirectory creates the root and nested directories inside it', (t) => {
+  const { root } = sandbox(t);
+  assert.equal(resolveDownloadDirectory(root), root);
+  assert.equal(resolveDownloadDirectory(root, 'invoices/2024'), path.join(root, 'invoices', '2024'));
+  assert.equal(resolveDownloadDirectory(root, path.join(root, 'invoices')), path.join(root, 'invoices'));
+});
+
+test('resolveDownloadDirectory refuses path traversal and absolute paths outside the root', (t) => {
+  const { dir, root } = sandbox(t);
+  assertRejected(() => resolveDownloadDirectory(root, '../elsewhere'), 'outside-root');
+  assertRejected(() => resolveDownloadDirectory(root, 'a/../../elsewhere'), 'outside-root');
+  assertRejected(() => resolveDownloadDirectory(root, dir), 'outside-root');
+  assert.equal(fs.existsSync(path.join(dir, 'elsewhere')), false);
+});
+
+test('resolveDownloadDirectory does not follow symlinks out of the root, or create anything beyond them', (t) => {
+  const { dir, root } = sandbox(t);
+  fs.mkdirSync(root);
+  fs.mkdirSync(path.join(dir, 'outside'));
+  fs.symlinkSync(path.join(dir, 'outside'), path.join(root, 'link'));
+  assertRejected(() => resolveDownloadDirectory(root, 'link'), 'outside-root');
+  assertRejected(() => resolveDownloadDirectory(root, 'link/new/deeper'), 'outside-root');
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'outside')), []);
+
+  fs.writeFileSync(path.join(root, 'file'), '');
+  assertRejected(() => resolveDownloadDirectory(root, 'file'), 'not-a-directory');
+});
+
+test('sanitizeFilename keeps one safe path component', () => {
+  assert.equal(sanitizeFilename('../../etc/passwd'), 'passwd');
+  assert.equal(sanitizeFilename('..\\..\\boot.ini'), 'boot.ini');
+  assert.equal(sanitizeFilename('.bashrc'), 'bashrc');
+  assert.equal(sanitizeFilename('a:b*c?.txt'), 'a_b_c_.txt');
+  assert.equal(sanitizeFilename(`invoice${String.fromCharCode(0x202e)}fdp.exe`), 'invoicefdp.exe');
+  assert.equal(sanitizeFilename('CON.txt'), '_CON.txt');
+  assert.equal(sanitizeFilename('..'), 'attachment');
+  assert.equal(sanitizeFilename(`${'a'.repeat(300)}.pdf`).length, 200);
+});
+
+test('verifyContentType refuses executables and content that contradicts its type', () => {
+  const pdf = Buffer.from('%PDF-1.7');
+  verifyContentType(pdf, 'report.pdf', 'application/pdf');
+  assertRejected(() => verifyContentType(Buffer.from('MZ\x90\x00', 'latin1'), 'report.pdf', 'application/pdf'), 'executable-content');
+  assertRejected(() => verifyContentType(Buffer.from('plain'), 'report.pdf', 'application/pdf'), 'content-mismatch');
+  assertRejected(() => verifyContentType(Buffer.from('text'), 'run.exe', 'text/plain'), 'extension-mismatch');
+  assertRejected(() => verifyContentType(pdf, 'report.png', 'application/pdf'), 'extension-mismatch');
+});
+
+test('writeWithoutOverwrite numbers copies instead of replacing files', (t) => {
+  const { root } = sandbox(t);
+  fs.mkdirSync(root);
+  assert.equal(writeWithoutOverwrite(root, 'a.txt', Buffer.from('1')), path.join(root, 'a.txt'));
+  assert.equal(writeWithoutOverwrite(root, 'a.txt', Buffer.from('2')), path.join(root, 'a (1).txt'));
+  assert.equal(fs.readFileSync(path.join(root, 'a.txt'), 'utf8'), '1');
+});
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  analyzeMessageHeaders,
+  buildReceivedChain,
+  findDeceptiveLinks,
+  formatRiskScore,
+  parseAuthenticationResults,
+  parseRawHeaders,
+  parseReceived,
+} from '../src/header-analysis.js';
+
+const GMAIL_PASS = 'mx.google.com; spf=pass smtp.mailfrom=example.com; dkim=pass header.d=example.com; dmarc=pass header.from=example.com';
+
+/**
+ * Builds a Gmail-style header list from name/value pairs
+ */
+function headers(...pairs) {
+  return pairs.map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * Lists the checks an analysis flagged
+ */
+function checks(analysis) {
+  return analysis.findings.map(f => f.check);
+}
+
+test('parseRawHeaders joins folded lines and stops at the body', () => {
+  assert.deepEqual(parseRawHeaders('From: Jane <jane@example.com>\r\nSubject: Hello\r\n  world\r\n\r\nBody: not a header'), [
+    { name: 'From', value: 'Jane <jane@example.com>' },
+    { name: 'Subject', value: 'Hello world' },
+  ]);
+});
+
+test('parseAuthenticationResults reads verdicts and properties, ignoring comments and ARC instance tags', () => {
+  assert.deepEqual(parseAuthenticationResults('i=2; mx.google.com; spf=pass (sender SPF authorized) smtp.mailfrom=example.com; dkim=fail header.d="example.com"'), {
+    authservId: 'mx.google.com',
+    results: [
+      { method: 'spf', result: 'pass', properties: { 'smtp.mailfrom': 'example.com' } },
+      { method: 'dkim', result: 'fail', properties: { 'header.d': 'example.com' } },
+    ],
+  });
+});
+
+test('parseReceived and buildReceivedChain order hops oldest first with the delay between them', () => {
+  assert.deepEqual(parseReceived('from mail.example.com (mail.example.com [192.0.2.1]) by mx.google.com with ESMTPS id abc; Tue, 2 Jan 2024 10:00:00 -0000'), {
+    from: 'mail.example.com',
+    by: 'mx.google.com',
+    with: 'ESMTPS',
+    ip: '192.0.2.1',
+    timestamp: '2024-01-02T10:00:00.000Z',
+  });
+  const chain = buildReceivedChain(headers(
+    ['Received', 'from b by c; Tue, 2 Jan 2024 10:00:30 -0000'],
+    ['Received', 'from a by b; Tue, 2 Jan 2024 10:00:00 -0000'],
+  ));
+  assert.deepEqual(chain.map(hop => [hop.hop, hop.from, hop.delaySeconds]), [[1, 'a', null], [2, 'b', 30]]);
+});
+
+test('a message Gmail authenticated from a consistent sender scores low with no findings', () => {
+  const analysis = analyzeMessageHeaders(headers(
+    ['Authentication-Results', GMAIL_PASS],
+    ['From', 'Jane Doe <jane@example.com>'],
+    ['Reply-To', 'jane@mail.example.com'],
+  ), { html: '<a href="https://www.example.com/x">example.com</a>' });
+  assert.deepEqual(analysis.findings, []);
+  assert.deepEqual(analysis.risk, { score: 0, level: 'low', reasons: [] });
+  assert.equal(analysis.authentication.verified, true);
+  assert.equal(analysis.authentication.spf, 'pass');
+  assert.deepEqual(analysis.sender.replyTo, { name: '', address: 'jane@mail.example.com', domain: 'mail.example.com' });
+});
+
+test('only the topmost Authentication-Results header counts, and only when Gmail added it', () => {
+  // A forged "pass" below Gmail's own verdict is ignored
+  const forgedBelow = analyzeMessageHeaders(headers(
+    ['Authentication-Results', 'mx.google.com; spf=fail smtp.mailfrom=example.com; dkim=fail header.d=example.com; dmarc=fail'],
+    ['Authentication-Results', GMAIL_PASS],
+    ['From', 'jane@example.com'],
+  ));
+  assert.deepEqual(checks(forgedBelow), ['spf-fail', 'dkim-fail', 'dmarc-fail']);
+  assert.equal(forgedBelow.risk.level, 'high');
+
+  const unverified = analyzeMessageHeaders(headers(
+    ['Authentication-Results', GMAIL_PASS.replace('mx.google.com', 'mx.attacker.test')],
+    ['From', 'jane@example.com'],
+  ));
+  assert.deepEqual(checks(unverified), ['auth-unverified']);
+  assert.equal(unverified.authentication.spf, 'unverified');
+  assert.deepEqual(unverified.authentication.dkim, ['unverified']);
+
+  assert.deepEqual(checks(analyzeMessageHeaders(headers(['From', 'jane@example.com']))), ['auth-missing']);
+});
+
+test('the highest ARC instance is used when there is no Authentication-Results header', () => {
+  const analysis = analyzeMessageHeaders(headers(
+    ['ARC-Authentication-Results', 'i=1; mx.google.com; spf=fail smtp.mailfrom=example.com'],
+    ['ARC-Authentication-Results', `i=2; ${GMAIL_PASS}`],
+    ['From', 'jane@example.com'],
+  ));
+  assert.equal(analysis.authentication.source, 'ARC-Authentication-Results (i=2)');
+  assert.deepEqual(analysis.findings, []);
+});
+
+test('sender inconsistencies and lookalike domains are flagged', () => {
+  const cyrillicA = String.fromCharCode(0x430);
+  const analysis = analyzeMessageHeaders(headers(
+    ['Authentication-Results', GMAIL_PASS.replaceAll('example.com', 'paypa1.com')],
+    ['From', `"PayPal${cyrillicA} support@paypal.com" <help@paypa1.com>`],
+    ['Reply-To', 'collect@elsewhere.test'],
+  ), { userEmail: 'me@paypal.com' });
+  assert.deepEqual(checks(analysis), ['reply-to-mismatch', 'display-name-address', 'mixed-script', 'lookalike-domain']);
+  assert.equal(analysis.risk.score, 85);
+  assert.equal(analysis.risk.level, 'high');
+});
+
+test('domains that differ by a real letter are not lookalikes', () => {
+  for (const [fromDomain, userDomain] of [['mall.com', 'mail.com'], ['iists.example', 'lists.example']]) {
+    const analysis = analyzeMessageHeaders(headers(
+      ['Authentication-Results', GMAIL_PASS.replaceAll('example.com', fromDomain)],
+      ['From', `shop@${fromDomain}`],
+    ), { userEmail: `me@${userDomain}` });
+    assert.deepEqual(checks(analysis), [], fromDomain);
+  }
+});
+
+test('punycode domains and backwards Received timestamps are flagged', () => {
+  const analysis = analyzeMessageHeaders(headers(
+    ['Authentication-Results', GMAIL_PASS],
+    ['From', 'jane@example.com'],
+    ['Received', 'from b by c; Tue, 2 Jan 2024 09:00:00 -0000'],
+    ['Received', 'from a by b; Tue, 2 Jan 2024 10:00:00 -0000'],
+  ), { html: '<a href="https://xn--pypal-4ve.com/login">Sign in</a>' });
+  assert.deepEqual(checks(analysis), ['punycode-domain', 'received-time-anomaly']);
+});
+
+test('findDeceptiveLinks compares the domain a link shows with where it points', () => {
+  const html = [
+    '<a href="https://evil.test/login">https://paypal.com/signin</a>',
+    '<a href="https://mail.example.co.uk/x">example.co.uk</a>',
+    '<a href="http://192.0.2.1/">Click here</a>',
+    '<a href="mailto:jane@example.com">paypal.com</a>',
+  ].join('');
+  assert.deepEqual(findDeceptiveLinks(html), {
+    mismatches: [{ text: 'https://paypal.com/signin', href: 'https://evil.test/login', textDomain: 'paypal.com', hrefDomain: 'evil.test' }],
+    hosts: ['evil.test', 'mail.example.co.uk', '192.0.2.1'],
+  });
+
+  const analysis = analyzeMessageHeaders(headers(['Authentication-Results', GMAIL_PASS], ['From', 'jane@example.com']), { html });
+  assert.deepEqual(checks(analysis), ['link-mismatch', 'ip-address-link']);
+});
+
+test('repeated checks count once towards the score, which is capped at 100', () => {
+  const links = Array.from({ length: 3 }, (_, i) => `<a href="https://evil${i}.test/">bank.com</a>`).join('');
+  const analysis = analyzeMessageHeaders(headers(['Authentication-Results', GMAIL_PASS], ['From', 'jane@example.com']), { html: links });
+  assert.equal(analysis.findings.length, 3);
+  assert.equal(analysis.risk.score, 25);
+  assert.equal(analysis.risk.reasons.length, 1);
+
+  const worst = analyzeMessageHeaders(headers(
+    ['Authentication-Results', 'mx.google.com; spf=fail; dkim=fail; dmarc=fail'],
+    ['From', '"support@bank.com" <x@xn--bnk-sna.test>'],
+    ['Reply-To', 'y@other.test'],
+  ), { html: links });
+  assert.equal(worst.risk.score, 100);
+});
+
+test('formatRiskScore lists the reasons, or says there are none', () => {
+  assert.equal(formatRiskScore({ score: 0, level: 'low', reasons: [] }), 'Risk score: 0/100 (low)\nReasons:\n  No risk indicators found');
+  assert.equal(
+    formatRiskScore({ score: 25, level: 'medium', reasons: ['+25 SPF failed'] }),
+    'Risk score: 25/100 (medium)\nReasons:\n  +25 SPF failed'
+  );
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToText } from '../src/utils/html-to-text.js';
+
+test('htmlToText separates blocks and decodes entities', () => {
+  assert.equal(htmlToText('<p>Hello <b>world</b></p><p>Second &amp; last</p>').text, 'Hello world\n\nSecond & last');
+  assert.equal(htmlToText('<p>line<br>break</p>').text, 'line\nbreak');
+});
+
+test('htmlToText turns links into numbered footnotes, reusing the number of a repeated URL', () => {
+  const { text, links } = htmlToText(
+    '<p>See <a href="https://example.com/a">the docs</a> and <a href="https://example.com/a">again</a> or <a href="mailto:x@example.com">mail</a></p>'
+  );
+  assert.equal(text, 'See the docs [1] and again [1] or mail [2]\n\nLinks:\n[1] https://example.com/a\n[2] mailto:x@example.com');
+  assert.deepEqual(links, ['https://example.com/a', 'mailto:x@example.com']);
+});
+
+test('htmlToText keeps list markers', () => {
+  assert.equal(
+    htmlToText('<ul><li>One</li><li>Two</li></ul><ol><li>First</li><li>Second</li></ol>').text,
+    '- One\n- Two\n\n1. First\n2. Second'
+  );
+});
+
+test('htmlToText drops styles, hidden preheaders and tracking pixels', () => {
+  const html = '<style>p{color:red}</style><div style="display:none">preheader</div>'
+    + '<img src="https://t.example/p.gif" width="1" height="1"><p>Body</p>';
+  assert.deepEqual(htmlToText(html), { text: 'Body', links: [] });
+});
+
+test('htmlToText aligns data tables', () => {
+  assert.equal(
+    htmlToText('<table><tr><th>Item</th><th>Qty</th></tr><tr><td>Apples</td><td>3</td></tr></table>').text,
+    'Item    Qty\n------  ---\nApples  3'
+  );
+});
+
+test('htmlToText keeps preformatted whitespace and quotes blockquotes', () => {
+  assert.equal(htmlToText('<pre>a  b\n  c</pre>').text, 'a  b\n  c');
+  assert.equal(htmlToText('<blockquote>quoted</blockquote>').text, '> quoted');
+});
+
+test('htmlToText returns empty text for empty input', () => {
+  assert.deepEqual(htmlToText(''), { text: '', links: [] });
+  assert.deepEqual(htmlToText(undefined), { text: '', links: [] });
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PROTECTED_LABELS,
+  ProtectedLabelError,
+  assertLabelChangeAllowed,
+  loadProtectedLabelPolicy,
+} from '../src/label-guard.js';
+
+test('loadProtectedLabelPolicy prefers policy-file lists over the environment and always protects adding TRASH', () => {
+  assert.deepEqual(loadProtectedLabelPolicy({}), DEFAULT_PROTECTED_LABELS);
+  assert.deepEqual(loadProtectedLabelPolicy({ GMAIL_PROTECTED_ADD_LABELS: 'spam, important', GMAIL_PROTECTED_REMOVE_LABELS: '' }), {
+    add: ['TRASH', 'SPAM', 'IMPORTANT'],
+    remove: [],
+  });
+  assert.deepEqual(loadProtectedLabelPolicy({ GMAIL_PROTECTED_ADD_LABELS: 'SPAM' }, { add: [], remove: ['inbox'] }), {
+    add: ['TRASH'],
+    remove: ['INBOX'],
+  });
+});
+
+test('assertLabelChangeAllowed refuses adding or removing protected labels, in any case', () => {
+  const policy = loadProtectedLabelPolicy({});
+  assert.throws(() => assertLabelChangeAllowed({ addLabelIds: ['STARRED', 'trash'], removeLabelIds: ['Sent'] }, policy), (error) => {
+    assert.ok(error instanceof ProtectedLabelError);
+    assert.equal(error.code, 'PROTECTED_LABEL');
+    assert.deepEqual(error.details.violations, [
+      { operation: 'add', labelId: 'trash' },
+      { operation: 'remove', labelId: 'Sent' },
+    ]);
+    return true;
+  });
+  assert.throws(() => assertLabelChangeAllowed({ removeLabelIds: ['DRAFT'] }, policy), ProtectedLabelError);
+});
+
+test('assertLabelChangeAllowed lets other changes through', () => {
+  const policy = loadProtectedLabelPolicy({});
+  assertLabelChangeAllowed({ addLabelIds: ['STARRED', 'Label_1'], removeLabelIds: ['INBOX', 'UNREAD'] }, policy);
+  // Protection is per direction: removing SPAM rescues mail and is allowed
+  assertLabelChangeAllowed({ removeLabelIds: ['SPAM', 'TRASH'] }, policy);
+  assertLabelChangeAllowed({}, policy);
+});
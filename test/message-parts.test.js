@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPartTree, collectParts, extractEmailContent } from '../src/message-parts.js';
+
+/**
+ * Builds a Gmail API message part
+ */
+function part(mimeType, { headers = {}, data, filename = '', attachmentId, parts } = {}) {
+  return {
+    mimeType,
+    filename,
+    headers: Object.entries(headers).map(([name, value]) => ({ name, value })),
+    body: {
+      ...(data !== undefined && { data: Buffer.from(data).toString('base64url'), size: data.length }),
+      ...(attachmentId && { attachmentId, size: 100 }),
+    },
+    ...(parts && { parts }),
+  };
+}
+
+test('text parts with a Content-ID stay in the body', () => {
+  const payload = part('multipart/alternative', {
+    parts: [
+      part('text/plain', { headers: { 'Content-ID': '<text@client>' }, data: 'Plain body' }),
+      part('text/html', { headers: { 'Content-ID': '<html@client>' }, data: '<p>HTML body</p>' }),
+    ],
+  });
+  const tree = buildPartTree(payload);
+  assert.deepEqual(extractEmailContent(tree), { text: 'Plain body', html: '<p>HTML body</p>' });
+  assert.deepEqual(collectParts(tree, 'attachment'), []);
+});
+
+test('Content-ID images are inline only when the HTML references them or they are marked inline', () => {
+  const image = (id, disposition) => part('image/png', {
+    filename: `${id}.png`,
+    attachmentId: `att-${id}`,
+    headers: { 'Content-ID': `<${id}>`, ...(disposition && { 'Content-Disposition': disposition }) },
+  });
+  const tree = buildPartTree(part('multipart/related', {
+    parts: [
+      part('text/html', { data: '<img src="cid:logo">' }),
+      image('logo'),
+      image('unused'),
+      image('marked', 'inline'),
+    ],
+  }));
+  assert.deepEqual(collectParts(tree, 'inline').map(node => node.contentId), ['logo', 'marked']);
+  assert.deepEqual(collectParts(tree, 'attachment').map(node => node.contentId), ['unused']);
+});
+
+test('text parts sent as attachments are not part of the body', () => {
+  const tree = buildPartTree(part('multipart/mixed', {
+    parts: [
+      part('text/plain', { data: 'Body' }),
+      part('text/plain', { filename: 'notes.txt', attachmentId: 'att-1' }),
+      part('text/plain', { headers: { 'Content-Disposition': 'attachment' }, data: 'Attached' }),
+    ],
+  }));
+  assert.equal(extractEmailContent(tree).text, 'Body');
+  assert.equal(collectParts(tree, 'attachment').length, 2);
+});
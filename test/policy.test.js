@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  PolicySchema,
+  PolicyViolationError,
+  createPolicyEnforcer,
+  isToolEnabled,
+  loadPolicy,
+  savePolicyMode,
+} from '../src/policy.js';
+
+const context = {
+  getUserEmail: async () => 'Me@Example.com',
+  getLabel: async (id) => ({ id, name: id === 'Label_1' ? 'Finance' : 'Other' }),
+  getThreadMessageCount: async () => 4,
+  getUndoMessageCount: async () => 2,
+};
+
+/**
+ * Asserts that a promise is refused by the given policy rule
+ */
+async function assertViolation(promise, rule) {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof PolicyViolationError);
+    assert.equal(error.code, 'POLICY_VIOLATION');
+    assert.equal(error.details.rule, rule);
+    return true;
+  });
+}
+
+test('isToolEnabled applies read-only mode, the disabled list and the enabled list', () => {
+  assert.equal(isToolEnabled(PolicySchema.parse({}), 'modify_email'), true);
+  assert.equal(isToolEnabled(PolicySchema.parse({ mode: 'readonly' }), 'modify_email'), false);
+  assert.equal(isToolEnabled(PolicySchema.parse({ mode: 'readonly' }), 'read_email'), true);
+  assert.equal(isToolEnabled(PolicySchema.parse({ tools: { disabled: ['read_email'] } }), 'read_email'), false);
+  assert.equal(isToolEnabled(PolicySchema.parse({ tools: { enabled: ['read_email'] } }), 'search_emails'), false);
+});
+
+test('enforce refuses mutating tools in read-only mode and disabled tools', async () => {
+  await assertViolation(createPolicyEnforcer(PolicySchema.parse({ mode: 'readonly' })).enforce('draft_email', {}, context), 'read-only-mode');
+  await assertViolation(createPolicyEnforcer(PolicySchema.parse({ tools: { disabled: ['search_emails'] } })).enforce('search_emails', {}, context), 'tool-disabled');
+});
+
+test('enforce refuses skipRedaction unless the policy allows the override', async () => {
+  await assertViolation(createPolicyEnforcer(PolicySchema.parse({})).enforce('read_email', { skipRedaction: true }, context), 'redaction-override');
+  const enforcer = createPolicyEnforcer(PolicySchema.parse({ redaction: { allowOverride: true } }));
+  assert.deepEqual(await enforcer.enforce('read_email', { skipRedaction: true }, context), { messageCount: 0 });
+});
+
+test('enforce applies the per-call message limit, counting thread messages through the context', async () => {
+  const enforcer = createPolicyEnforcer(PolicySchema.parse({ limits: { maxMessagesPerCall: 3 } }));
+  assert.deepEqual(await enforcer.enforce('batch_modify_emails', { messageIds: ['a', 'b', 'c'] }, context), { messageCount: 3 });
+  await assertViolation(enforcer.enforce('batch_modify_emails', { messageIds: ['a', 'b', 'c', 'd'] }, context), 'max-messages-per-call');
+  await assertViolation(enforcer.enforce('archive_thread', { threadId: 't1' }, context), 'max-messages-per-call');
+  // Dry runs modify nothing, but tools without a dry run ignore the flag and are still limited
+  assert.deepEqual(await enforcer.enforce('batch_modify_emails', { messageIds: ['a', 'b', 'c', 'd'], dryRun: true }, context), { messageCount: 0 });
+  await assertViolation(enforcer.enforce('archive_thread', { threadId: 't1', dryRun: true }, context), 'max-messages-per-call');
+});
+
+test('enforce counts only recorded calls towards the session limit', async () => {
+  const enforcer = createPolicyEnforcer(PolicySchema.parse({ limits: { maxMessagesPerSession: 3 } }));
+  const { messageCount } = await enforcer.enforce('undo_last_operation', {}, context);
+  assert.equal(messageCount, 2);
+  // The call above was not recorded (e.g. it failed), so the session still has room for three
+  await enforcer.enforce('batch_modify_emails', { messageIds: ['a', 'b', 'c'] }, context);
+  enforcer.recordMessages(messageCount);
+  await enforcer.enforce('modify_email', { messageId: 'a' }, context);
+  await assertViolation(enforcer.enforce('undo_last_operation', {}, context), 'max-messages-per-session');
+});
+
+test('enforce restricts send_email to the account itself, checking every mailbox of every entry', async () => {
+  const enforcer = createPolicyEnforcer(PolicySchema.parse({}));
+  await enforcer.enforce('send_email', { to: ['Me <me@example.com>'] }, context);
+  await assertViolation(enforcer.enforce('send_email', { to: ['me@example.com, other@example.com'] }, context), 'send-self-only');
+  await assertViolation(enforcer.enforce('send_email', { to: ['me@example.com'], bcc: ['other@example.com'] }, context), 'send-self-only');
+  await assertViolation(enforcer.enforce('send_email', { to: ['"unterminated <me@example.com>'] }, context), 'send-self-only');
+});
+
+test('enforce refuses deleting labels the policy marks undeletable, by ID or name', async () => {
+  const enforcer = createPolicyEnforcer(PolicySchema.parse({ labels: { undeletable: ['finance'] } }));
+  await assertViolation(enforcer.enforce('delete_label', { id: 'Label_1' }, context), 'undeletable-label');
+  await enforcer.enforce('delete_label', { id: 'Label_2' }, context);
+});
+
+test('assertDraftRecipientsAllowed accepts allowed domains and their subdomains only', () => {
+  const enforcer = createPolicyEnforcer(PolicySchema.parse({ recipients: { allowedDraftDomains: ['@Example.com'] } }));
+  enforcer.assertDraftRecipientsAllowed({ to: ['a@example.com'], cc: ['"Doe, J" <j@mail.example.com>'] });
+  assert.throws(() => enforcer.assertDraftRecipientsAllowed({ to: ['a@example.com, b@notexample.com'] }), PolicyViolationError);
+  assert.throws(() => enforcer.assertDraftRecipientsAllowed({ bcc: ['a@example.com.evil.test'] }), PolicyViolationError);
+  createPolicyEnforcer(PolicySchema.parse({})).assertDraftRecipientsAllowed({ to: ['anyone@anywhere.test'] });
+});
+
+test('loadPolicy reads JSON and YAML files and reports invalid ones', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  assert.equal(loadPolicy(null).mode, 'modify');
+
+  const yamlPath = path.join(dir, 'policy.yaml');
+  fs.writeFileSync(yamlPath, 'mode: readonly\nlimits:\n  maxMessagesPerCall: 5\n');
+  const policy = loadPolicy(yamlPath);
+  assert.equal(policy.mode, 'readonly');
+  assert.equal(policy.limits.maxMessagesPerCall, 5);
+
+  const jsonPath = path.join(dir, 'policy.json');
+  fs.writeFileSync(jsonPath, JSON.stringify({ mode: 'everything' }));
+  assert.throws(() => loadPolicy(jsonPath), /Invalid policy file .*\n  - mode:/);
+  fs.writeFileSync(jsonPath, JSON.stringify({ redaction: { rules: [{ name: 'bad', pattern: '(' }] } }));
+  assert.throws(() => loadPolicy(jsonPath), /pattern is not a valid regular expression/);
+  assert.throws(() => loadPolicy(path.join(dir, 'missing.json')), /Policy file not found/);
+});
+
+test('savePolicyMode creates policy.json and edits YAML in place', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const created = savePolicyMode(null, dir, 'readonly');
+  assert.equal(created, path.join(dir, 'policy.json'));
+  assert.equal(loadPolicy(created).mode, 'readonly');
+
+  const yamlPath = path.join(dir, 'policy.yaml');
+  fs.writeFileSync(yamlPath, '# keep me\nmode: readonly\n');
+  savePolicyMode(yamlPath, dir, 'modify');
+  assert.match(fs.readFileSync(yamlPath, 'utf8'), /# keep me/);
+  assert.equal(loadPolicy(yamlPath).mode, 'modify');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collapseQuotedHistory, stripSignature } from '../src/utils/quoted-text.js';
+
+test('collapseQuotedHistory collapses an attribution with its quoted lines', () => {
+  const text = 'Thanks!\n\nOn Mon, 1 Jan 2024 at 10:00, Jane Doe <jane@example.com> wrote:\n> Old message\n>\n> More\n\nAfter';
+  assert.deepEqual(collapseQuotedHistory(text), {
+    text: 'Thanks!\n\n[... 4 quoted lines collapsed ...]\n\nAfter',
+    collapsedLines: 4,
+  });
+});
+
+test('collapseQuotedHistory recognises attributions wrapped onto two lines', () => {
+  const text = 'Thanks!\nOn Jan 1, 2024, at 10:00, Jane Doe <\njane@example.com> wrote:\n> Old message';
+  assert.deepEqual(collapseQuotedHistory(text), { text: 'Thanks!\n[... 3 quoted lines collapsed ...]', collapsedLines: 3 });
+});
+
+test('collapseQuotedHistory treats an unquoted attribution and an Original Message separator as the start of history', () => {
+  assert.deepEqual(collapseQuotedHistory('Reply\nOn 2024-01-01 10:00, jane@example.com wrote:\nOld message'), {
+    text: 'Reply\n[... 2 quoted lines collapsed ...]',
+    collapsedLines: 2,
+  });
+  assert.deepEqual(collapseQuotedHistory('Reply\n-----Original Message-----\nFrom: Jane'), {
+    text: 'Reply\n[... 2 quoted lines collapsed ...]',
+    collapsedLines: 2,
+  });
+});
+
+test('collapseQuotedHistory keeps prose that only resembles an attribution or separator', () => {
+  for (const text of [
+    'Intro\nOn reflection, Alice wrote:\nThe rest of the body',
+    'On the 3rd, the committee wrote:\nThe rest of the body',
+    'Signature line\n______________________\nThe rest of the body',
+  ]) {
+    assert.deepEqual(collapseQuotedHistory(text), { text, collapsedLines: 0 });
+  }
+});
+
+test('stripSignature removes a short block after "-- " and trailing client signatures', () => {
+  assert.deepEqual(stripSignature('Body\n-- \nJane Doe\nACME'), { text: 'Body', removedLines: 3 });
+  assert.deepEqual(stripSignature('Body\n\nSent from my iPhone\n'), { text: 'Body', removedLines: 1 });
+  assert.deepEqual(stripSignature('Body\nGet Outlook for iOS'), { text: 'Body', removedLines: 1 });
+});
+
+test('stripSignature keeps long blocks after a separator and ordinary "Sent via" lines', () => {
+  const long = `Body\n--\n${Array.from({ length: 11 }, (_, i) => `line ${i}`).join('\n')}`;
+  assert.deepEqual(stripSignature(long), { text: long, removedLines: 0 });
+  assert.deepEqual(stripSignature('Body\nSent via courier on Monday'), { text: 'Body\nSent via courier on Monday', removedLines: 0 });
+});
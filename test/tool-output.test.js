@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { ToolError, errorResult, renderResult, toToolError } from '../src/tool-output.js';
+import { TOOL_DATA_SCHEMAS, toolSchemasAsJsonSchema, validateToolData } from '../src/tool-schemas.js';
+
+const stats = { requests: 1, retries: 0 };
+const discarded = { draftId: 'r1', discarded: true };
+
+test('validateToolData checks data against the tool schema, or the confirmation schema', () => {
+  assert.deepEqual(validateToolData('discard_draft', discarded), { success: true });
+  assert.deepEqual(validateToolData('discard_draft', { draftId: 'r1' }), {
+    success: false,
+    issues: [{ path: 'discarded', message: 'Invalid literal value, expected true' }],
+  });
+  assert.equal(validateToolData('discard_draft', { ...discarded, extra: 1 }).success, false);
+  assert.deepEqual(validateToolData('delete_label', {
+    confirmationRequired: true,
+    operation: 'Delete label Label_1',
+    confirmationToken: 'abc',
+    expiresAt: '2024-01-01T00:00:00.000Z',
+  }), { success: true });
+  assert.equal(validateToolData('no_such_tool', {}).success, false);
+});
+
+test('toolSchemasAsJsonSchema keeps references resolvable inside the published document', () => {
+  const document = toolSchemasAsJsonSchema();
+  assert.deepEqual(Object.keys(document.tools), Object.keys(TOOL_DATA_SCHEMAS));
+  const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g) || [];
+  for (const ref of refs) {
+    const pointer = ref.slice(8, -1);
+    const target = pointer.split('/').slice(1).reduce((node, key) => node?.[key], document);
+    assert.ok(target, `unresolved ${pointer}`);
+  }
+});
+
+test('toToolError maps argument, server and Gmail errors onto the typed model', () => {
+  const parsed = z.object({ id: z.string() }).safeParse({});
+  assert.equal(toToolError(parsed.error).code, 'INVALID_ARGUMENTS');
+  assert.deepEqual(toToolError(new ToolError('UNKNOWN_TOOL', 'No such tool', { tool: 'x' })), {
+    code: 'UNKNOWN_TOOL', message: 'No such tool', retryable: false, gmailStatus: null, details: { tool: 'x' },
+  });
+  assert.equal(toToolError(Object.assign(new Error('Not Found'), { code: 404 })).code, 'GMAIL_NOT_FOUND');
+  assert.equal(toToolError(new Error('Wrapped', { cause: Object.assign(new Error('Rate'), { code: 429 }) })).code, 'GMAIL_RATE_LIMITED');
+  assert.equal(toToolError(new Error('boom')).code, 'INTERNAL_ERROR');
+});
+
+test('renderResult wraps data in a versioned JSON document', () => {
+  const result = renderResult('discard_draft', { content: [{ type: 'text', text: 'ok' }], data: discarded }, { format: 'json', stats });
+  assert.deepEqual(JSON.parse(result.content[0].text), {
+    schema: 'safe-gmail-mcp/discard_draft',
+    version: 1,
+    ok: true,
+    data: discarded,
+    meta: { gmailApi: stats },
+  });
+});
+
+test('renderResult withholds JSON data that does not match the published schema', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const result = renderResult('discard_draft', { content: [], data: { draftId: 'r1' } }, { format: 'json', stats });
+  const document = JSON.parse(result.content[0].text);
+  assert.equal(result.isError, true);
+  assert.equal(document.ok, false);
+  assert.equal(document.error.code, 'INTERNAL_ERROR');
+  assert.equal(document.data, undefined);
+});
+
+test('renderResult appends the Gmail API usage to text output and keeps errors flagged', () => {
+  const text = renderResult('discard_draft', { content: [{ type: 'text', text: 'ok' }], data: discarded }, { format: 'text', stats });
+  assert.deepEqual(text.content.map(c => c.text), ['ok', '[Gmail API: 1 request, 0 retries]']);
+
+  const failed = renderResult('discard_draft', errorResult(new Error('boom')), { format: 'json', stats });
+  assert.equal(failed.isError, true);
+  assert.equal(JSON.parse(failed.content[0].text).error.code, 'INTERNAL_ERROR');
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  findOperation,
+  listOperations,
+  loadJournal,
+  markUndone,
+  planUndo,
+  recordOperation,
+  snapshotLabels,
+} from '../src/undo-journal.js';
+
+/**
+ * Creates a journal path in a temporary directory removed after the test
+ */
+function tempJournal(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'undo-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'nested', 'journal.json');
+}
+
+const archive = {
+  addLabelIds: ['Label_1'],
+  removeLabelIds: ['INBOX', 'UNREAD'],
+  messages: {
+    m1: ['INBOX', 'UNREAD'],
+    m2: ['INBOX'],
+    m3: ['INBOX', 'UNREAD'],
+    m4: ['INBOX'],
+  },
+};
+
+test('planUndo restores the touched labels, grouping messages that need the same change', () => {
+  const plan = planUndo(archive, {
+    m1: ['Label_1'],
+    m2: ['Label_1', 'STARRED'],
+    m3: ['Label_1'],
+    m4: ['Label_1'],
+  });
+  assert.deepEqual(plan, {
+    groups: [
+      { addLabelIds: ['INBOX', 'UNREAD'], removeLabelIds: ['Label_1'], messageIds: ['m1', 'm3'] },
+      { addLabelIds: ['INBOX'], removeLabelIds: ['Label_1'], messageIds: ['m2', 'm4'] },
+    ],
+    drifted: [],
+    missing: [],
+  });
+});
+
+test('planUndo leaves drifted messages alone unless forced, and reports missing ones', () => {
+  const current = {
+    m1: ['Label_1', 'INBOX'],
+    m2: ['Label_1'],
+    m3: ['Label_1'],
+  };
+  const plan = planUndo(archive, current);
+  assert.deepEqual(plan.drifted, [{ messageId: 'm1', changedLabelIds: ['INBOX'] }]);
+  assert.deepEqual(plan.missing, ['m4']);
+  assert.deepEqual(plan.groups.flatMap(group => group.messageIds), ['m2', 'm3']);
+
+  const forced = planUndo(archive, current, true);
+  assert.deepEqual(forced.groups[0], { addLabelIds: ['UNREAD'], removeLabelIds: ['Label_1'], messageIds: ['m1'] });
+  assert.deepEqual(forced.drifted, plan.drifted);
+});
+
+test('planUndo skips messages already back in their original state', () => {
+  const plan = planUndo({ ...archive, messages: { m2: ['INBOX'] } }, { m2: ['INBOX'] }, true);
+  assert.deepEqual(plan.groups, []);
+});
+
+test('the journal records operations and finds the latest one not undone', (t) => {
+  const journalPath = tempJournal(t);
+  assert.deepEqual(loadJournal(journalPath), { operations: [] });
+  assert.throws(() => findOperation(journalPath), /No label operations left to undo/);
+
+  const first = recordOperation(journalPath, { tool: 'modify_email', addLabelIds: ['STARRED'], before: { m1: [] } });
+  const second = recordOperation(journalPath, { tool: 'archive_thread', removeLabelIds: ['INBOX'], before: { m2: ['INBOX'] } });
+  assert.deepEqual(listOperations(journalPath).map(op => op.id), [second.id, first.id]);
+  assert.equal(findOperation(journalPath).id, second.id);
+  assert.equal(findOperation(journalPath, first.id).id, first.id);
+  assert.throws(() => findOperation(journalPath, 'nope'), /No journal entry with ID "nope"/);
+  assert.equal((fs.statSync(journalPath).mode & 0o777).toString(8), '600');
+});
+
+test('markUndone keeps only pending messages until nothing is left', (t) => {
+  const journalPath = tempJournal(t);
+  const operation = recordOperation(journalPath, { tool: 'batch_modify_emails', removeLabelIds: ['INBOX'], before: { m1: ['INBOX'], m2: ['INBOX'] } });
+
+  markUndone(journalPath, operation.id, { restored: 1 }, ['m2', 'unknown']);
+  const partial = findOperation(journalPath, operation.id);
+  assert.deepEqual(partial.messages, { m2: ['INBOX'] });
+  assert.equal(partial.undoneAt, undefined);
+
+  markUndone(journalPath, operation.id, { restored: 1 });
+  assert.throws(() => findOperation(journalPath, operation.id), /was already undone/);
+  assert.throws(() => findOperation(journalPath), /No label operations left to undo/);
+});
+
+test('loadJournal reports a corrupted file', (t) => {
+  const journalPath = tempJournal(t);
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  fs.writeFileSync(journalPath, '{');
+  assert.throws(() => loadJournal(journalPath), /is corrupted/);
+});
+
+test('snapshotLabels omits missing messages and rethrows other Gmail errors', async () => {
+  const gmail = (failure) => ({
+    users: {
+      messages: {
+        get: async ({ id }) => {
+          if (id === 'gone') {
+            throw Object.assign(new Error('Not Found'), { code: 404 });
+          }
+          if (id === failure) {
+            throw Object.assign(new Error('Rate limited'), { code: 429 });
+          }
+          return { data: { labelIds: id === 'bare' ? undefined : ['INBOX'] } };
+        },
+      },
+    },
+  });
+  assert.deepEqual(await snapshotLabels(gmail(), ['m1', 'gone', 'bare']), { m1: ['INBOX'], bare: [] });
+  await assert.rejects(snapshotLabels(gmail('m1'), ['m1', 'gone']), /Rate limited/);
+});